@@ -0,0 +1,280 @@
+const admin = require('firebase-admin');
+const {
+  NOTIFICATION_EVENTS,
+  ANALYTICS_EVENT_RETENTION_DAYS,
+  FIRESTORE_BATCH_SIZE,
+} = require('./config');
+const { commitInBatches, commitInBatchesAllowingConflicts, isAlreadyExistsError } = require('./firestore');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Delivery analytics. Events live in notification_events with the ID
+// "{notificationId}_{event}", so an event recorded twice (a retried write, the
+// app reporting the same open again) is only counted once. Daily stats are
+// rolled up from the events by UTC date:
+// - notification_preferences/{userId}/daily_stats/{date} for each user
+// - notification_stats/{date} for everyone
+// each { date, types: { [notification type]: { scheduled, sent, ... } } }.
+// Scheduled, sent and failed events are also counted in metrics (see createMetrics).
+function createAnalytics({ db, clock, metrics }) {
+  function eventsCollection() {
+    return db.collection('notification_events');
+  }
+
+  function statsCollection(userId) {
+    return userId
+      ? db.collection('notification_preferences').doc(userId).collection('daily_stats')
+      : db.collection('notification_stats');
+  }
+
+  // Record events the server sees: [{ id, notification, event, errorCode? }],
+  // where notification is the scheduled notification's data. Events that were
+  // already recorded are skipped. Analytics never fail the caller: errors are
+  // only logged. Returns how many events were new.
+  async function recordEvents(events) {
+    if (events.length === 0) return 0;
+    countEvents(events);
+    
+    try {
+      const nowMs = clock.now();
+      const duplicates = await commitInBatchesAllowingConflicts(db, events.map(item => batch => batch.create(
+        eventsCollection().doc(`${item.id}_${item.event}`),
+        buildEvent(item, nowMs)
+      )));
+      return events.length - duplicates;
+    } catch (error) {
+      logger.error('❌ Error recording notification events', { count: events.length, error });
+      return 0;
+    }
+  }
+
+  // Count server events in the metrics, whether or not they get stored
+  function countEvents(events) {
+    for (const { notification, event, errorCode } of events) {
+      const type = notification.type || 'study_reminder';
+      if (event === 'scheduled') metrics.notificationsScheduled.inc({ type });
+      else if (event === 'sent') metrics.notificationsSent.inc({ type });
+      else if (event === 'failed') metrics.notificationsFailed.inc({ type, reason: errorCode || 'unknown' });
+    }
+  }
+
+  // Record an event the app reports (opened, dismissed) for one of the user's
+  // sent notifications. Returns 'recorded', 'duplicate', 'missing' (no such
+  // notification for this user) or the status of a notification not sent yet.
+  async function recordClientEvent(userId, notificationId, event) {
+    const doc = await db.collection('scheduled_notifications').doc(notificationId).get();
+    if (!doc.exists || doc.data().userId !== userId) return 'missing';
+    if (doc.data().status !== 'sent') return doc.data().status;
+    
+    try {
+      await eventsCollection().doc(`${notificationId}_${event}`).create(
+        buildEvent({ id: notificationId, notification: doc.data(), event }, clock.now())
+      );
+      return 'recorded';
+    } catch (error) {
+      if (isAlreadyExistsError(error)) return 'duplicate';
+      throw error;
+    }
+  }
+
+  // A user's events since sinceMs, oldest first:
+  // [{ notificationId, event, type, reminderId, atMs }]. Returns [] if they
+  // cannot be read, so smart timing falls back to the set times.
+  // Needs a composite index on notification_events: userId ASC, at ASC.
+  async function getRecentEvents(userId, sinceMs) {
+    try {
+      const snapshot = await eventsCollection()
+        .where('userId', '==', userId)
+        .where('at', '>=', admin.firestore.Timestamp.fromMillis(sinceMs))
+        .orderBy('at')
+        .get();
+      
+      return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+          notificationId: data.notificationId,
+          event: data.event,
+          type: data.type,
+          reminderId: data.reminderId || null,
+          atMs: data.at.toMillis(),
+        };
+      });
+    } catch (error) {
+      logger.error('❌ Error reading notification events', { userId, error });
+      return [];
+    }
+  }
+
+  // Recompute the daily stats of some UTC dates ("YYYY-MM-DD") from their events.
+  // Stats docs are overwritten, so this can run as often as needed.
+  async function rollupDailyStats(dates) {
+    try {
+      for (const date of dates) {
+        const snapshot = await eventsCollection().where('date', '==', date).get();
+        const typesByUser = new Map();
+        const allTypes = {};
+        
+        for (const doc of snapshot.docs) {
+          const { userId, type, event } = doc.data();
+          if (!typesByUser.has(userId)) typesByUser.set(userId, {});
+          countEvent(typesByUser.get(userId), type, event);
+          countEvent(allTypes, type, event);
+        }
+        
+        const updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        const writes = [...typesByUser].map(([userId, types]) => batch => batch.set(
+          statsCollection(userId).doc(date),
+          { date, types, updatedAt }
+        ));
+        writes.push(batch => batch.set(statsCollection(null).doc(date), { date, types: allTypes, userCount: typesByUser.size, updatedAt }));
+        
+        await commitInBatches(db, writes);
+        logger.info('📊 Rolled up notification events', { date, events: snapshot.size, users: typesByUser.size });
+      }
+    } catch (error) {
+      logger.error('❌ Error rolling up notification stats', { error });
+    }
+  }
+
+  // Roll up today and yesterday (events reported after midnight UTC still
+  // belong to the day they happened)
+  async function rollupRecentStats() {
+    const nowMs = clock.now();
+    await rollupDailyStats([toUTCDate(nowMs - DAY_MS), toUTCDate(nowMs)]);
+  }
+
+  // Stats for the last `days` UTC days up to today, for one user or (userId
+  // null) everyone: { from, to, total, days: [{ date, ...counts and rates, types }] }.
+  // Days without stats count as zero.
+  async function getStats(userId, days) {
+    const nowMs = clock.now();
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+      dates.push(toUTCDate(nowMs - i * DAY_MS));
+    }
+    
+    const snapshot = await statsCollection(userId).where('date', '>=', dates[0]).get();
+    const typesByDate = new Map(snapshot.docs.map(doc => [doc.data().date, doc.data().types || {}]));
+    const allTypes = {};
+    
+    const series = dates.map(date => {
+      const types = typesByDate.get(date) || {};
+      for (const [type, counts] of Object.entries(types)) {
+        allTypes[type] = addCounts(allTypes[type] || emptyCounts(), counts);
+      }
+      return { date, ...summarizeTypes(types) };
+    });
+    
+    return {
+      from: dates[0],
+      to: dates[dates.length - 1],
+      total: summarizeTypes(allTypes),
+      days: series,
+    };
+  }
+
+  // Delete events older than ANALYTICS_EVENT_RETENTION_DAYS; the daily stats
+  // built from them stay
+  async function cleanupOldEvents() {
+    try {
+      const cutoff = admin.firestore.Timestamp.fromMillis(clock.now() - ANALYTICS_EVENT_RETENTION_DAYS * DAY_MS);
+      let deleted = 0;
+      
+      while (true) {
+        const snapshot = await eventsCollection()
+          .where('at', '<', cutoff)
+          .limit(FIRESTORE_BATCH_SIZE)
+          .get();
+        
+        await commitInBatches(db, snapshot.docs.map(doc => batch => batch.delete(doc.ref)));
+        deleted += snapshot.size;
+        if (snapshot.size < FIRESTORE_BATCH_SIZE) break;
+      }
+      
+      logger.info('🧹 Cleaned up notification events', { deleted });
+    } catch (error) {
+      logger.error('❌ Error cleaning up notification events', { error });
+    }
+  }
+  
+  return {
+    recordEvents,
+    recordClientEvent,
+    getRecentEvents,
+    rollupDailyStats,
+    rollupRecentStats,
+    getStats,
+    cleanupOldEvents,
+  };
+}
+
+// An event doc for one notification ({ id, notification, event, errorCode? })
+function buildEvent({ id, notification, event, errorCode = null }, nowMs) {
+  return {
+    notificationId: id,
+    userId: notification.userId,
+    type: notification.type || 'study_reminder',
+    reminderId: notification.reminderId || null,
+    event,
+    errorCode,
+    scheduledForUTC: notification.scheduledForUTC || null,
+    at: admin.firestore.Timestamp.fromMillis(nowMs),
+    date: toUTCDate(nowMs),
+  };
+}
+
+// "YYYY-MM-DD" in UTC
+function toUTCDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function emptyCounts() {
+  return Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, 0]));
+}
+
+function addCounts(target, counts) {
+  for (const event of NOTIFICATION_EVENTS) {
+    target[event] += counts[event] || 0;
+  }
+  return target;
+}
+
+function countEvent(types, type, event) {
+  if (!types[type]) types[type] = emptyCounts();
+  types[type][event] = (types[type][event] || 0) + 1;
+}
+
+// Counts with their rates: successRate is sent / (sent + failed) and openRate
+// is opened / sent, or null when there is nothing to divide by
+function withRates(counts) {
+  const attempted = counts.sent + counts.failed;
+  return {
+    ...counts,
+    successRate: attempted > 0 ? roundRate(counts.sent / attempted) : null,
+    openRate: counts.sent > 0 ? roundRate(counts.opened / counts.sent) : null,
+  };
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 10000) / 10000;
+}
+
+// Totals and rates of a { [type]: counts } map, with each type's own
+function summarizeTypes(types) {
+  const total = emptyCounts();
+  const byType = {};
+  
+  for (const [type, counts] of Object.entries(types)) {
+    addCounts(total, counts);
+    byType[type] = withRates(addCounts(emptyCounts(), counts));
+  }
+  
+  return { ...withRates(total), types: byType };
+}
+
+module.exports = {
+  createAnalytics,
+  toUTCDate,
+  withRates,
+};
@@ -0,0 +1,779 @@
+const crypto = require('crypto');
+const express = require('express');
+const admin = require('firebase-admin');
+const {
+  TERMINAL_STATUSES,
+  ADMIN_UIDS,
+  EDITABLE_PREFERENCE_FIELDS,
+  EDITABLE_REMINDER_FIELDS,
+  EDITABLE_DEADLINE_FIELDS,
+  CLIENT_NOTIFICATION_EVENTS,
+  MAX_STATS_DAYS,
+  CRON_STALE_SECONDS,
+  BACKLOG_MAX_DELAY_SECONDS,
+  METRICS_TOKEN,
+} = require('./config');
+const { validatePreferences, validateNamedReminder, validateCampaign, validateStudySession, validateFocusSession, validateDeadline } = require('./validation');
+const { remindersCollection } = require('./firestore');
+const { logger, withLogContext } = require('./logger');
+
+// The HTTP API. db, auth (admin.auth()), scheduler, campaigns, analytics,
+// streaks, focusSessions, deadlines and dispatcher are null until Firebase is
+// initialized; routes then answer 500. metrics is served by GET /metrics.
+// getStatus() adds instance details to the health checks.
+function createApp({ db, auth, clock, scheduler, campaigns, analytics, streaks, focusSessions, deadlines, dispatcher, metrics, getStatus }) {
+  const app = express();
+  app.use(express.json());
+  
+  // Every request gets an ID (the caller's X-Request-Id if it sends a sane one),
+  // which is sent back and attached to everything logged while handling it.
+  // Each request is logged when it finishes; health checks and scrapes only at
+  // debug level.
+  app.use((req, res, next) => {
+    const requestId = /^[\w-]{1,64}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+    const startedAtMs = Date.now();
+    res.set('X-Request-Id', requestId);
+    
+    res.on('finish', () => {
+      const level = req.originalUrl.startsWith('/v1') ? 'info' : 'debug';
+      logger[level]('🌐 Request handled', {
+        requestId,
+        userId: req.user ? req.user.uid : undefined,
+        method: req.method,
+        route: req.baseUrl + (req.route ? req.route.path : req.path),
+        status: res.statusCode,
+        durationMs: Date.now() - startedAtMs,
+      });
+    });
+    withLogContext({ requestId }, next);
+  });
+  
+  // Health check. A leader whose Firestore watcher is down (and waiting to
+  // restart) answers 503 "degraded".
+  app.get('/', (req, res) => {
+    const status = getStatus();
+    const degraded = !!status.watcher && !status.watcher.healthy;
+    res.status(degraded ? 503 : 200).json({ 
+      status: degraded ? 'degraded' : 'ok', 
+      service: 'StudyWell FCM Server',
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Liveness: 503 when this instance needs a restart, because the every-minute
+  // cron job has stopped ticking. A Firestore watcher that is down restarts
+  // itself (with backoff), so it is a readiness check instead.
+  app.get('/healthz', (req, res) => {
+    sendChecks(res, {
+      cron: checkCron(getStatus(), clock.now()),
+    });
+  });
+
+  // Readiness: 503 while Firebase is not initialized, Firestore cannot be read,
+  // due notifications are waiting too long to be sent or the leader's Firestore
+  // watcher is down
+  app.get('/readyz', async (req, res) => {
+    sendChecks(res, {
+      firebase: { ok: !!db },
+      backlog: await checkBacklog(),
+      watcher: checkWatcher(getStatus()),
+    });
+  });
+
+  // Prometheus metrics (see createMetrics)
+  app.get('/metrics', async (req, res) => {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+      return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    
+    const status = getStatus();
+    metrics.isLeader.set({}, status.isLeader ? 1 : 0);
+    metrics.watcherHealthy.set({}, checkWatcher(status).ok ? 1 : 0);
+    if (status.lastCronTickAt) {
+      metrics.lastCronTick.set({}, Date.parse(status.lastCronTickAt) / 1000);
+    }
+    
+    // Without Firestore the backlog gauges keep their last values
+    const backlog = await checkBacklog();
+    if (backlog.size !== undefined) {
+      metrics.backlogSize.set({}, backlog.size);
+      metrics.oldestOverdue.set({}, backlog.oldestDelaySeconds);
+    }
+    
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+
+  // The due notification backlog as a check: not ok once the oldest has waited
+  // more than BACKLOG_MAX_DELAY_SECONDS, or if it cannot be read
+  async function checkBacklog() {
+    if (!dispatcher) {
+      return { ok: false, error: 'Firebase not initialized' };
+    }
+    
+    try {
+      const backlog = await dispatcher.getBacklog();
+      const oldestDelaySeconds = backlog.oldestDueAtMs === null ? 0 : Math.max(0, Math.round((clock.now() - backlog.oldestDueAtMs) / 1000));
+      return { ok: oldestDelaySeconds <= BACKLOG_MAX_DELAY_SECONDS, size: backlog.size, oldestDelaySeconds };
+    } catch (error) {
+      logger.error('❌ Error reading the notification backlog', { error });
+      return { ok: false, error: error.message };
+    }
+  }
+
+  // Verify the Firebase ID token in "Authorization: Bearer <token>"
+  // and attach the decoded token to req.user
+  async function authenticate(req, res, next) {
+    if (!db) {
+      return res.status(500).json({ error: 'Firebase not initialized' });
+    }
+    
+    const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!match) {
+      return res.status(401).json({ error: 'Missing bearer token' });
+    }
+    
+    try {
+      req.user = await auth.verifyIdToken(match[1]);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired ID token' });
+    }
+    withLogContext({ userId: req.user.uid }, next);
+  }
+
+  // Allow only admins (custom claim or ADMIN_UIDS); use after authenticate
+  function requireAdmin(req, res, next) {
+    if (req.user.admin === true || ADMIN_UIDS.has(req.user.uid)) {
+      return next();
+    }
+    res.status(403).json({ error: 'Admin access required' });
+  }
+
+  // Versioned REST API. Every route acts on the caller's own data (req.user.uid).
+  const v1 = express.Router();
+  v1.use(authenticate);
+
+  // Get the caller's reminder preferences
+  v1.get('/preferences', async (req, res) => {
+    try {
+      const doc = await db.collection('notification_preferences').doc(req.user.uid).get();
+      
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'User preferences not found' });
+      }
+      
+      res.json(serializeFirestoreData(doc.data()));
+    } catch (error) {
+      logger.error('❌ Error reading preferences', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update the caller's reminder preferences (merged into the existing doc).
+  // The Firestore watcher picks the change up and reschedules.
+  v1.put('/preferences', async (req, res) => {
+    const body = req.body;
+    
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+    
+    const unknownFields = Object.keys(body).filter(field => !EDITABLE_PREFERENCE_FIELDS.has(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: `Unknown or read-only fields: ${unknownFields.join(', ')}` });
+    }
+    
+    try {
+      const ref = db.collection('notification_preferences').doc(req.user.uid);
+      const existing = await ref.get();
+      const validation = validatePreferences({ ...(existing.exists ? existing.data() : {}), ...body });
+      
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid preferences', details: validation.errors });
+      }
+      
+      await ref.set({
+        ...body,
+        userId: req.user.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      
+      const doc = await ref.get();
+      res.json(serializeFirestoreData(doc.data()));
+    } catch (error) {
+      logger.error('❌ Error updating preferences', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List the caller's upcoming (pending) notifications, soonest first
+  v1.get('/scheduled', async (req, res) => {
+    try {
+      const snapshot = await db.collection('scheduled_notifications')
+        .where('userId', '==', req.user.uid)
+        .where('status', '==', 'pending')
+        .get();
+      
+      const notifications = snapshot.docs
+        .sort((a, b) => a.data().scheduledForUTC.toMillis() - b.data().scheduledForUTC.toMillis())
+        .map(serializeScheduledNotification);
+      
+      res.json({ notifications });
+    } catch (error) {
+      logger.error('❌ Error listing scheduled notifications', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cancel one of the caller's pending notifications.
+  // The doc is kept as 'cancelled' so the horizon job does not recreate it.
+  // The check and the cancel run in one transaction, so a notification the
+  // dispatcher claims meanwhile (see claimNotification) is not cancelled and
+  // then sent anyway: one being sent or retried answers 409.
+  v1.delete('/scheduled/:id', async (req, res) => {
+    try {
+      const ref = db.collection('scheduled_notifications').doc(req.params.id);
+      const problem = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        
+        // Someone else's notification looks the same as a missing one
+        if (!doc.exists || doc.data().userId !== req.user.uid) {
+          return { status: 404, error: 'Scheduled notification not found' };
+        }
+        
+        const data = doc.data();
+        if (TERMINAL_STATUSES.has(data.status)) {
+          return { status: 409, error: `Notification is already ${data.status}` };
+        }
+        if ((data.attempts || 0) > 0 || (!!data.leaseExpiresAt && data.leaseExpiresAt.toMillis() > clock.now())) {
+          return { status: 409, error: 'Notification is being sent' };
+        }
+        
+        transaction.update(ref, {
+          status: 'cancelled',
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return null;
+      });
+      
+      if (problem) {
+        return res.status(problem.status).json({ error: problem.error });
+      }
+      res.json({ success: true, id: ref.id });
+    } catch (error) {
+      logger.error('❌ Error cancelling scheduled notification', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Report that the user opened or dismissed one of their sent notifications
+  // (body: { "event": "opened" | "dismissed" }). Reporting one twice is harmless.
+  v1.post('/notifications/:id/events', async (req, res) => {
+    const event = req.body && req.body.event;
+    if (!CLIENT_NOTIFICATION_EVENTS.has(event)) {
+      return res.status(400).json({ error: `event must be one of: ${[...CLIENT_NOTIFICATION_EVENTS].join(', ')}` });
+    }
+    
+    try {
+      const result = await analytics.recordClientEvent(req.user.uid, req.params.id, event);
+      
+      if (result === 'missing') {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+      if (result !== 'recorded' && result !== 'duplicate') {
+        return res.status(409).json({ error: `Notification is ${result}, not sent` });
+      }
+      
+      res.json({ success: true, id: req.params.id, event, duplicate: result === 'duplicate' });
+    } catch (error) {
+      logger.error('❌ Error recording notification event', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The caller's delivery stats for the last ?days= days (default 30)
+  v1.get('/stats', async (req, res) => {
+    const days = parseStatsDays(req.query.days);
+    if (!days) {
+      return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_STATS_DAYS}` });
+    }
+    
+    try {
+      res.json(await analytics.getStats(req.user.uid, days));
+    } catch (error) {
+      logger.error('❌ Error reading stats', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Log a completed study session
+  // (body: { "durationMinutes": 25, "subject"?: "Biology", "completedAt"?: ISO date-time }).
+  // Answers with the caller's streak after it.
+  v1.post('/sessions', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+    
+    const validation = validateStudySession(req.body, clock.now());
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid study session', details: validation.errors });
+    }
+    
+    try {
+      res.status(201).json(await streaks.recordSession(req.user.uid, validation.session));
+    } catch (error) {
+      logger.error('❌ Error logging study session', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The caller's study streak
+  v1.get('/streak', async (req, res) => {
+    try {
+      res.json(await streaks.getStreak(req.user.uid));
+    } catch (error) {
+      logger.error('❌ Error reading streak', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Start a focus session, which schedules its break and back-to-work pushes
+  // (body: { "workMinutes"?: 25, "breakMinutes"?: 5, "cycles"?: 4, "subject"?: "Biology" }).
+  // A caller with a session running or paused gets 409 and that session.
+  v1.post('/focus', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+    
+    const validation = validateFocusSession(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid focus session', details: validation.errors });
+    }
+    
+    try {
+      const result = await focusSessions.startSession(req.user.uid, validation.settings);
+      if (!result.created) {
+        return res.status(409).json({ error: `A focus session is already ${result.session.status}`, session: result.session });
+      }
+      res.status(201).json(result.session);
+    } catch (error) {
+      logger.error('❌ Error starting focus session', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The caller's running or paused focus session
+  v1.get('/focus', async (req, res) => {
+    try {
+      const session = await focusSessions.getActiveSession(req.user.uid);
+      if (!session) {
+        return res.status(404).json({ error: 'No active focus session' });
+      }
+      res.json(session);
+    } catch (error) {
+      logger.error('❌ Error reading focus session', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Pause, resume or stop one of the caller's focus sessions. Pausing takes its
+  // pushes back, resuming schedules them again later by the length of the
+  // pause, and stopping cancels them.
+  v1.post('/focus/:id/pause', (req, res) => changeFocusSession(req, res, 'pauseSession'));
+  v1.post('/focus/:id/resume', (req, res) => changeFocusSession(req, res, 'resumeSession'));
+  v1.post('/focus/:id/stop', (req, res) => changeFocusSession(req, res, 'stopSession'));
+
+  // Answers with the session after focusSessions[method] changed it, 404 if it
+  // is not the caller's and 409 if it is not in a state the change applies to
+  async function changeFocusSession(req, res, method) {
+    try {
+      const result = await focusSessions[method](req.user.uid, req.params.id);
+      
+      if (result === 'missing') {
+        return res.status(404).json({ error: 'Focus session not found' });
+      }
+      if (typeof result === 'string') {
+        return res.status(409).json({ error: `Focus session is ${result}` });
+      }
+      
+      res.json(result);
+    } catch (error) {
+      logger.error('❌ Error changing focus session', { error });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // The caller's exams and assignment deadlines, soonest first
+  v1.get('/deadlines', async (req, res) => {
+    try {
+      res.json({ deadlines: await deadlines.listDeadlines(req.user.uid) });
+    } catch (error) {
+      logger.error('❌ Error listing deadlines', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Add an exam or assignment deadline, which schedules its countdown reminders
+  // (body: { "kind"?: "exam" | "assignment", "title": "Biology midterm", "subject"?: "Biology", "dueAt": ISO date-time })
+  v1.post('/deadlines', async (req, res) => {
+    const problem = checkBody(req.body, EDITABLE_DEADLINE_FIELDS);
+    if (problem) return res.status(400).json(problem);
+    
+    const validation = validateDeadline(req.body, clock.now());
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid deadline', details: validation.errors });
+    }
+    
+    try {
+      res.status(201).json(await deadlines.saveDeadline(req.user.uid, null, validation.deadline));
+    } catch (error) {
+      logger.error('❌ Error creating deadline', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update one deadline (merged into it). Its reminders follow a new dueAt, and
+  // "done": true cancels them.
+  v1.put('/deadlines/:id', async (req, res) => {
+    const problem = checkBody(req.body, EDITABLE_DEADLINE_FIELDS);
+    if (problem) return res.status(400).json(problem);
+    
+    try {
+      const existing = await deadlines.getDeadline(req.user.uid, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Deadline not found' });
+      }
+      
+      const { kind, title, subject, dueAt } = existing;
+      const validation = validateDeadline({ kind, title, subject, dueAt, done: existing.status === 'done', ...req.body }, clock.now(), Date.parse(dueAt));
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid deadline', details: validation.errors });
+      }
+      
+      res.json(await deadlines.saveDeadline(req.user.uid, req.params.id, validation.deadline));
+    } catch (error) {
+      logger.error('❌ Error updating deadline', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete one deadline and cancel its reminders
+  v1.delete('/deadlines/:id', async (req, res) => {
+    try {
+      if (!await deadlines.deleteDeadline(req.user.uid, req.params.id)) {
+        return res.status(404).json({ error: 'Deadline not found' });
+      }
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      logger.error('❌ Error deleting deadline', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // List the caller's named reminders
+  v1.get('/reminders', async (req, res) => {
+    try {
+      const snapshot = await remindersCollection(db, req.user.uid).get();
+      res.json({ reminders: snapshot.docs.map(serializeDoc) });
+    } catch (error) {
+      logger.error('❌ Error listing reminders', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Create a named reminder (enabled unless the body says otherwise).
+  // The reminders watcher schedules it.
+  v1.post('/reminders', async (req, res) => {
+    const problem = checkBody(req.body, EDITABLE_REMINDER_FIELDS);
+    if (problem) return res.status(400).json(problem);
+    
+    const data = { enabled: true, ...req.body };
+    const validation = validateNamedReminder(data);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid reminder', details: validation.errors });
+    }
+    
+    try {
+      const ref = await remindersCollection(db, req.user.uid).add({
+        ...data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      
+      res.status(201).json(serializeDoc(await ref.get()));
+    } catch (error) {
+      logger.error('❌ Error creating reminder', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Update one named reminder (merged into the existing doc)
+  v1.put('/reminders/:id', async (req, res) => {
+    const problem = checkBody(req.body, EDITABLE_REMINDER_FIELDS);
+    if (problem) return res.status(400).json(problem);
+    
+    try {
+      const ref = remindersCollection(db, req.user.uid).doc(req.params.id);
+      const existing = await ref.get();
+      
+      if (!existing.exists) {
+        return res.status(404).json({ error: 'Reminder not found' });
+      }
+      
+      const validation = validateNamedReminder({ ...existing.data(), ...req.body });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid reminder', details: validation.errors });
+      }
+      
+      await ref.set({
+        ...req.body,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      
+      res.json(serializeDoc(await ref.get()));
+    } catch (error) {
+      logger.error('❌ Error updating reminder', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete one named reminder; the watcher cancels its pending notifications
+  v1.delete('/reminders/:id', async (req, res) => {
+    try {
+      const ref = remindersCollection(db, req.user.uid).doc(req.params.id);
+      const existing = await ref.get();
+      
+      if (!existing.exists) {
+        return res.status(404).json({ error: 'Reminder not found' });
+      }
+      
+      await ref.delete();
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      logger.error('❌ Error deleting reminder', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Admin campaigns: announcements to a topic, condition or user segment
+  const adminRoutes = express.Router();
+  adminRoutes.use(requireAdmin);
+
+  // Create a campaign. Without sendAt it is sent right away (202); stats are
+  // recorded on the campaign when sending finishes.
+  adminRoutes.post('/campaigns', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+    
+    const nowMs = clock.now();
+    const validation = validateCampaign(req.body, nowMs);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid campaign', details: validation.errors });
+    }
+    
+    try {
+      const ref = await campaigns.createCampaign(validation.campaign, req.user.uid);
+      const immediate = validation.campaign.sendAtMs <= nowMs;
+      
+      if (immediate) {
+        campaigns.sendCampaignInBackground(ref);
+      }
+      
+      res.status(immediate ? 202 : 201).json(serializeDoc(await ref.get()));
+    } catch (error) {
+      logger.error('❌ Error creating campaign', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The 50 most recent campaigns, newest first
+  adminRoutes.get('/campaigns', async (req, res) => {
+    try {
+      const snapshot = await campaigns.campaignsCollection()
+        .orderBy('createdAt', 'desc')
+        .limit(50)
+        .get();
+      
+      res.json({ campaigns: snapshot.docs.map(serializeDoc) });
+    } catch (error) {
+      logger.error('❌ Error listing campaigns', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // One campaign with its status and stats
+  adminRoutes.get('/campaigns/:id', async (req, res) => {
+    try {
+      const doc = await campaigns.campaignsCollection().doc(req.params.id).get();
+      
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      
+      res.json(serializeDoc(doc));
+    } catch (error) {
+      logger.error('❌ Error reading campaign', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cancel a campaign that has not started sending
+  adminRoutes.delete('/campaigns/:id', async (req, res) => {
+    try {
+      const status = await campaigns.cancelCampaign(campaigns.campaignsCollection().doc(req.params.id));
+      
+      if (status === 'missing') {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (status) {
+        return res.status(409).json({ error: `Campaign is already ${status}` });
+      }
+      
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      logger.error('❌ Error cancelling campaign', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delivery stats of every user for the last ?days= days (default 30)
+  adminRoutes.get('/stats', async (req, res) => {
+    const days = parseStatsDays(req.query.days);
+    if (!days) {
+      return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_STATS_DAYS}` });
+    }
+    
+    try {
+      res.json(await analytics.getStats(null, days));
+    } catch (error) {
+      logger.error('❌ Error reading stats', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  v1.use('/admin', adminRoutes);
+  app.use('/v1', v1);
+
+  // Manual trigger endpoint to test scheduling (for debugging, admins only)
+  app.post('/trigger-schedule/:userId', authenticate, requireAdmin, async (req, res) => {
+    try {
+      const userId = req.params.userId;
+      const doc = await db.collection('notification_preferences').doc(userId).get();
+      
+      if (!doc.exists) {
+        return res.status(404).json({ error: 'User preferences not found' });
+      }
+      
+      const data = doc.data();
+      logger.info('🔧 Manual trigger: scheduling', { userId });
+      const scheduled = await scheduler.rescheduleAllReminderTypes(userId, data);
+      
+      if (scheduled.length > 0) {
+        res.json({ 
+          success: true, 
+          message: `Scheduled notifications for user ${userId}`,
+          types: scheduled,
+        });
+      } else {
+        res.json({ 
+          success: false, 
+          message: 'Notifications disabled or no FCM token' 
+        });
+      }
+    } catch (error) {
+      logger.error('❌ Error in manual trigger', { error });
+      res.status(500).json({ error: error.message });
+    }
+  });
+  
+  return app;
+}
+
+// Convert Firestore data for JSON responses (Timestamps → ISO strings)
+function serializeFirestoreData(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(serializeFirestoreData);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serializeFirestoreData(v)]));
+  }
+  return value;
+}
+
+// Public fields of a scheduled notification doc
+function serializeScheduledNotification(doc) {
+  const data = doc.data();
+  return serializeFirestoreData({
+    id: doc.id,
+    type: data.type,
+    title: data.title,
+    message: data.message,
+    scheduledFor: data.scheduledFor,
+    scheduledForUTC: data.scheduledForUTC,
+    localDate: data.localDate || null,
+    reminderId: data.reminderId || null,
+    status: data.status || (data.sent ? 'sent' : 'pending'),
+    attempts: data.attempts || 0,
+  });
+}
+
+// Answer a health endpoint with its checks ({ [name]: { ok, ...details } }):
+// 200 "ok" if every check is ok, otherwise 503 "fail"
+function sendChecks(res, checks) {
+  const ok = Object.values(checks).every(check => check.ok);
+  res.status(ok ? 200 : 503).json({
+    status: ok ? 'ok' : 'fail',
+    checks,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// The every-minute cron job has ticked within CRON_STALE_SECONDS (of the
+// server starting, before its first tick)
+function checkCron(status, nowMs) {
+  const lastTickAt = status.lastCronTickAt || status.startedAt;
+  const ageSeconds = Math.round((nowMs - Date.parse(lastTickAt)) / 1000);
+  return { ok: ageSeconds <= CRON_STALE_SECONDS, lastTickAt: status.lastCronTickAt, ageSeconds };
+}
+
+// The Firestore watcher is up, or not needed (this instance is not the leader)
+function checkWatcher(status) {
+  if (!status.watcher) return { ok: true, running: false };
+  return {
+    ok: status.watcher.healthy,
+    running: status.watcher.running,
+    restarts: status.watcher.restarts,
+    lastError: status.watcher.lastError,
+  };
+}
+
+// A doc as JSON, with its id
+function serializeDoc(doc) {
+  return { id: doc.id, ...serializeFirestoreData(doc.data()) };
+}
+
+// Check a /v1/reminders or /v1/deadlines body against the fields callers may
+// set; returns an error response body or null
+function checkBody(body, editableFields) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object' };
+  }
+  
+  const unknownFields = Object.keys(body).filter(field => !editableFields.has(field));
+  if (unknownFields.length > 0) {
+    return { error: `Unknown or read-only fields: ${unknownFields.join(', ')}` };
+  }
+  
+  return null;
+}
+
+// The ?days= of a stats request (default 30), or null if it is out of range
+function parseStatsDays(value) {
+  if (value === undefined) return 30;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= MAX_STATS_DAYS ? days : null;
+}
+
+module.exports = {
+  createApp,
+};
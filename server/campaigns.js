@@ -0,0 +1,308 @@
+const admin = require('firebase-admin');
+const {
+  REMINDER_TYPES,
+  INVALID_TOKEN_ERRORS,
+  FCM_BATCH_SIZE,
+  INSTANCE_ID,
+  DEFAULT_LOCALE,
+  CAMPAIGN_CHANNEL_ID,
+  CAMPAIGN_SEND_TIMEOUT_MINUTES,
+} = require('./config');
+const { mapWithConcurrency } = require('./firestore');
+const { logger } = require('./logger');
+
+// Admin campaigns: announcements sent to a topic, a topic condition or a segment
+// of users (see validateCampaign), stored in the campaigns collection with their
+// delivery stats. A campaign is 'scheduled' until its sendAt, then 'sending' while
+// one instance (holding it by a transaction) sends it, then 'sent' or 'failed';
+// an admin can cancel it while it is still scheduled.
+function createCampaigns({ db, clock, messenger, devices, instanceId = INSTANCE_ID }) {
+  // A slow tick must not overlap the next one (see dispatchDueCampaigns)
+  let dispatchInProgress = false;
+  // Campaigns sent right away (see sendCampaignInBackground), so a shutdown
+  // can wait for them
+  const backgroundSends = new Set();
+
+  function campaignsCollection() {
+    return db.collection('campaigns');
+  }
+
+  // Store a validated campaign as scheduled. Returns its doc ref.
+  async function createCampaign(campaign, createdBy) {
+    const ref = campaignsCollection().doc();
+    await ref.create({
+      title: campaign.title,
+      body: campaign.body,
+      target: campaign.target,
+      data: campaign.data,
+      sendAt: admin.firestore.Timestamp.fromMillis(campaign.sendAtMs),
+      status: 'scheduled',
+      stats: null,
+      createdBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    
+    logger.info('📣 Campaign created', { campaignId: ref.id, createdBy, sendAt: new Date(campaign.sendAtMs).toISOString() });
+    return ref;
+  }
+
+  // Cancel a campaign that has not started sending.
+  // Returns null on success or the status that prevented it.
+  async function cancelCampaign(ref) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return 'missing';
+      if (doc.data().status !== 'scheduled') return doc.data().status;
+      
+      transaction.update(ref, {
+        status: 'cancelled',
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    });
+  }
+
+  // Atomically move a due campaign from 'scheduled' to 'sending' for this
+  // instance. Returns the campaign data, or null if it is not ours to send.
+  async function claimCampaign(ref) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      
+      const data = doc.data();
+      const nowMs = clock.now();
+      if (data.status !== 'scheduled' || data.sendAt.toMillis() > nowMs) return null;
+      
+      transaction.update(ref, {
+        status: 'sending',
+        sendingBy: instanceId,
+        startedAt: admin.firestore.Timestamp.fromMillis(nowMs),
+      });
+      return data;
+    });
+  }
+
+  // Send one campaign if it is due and still scheduled, and record its stats.
+  // Returns the stats, or null if it was not sent by this call.
+  async function sendCampaign(ref) {
+    const campaign = await claimCampaign(ref);
+    if (!campaign) return null;
+    
+    try {
+      const stats = campaign.target.type === 'segment'
+        ? await sendToSegment(ref.id, campaign)
+        : await sendToTopic(ref.id, campaign);
+      // Nothing delivered out of something attempted is a failed campaign
+      const status = stats.sent === 0 && stats.failed + stats.invalidToken > 0 ? 'failed' : 'sent';
+      
+      await ref.update({
+        status,
+        stats,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      logger.info('📣 Campaign finished', { campaignId: ref.id, status, sent: stats.sent, failed: stats.failed, invalidToken: stats.invalidToken });
+      return stats;
+    } catch (error) {
+      logger.error('❌ Error sending campaign', { campaignId: ref.id, error });
+      await ref.update({
+        status: 'failed',
+        error: error.message,
+        errorCode: error.code || null,
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    }
+  }
+
+  // Send a campaign without waiting for it (a campaign created to go out
+  // now). whenIdle() resolves once it is done.
+  function sendCampaignInBackground(ref) {
+    const sending = sendCampaign(ref)
+      .catch(error => logger.error('❌ Error sending campaign', { campaignId: ref.id, error }))
+      .finally(() => backgroundSends.delete(sending));
+    backgroundSends.add(sending);
+  }
+
+  // Resolves once the campaigns sent in the background are done
+  function whenIdle() {
+    return Promise.allSettled([...backgroundSends]);
+  }
+
+  // One message to a topic or condition; FCM fans it out, so only the message
+  // itself is counted
+  async function sendToTopic(campaignId, campaign) {
+    const target = campaign.target.type === 'topic'
+      ? { topic: campaign.target.topic }
+      : { condition: campaign.target.condition };
+    const { responses: [response] } = await messenger.sendEach([buildCampaignMessage(campaignId, campaign, target)]);
+    
+    if (!response.success) {
+      throw Object.assign(new Error((response.error && response.error.message) || 'Send failed'), {
+        code: response.error && response.error.code,
+      });
+    }
+    
+    return { users: null, devices: null, sent: 1, failed: 0, invalidToken: 0, messageId: response.messageId };
+  }
+
+  // One message per active device of every user in the segment, in sendEach()
+  // chunks of FCM_BATCH_SIZE. Dead tokens are pruned as for reminders.
+  async function sendToSegment(campaignId, campaign) {
+    const segment = campaign.target.segment;
+    const users = await getSegmentUsers(segment);
+    const deviceLists = await mapWithConcurrency(users, async ({ userId, preferences }) => {
+      const active = await devices.getActiveDevices(userId);
+      if (active.length === 0 && preferences.fcmToken && !segment.platforms) {
+        return [{ token: preferences.fcmToken, platform: null }];
+      }
+      return segment.platforms ? active.filter(device => segment.platforms.includes(device.platform)) : active;
+    });
+    
+    const deliveries = users.flatMap(({ userId }, index) => deviceLists[index].map(device => ({ userId, token: device.token })));
+    const stats = { users: users.length, devices: deliveries.length, sent: 0, failed: 0, invalidToken: 0 };
+    const deadTokensByUser = new Map();
+    
+    for (let i = 0; i < deliveries.length; i += FCM_BATCH_SIZE) {
+      const chunk = deliveries.slice(i, i + FCM_BATCH_SIZE);
+      let responses;
+      
+      try {
+        const batchResponse = await messenger.sendEach(chunk.map(delivery => buildCampaignMessage(campaignId, campaign, { token: delivery.token })));
+        responses = batchResponse.responses;
+      } catch (error) {
+        logger.error('❌ Error sending campaign batch', { campaignId, error });
+        responses = chunk.map(() => ({ success: false, error }));
+      }
+      
+      chunk.forEach((delivery, index) => {
+        const response = responses[index];
+        if (response.success) {
+          stats.sent++;
+        } else if (response.error && INVALID_TOKEN_ERRORS.has(response.error.code)) {
+          stats.invalidToken++;
+          if (!deadTokensByUser.has(delivery.userId)) deadTokensByUser.set(delivery.userId, []);
+          deadTokensByUser.get(delivery.userId).push(delivery.token);
+        } else {
+          stats.failed++;
+        }
+      });
+    }
+    
+    for (const [userId, tokens] of deadTokensByUser) {
+      await devices.removeDeviceTokens(userId, tokens);
+    }
+    
+    return stats;
+  }
+
+  // [{ userId, preferences }] of the users a segment matches
+  async function getSegmentUsers(segment) {
+    let docs;
+    if (segment.userIds) {
+      docs = await mapWithConcurrency(segment.userIds, userId => db.collection('notification_preferences').doc(userId).get());
+      docs = docs.filter(doc => doc.exists);
+    } else {
+      docs = (await db.collection('notification_preferences').get()).docs;
+    }
+    
+    return docs
+      .map(doc => ({ userId: doc.id, preferences: doc.data() }))
+      .filter(({ preferences }) => matchesSegment(preferences, segment));
+  }
+
+  // Send every campaign whose time has come, and fail the ones an instance
+  // stopped sending midway (they are not resent, so nobody gets one twice).
+  // Needs a composite index on campaigns: status ASC, sendAt ASC.
+  async function dispatchDueCampaigns() {
+    if (dispatchInProgress) return;
+    dispatchInProgress = true;
+    
+    try {
+      const nowMs = clock.now();
+      const due = await campaignsCollection()
+        .where('status', '==', 'scheduled')
+        .where('sendAt', '<=', admin.firestore.Timestamp.fromMillis(nowMs))
+        .get();
+      
+      for (const doc of due.docs) {
+        await sendCampaign(doc.ref);
+      }
+      
+      const sending = await campaignsCollection().where('status', '==', 'sending').get();
+      const staleBeforeMs = nowMs - CAMPAIGN_SEND_TIMEOUT_MINUTES * 60 * 1000;
+      for (const doc of sending.docs.filter(doc => doc.data().startedAt.toMillis() < staleBeforeMs)) {
+        logger.error('❌ Campaign was interrupted while sending', { campaignId: doc.id, sendingBy: doc.data().sendingBy });
+        await doc.ref.update({
+          status: 'failed',
+          error: 'Interrupted while sending',
+          errorCode: 'interrupted',
+          completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { lastUpdateTime: doc.updateTime });
+      }
+    } catch (error) {
+      logger.error('❌ Error dispatching campaigns', { error });
+    } finally {
+      dispatchInProgress = false;
+    }
+  }
+  
+  return {
+    campaignsCollection,
+    createCampaign,
+    cancelCampaign,
+    sendCampaign,
+    sendCampaignInBackground,
+    dispatchDueCampaigns,
+    whenIdle,
+  };
+}
+
+// Whether a user's preferences doc matches a segment's locale and reminder
+// filters (platforms filter devices, not users). A locale filter of "es"
+// matches "es" and "es-MX"; users without a locale count as DEFAULT_LOCALE.
+function matchesSegment(preferences, segment) {
+  if (segment.locales) {
+    let locale = DEFAULT_LOCALE;
+    try {
+      locale = Intl.getCanonicalLocales(preferences.locale || DEFAULT_LOCALE)[0];
+    } catch (error) {
+      // Not a well-formed tag: treat as the default
+    }
+    if (!segment.locales.some(wanted => locale === wanted || locale.startsWith(`${wanted}-`))) return false;
+  }
+  
+  if (segment.reminderTypes) {
+    if (!segment.reminderTypes.some(key => preferences[REMINDER_TYPES[key].fields.enabled] === true)) return false;
+  }
+  
+  return true;
+}
+
+// FCM message for a campaign and one target ({ token }, { topic } or { condition })
+function buildCampaignMessage(campaignId, campaign, target) {
+  return {
+    ...target,
+    notification: {
+      title: campaign.title,
+      body: campaign.body,
+    },
+    data: {
+      ...campaign.data,
+      type: 'campaign',
+      campaignId,
+    },
+    android: {
+      priority: 'high',
+      notification: {
+        channelId: CAMPAIGN_CHANNEL_ID,
+        sound: 'default',
+      },
+    },
+  };
+}
+
+module.exports = {
+  createCampaigns,
+  matchesSegment,
+  buildCampaignMessage,
+};
@@ -0,0 +1,34 @@
+const admin = require('firebase-admin');
+const { commitInBatches } = require('./firestore');
+const { logger } = require('./logger');
+
+function createCleanup({ db, clock }) {
+  // Delete sent notifications and failed/cancelled ones older than a week
+  async function cleanupOldNotifications() {
+    try {
+      const oneWeekAgo = admin.firestore.Timestamp.fromMillis(clock.now() - 7 * 24 * 60 * 60 * 1000);
+      
+      const sentSnapshot = await db.collection('scheduled_notifications')
+        .where('sent', '==', true)
+        .where('sentAt', '<', oneWeekAgo)
+        .limit(500)
+        .get();
+      
+      // Uses the status + dueAt delivery index
+      const failedSnapshot = await db.collection('scheduled_notifications')
+        .where('status', 'in', ['failed', 'invalid-token', 'cancelled'])
+        .where('dueAt', '<', oneWeekAgo)
+        .limit(500)
+        .get();
+      
+      await commitInBatches(db, [...sentSnapshot.docs, ...failedSnapshot.docs].map(doc => batch => batch.delete(doc.ref)));
+      logger.info('🧹 Cleaned up old notifications', { sent: sentSnapshot.size, failedOrCancelled: failedSnapshot.size });
+    } catch (error) {
+      logger.error('❌ Error cleaning up', { error });
+    }
+  }
+  
+  return { cleanupOldNotifications };
+}
+
+module.exports = { createCleanup };
@@ -0,0 +1,7 @@
+// Time source for the scheduler, dispatcher and leases.
+// Everything that needs "now" takes a clock, so tests can run at a fixed time.
+const systemClock = {
+  now: () => Date.now(),
+};
+
+module.exports = { systemClock };
@@ -0,0 +1,511 @@
+// Configuration shared by the server modules: reminder types, limits and the
+// environment variables described in the README.
+
+const os = require('os');
+const crypto = require('crypto');
+
+// Reminder types the server schedules from notification_preferences.
+// Each type reads its own preference fields and is scheduled/cancelled on its own,
+// so turning one off never clears the other.
+const REMINDER_TYPES = {
+  study: {
+    type: 'study_reminder',
+    idPrefix: 'study',
+    title: 'Study Time! 📚',
+    channelId: 'study_reminders',
+    defaultMessage: 'Time to focus on your studies.',
+    fields: {
+      enabled: 'studyRemindersEnabled',
+      hour: 'studyReminderHour',
+      minute: 'studyReminderMinute',
+      frequency: 'studyReminderFrequency',
+      days: 'studyReminderDays',
+      times: 'studyReminderTimes',
+      rule: 'studyReminderRule',
+      cron: 'studyReminderCron',
+      message: 'customMessage',
+    },
+  },
+  break: {
+    type: 'break_reminder',
+    idPrefix: 'break',
+    title: 'Break Time! ☕',
+    channelId: 'break_reminders',
+    defaultMessage: 'Time to take a short break.',
+    fields: {
+      enabled: 'breakRemindersEnabled',
+      hour: 'breakReminderHour',
+      minute: 'breakReminderMinute',
+      frequency: 'breakReminderFrequency',
+      days: 'breakReminderDays',
+      times: 'breakReminderTimes',
+      rule: 'breakReminderRule',
+      cron: 'breakReminderCron',
+      message: 'breakReminderMessage',
+    },
+  },
+};
+
+// How many days ahead each enabled user is kept scheduled.
+// The horizon job tops this window up, so it never runs dry.
+const SCHEDULE_HORIZON_DAYS = parseInt(process.env.SCHEDULE_HORIZON_DAYS || '14', 10);
+
+// Delivery settings
+// Notifications found up to DELIVERY_GRACE_MINUTES late (cold start, slow tick) are still sent;
+// older ones are marked failed instead of firing hours late.
+const DELIVERY_GRACE_MINUTES = parseInt(process.env.DELIVERY_GRACE_MINUTES || '15', 10);
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.MAX_DELIVERY_ATTEMPTS || '5', 10);
+const RETRY_BASE_DELAY_SECONDS = parseInt(process.env.RETRY_BASE_DELAY_SECONDS || '60', 10);
+
+// FCM sendEach() and Firestore batched writes both cap out at 500 per call
+const FCM_BATCH_SIZE = 500;
+const FIRESTORE_BATCH_SIZE = 500;
+// Claim transactions and per-user reads run in parallel, this many at a time
+const FIRESTORE_CONCURRENCY = 50;
+
+// Device tokens not refreshed for this long are treated as inactive
+const DEVICE_TOKEN_MAX_AGE_DAYS = parseInt(process.env.DEVICE_TOKEN_MAX_AGE_DAYS || '60', 10);
+
+// Notification statuses that will never be sent again.
+// 'cancelled' docs are kept (not deleted) so the horizon job does not recreate them.
+const TERMINAL_STATUSES = new Set(['sent', 'failed', 'invalid-token', 'cancelled']);
+
+// FCM errors meaning the token will never work again
+const INVALID_TOKEN_ERRORS = new Set([
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+]);
+
+// FCM errors worth retrying; anything else fails the notification immediately
+const RETRYABLE_MESSAGING_ERRORS = new Set([
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unknown-error',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'messaging/quota-exceeded',
+  'app/network-error',
+  'app/network-timeout',
+]);
+
+// Leases let several instances run side by side (deploy overlap, scale-out).
+// Each notification is claimed before it is sent, and only the leader instance
+// runs the Firestore watcher and the maintenance jobs.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+const NOTIFICATION_LEASE_SECONDS = parseInt(process.env.NOTIFICATION_LEASE_SECONDS || '120', 10);
+const LEADER_LEASE_SECONDS = parseInt(process.env.LEADER_LEASE_SECONDS || '60', 10);
+
+// The watcher restarts its Firestore listeners after an error, waiting twice as
+// long after each failure in a row (from the min up to the max)
+const WATCHER_RESTART_MIN_SECONDS = parseInt(process.env.WATCHER_RESTART_MIN_SECONDS || '1', 10);
+const WATCHER_RESTART_MAX_SECONDS = parseInt(process.env.WATCHER_RESTART_MAX_SECONDS || '300', 10);
+// How long SIGTERM waits for in-flight sends and jobs before exiting
+const SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '25', 10);
+
+// Health checks: GET /healthz fails once the every-minute cron job has not
+// ticked for CRON_STALE_SECONDS, and GET /readyz once a due notification has
+// waited more than BACKLOG_MAX_DELAY_SECONDS to be sent
+const CRON_STALE_SECONDS = parseInt(process.env.CRON_STALE_SECONDS || '180', 10);
+const BACKLOG_MAX_DELAY_SECONDS = parseInt(process.env.BACKLOG_MAX_DELAY_SECONDS || '300', 10);
+// GET /metrics (Prometheus) needs "Authorization: Bearer <METRICS_TOKEN>" when set
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Histogram buckets, in seconds: from a notification's scheduled time to its
+// delivery, and of each FCM sendEach() call
+const SEND_LATENCY_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 900];
+const FCM_REQUEST_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Preference limits (see validatePreferences)
+const REMINDER_FREQUENCIES = ['daily', 'weekly', 'custom'];
+const MAX_MESSAGE_LENGTH = 200;
+const QUIET_MODES = ['skip', 'defer'];
+// Caps a recurrence so a rule like "every minute" cannot flood a user
+const MAX_TIMES_PER_DAY = 24;
+const MAX_QUIET_PERIODS = 20;
+
+// Users allowed to call admin endpoints, in addition to anyone whose ID token
+// carries the `admin: true` custom claim. Comma-separated Firebase UIDs.
+const ADMIN_UIDS = new Set((process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean));
+
+// Preference fields callers may set through PUT /v1/preferences
+const EDITABLE_PREFERENCE_FIELDS = new Set([
+  ...Object.values(REMINDER_TYPES).flatMap(config => Object.values(config.fields)),
+  'timezone',
+  'timezoneOffset',
+  'quietHours',
+  'doNotDisturb',
+  'quietHoursMode',
+  'locale',
+  'displayName',
+  'smartTimingEnabled',
+  'smartTimingWindowMinutes',
+  'streakRemindersEnabled',
+  'streakReminderHour',
+  'streakReminderMinute',
+]);
+
+// Named reminders live in notification_preferences/{userId}/reminders/{reminderId},
+// so a user can have any number of them. Their schedule fields follow the same
+// rules as the flat preference fields above, without the reminder type prefix.
+const NAMED_REMINDER_FIELDS = {
+  enabled: 'enabled',
+  hour: 'hour',
+  minute: 'minute',
+  frequency: 'frequency',
+  days: 'days',
+  times: 'times',
+  rule: 'rule',
+  cron: 'cron',
+  message: 'message',
+};
+const MAX_LABEL_LENGTH = 60;
+
+// Fields callers may set on a named reminder through /v1/reminders
+const EDITABLE_REMINDER_FIELDS = new Set([...Object.values(NAMED_REMINDER_FIELDS), 'label', 'kind', 'subject']);
+
+// Notification text is rendered from templates when each notification is sent,
+// so template and profile edits reach reminders that are already scheduled.
+// Templates are picked by notification type and the user's `locale` preference,
+// falling back to the language ("es-MX" → "es") and then DEFAULT_LOCALE. Each
+// locale lists variants in order of preference; the first one whose {variables}
+// all have a value is used. Docs in the notification_templates collection
+// ({ locales: { en: { title, body } or [...] } }, keyed by type) take precedence
+// over these built-in ones.
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+const TEMPLATE_VARIABLES = ['name', 'streak', 'subject', 'nextExam', 'deadline', 'countdown'];
+const MAX_DISPLAY_NAME_LENGTH = 50;
+const NOTIFICATION_TEMPLATES = {
+  study_reminder: {
+    en: [
+      { title: 'Study Time! 📚', body: '{name}, time to study {subject}.' },
+      { title: 'Study Time! 📚', body: 'Time to study {subject}.' },
+      { title: 'Study Time! 📚', body: '{name}, time to focus on your studies.' },
+      { title: 'Study Time! 📚', body: 'Time to focus on your studies.' },
+    ],
+    es: [
+      { title: '¡Hora de estudiar! 📚', body: '{name}, es hora de estudiar {subject}.' },
+      { title: '¡Hora de estudiar! 📚', body: 'Es hora de estudiar {subject}.' },
+      { title: '¡Hora de estudiar! 📚', body: '{name}, es hora de concentrarte en tus estudios.' },
+      { title: '¡Hora de estudiar! 📚', body: 'Es hora de concentrarte en tus estudios.' },
+    ],
+    fil: [
+      { title: 'Oras na para mag-aral! 📚', body: '{name}, oras na para mag-aral ng {subject}.' },
+      { title: 'Oras na para mag-aral! 📚', body: 'Oras na para mag-aral ng {subject}.' },
+      { title: 'Oras na para mag-aral! 📚', body: '{name}, oras na para mag-focus sa pag-aaral.' },
+      { title: 'Oras na para mag-aral! 📚', body: 'Oras na para mag-focus sa pag-aaral.' },
+    ],
+  },
+  streak_reminder: {
+    en: [
+      { title: "🔥 Don't lose your {streak}-day streak!", body: '{name}, a short study session today keeps it going.' },
+      { title: "🔥 Don't lose your {streak}-day streak!", body: 'A short study session today keeps it going.' },
+    ],
+    es: [
+      { title: '🔥 ¡No pierdas tu racha de {streak} días!', body: '{name}, una breve sesión de estudio hoy la mantiene.' },
+      { title: '🔥 ¡No pierdas tu racha de {streak} días!', body: 'Una breve sesión de estudio hoy la mantiene.' },
+    ],
+    fil: [
+      { title: '🔥 Huwag sayangin ang {streak}-araw mong streak!', body: '{name}, kaunting pag-aaral lang ngayon para tuloy-tuloy ito.' },
+      { title: '🔥 Huwag sayangin ang {streak}-araw mong streak!', body: 'Kaunting pag-aaral lang ngayon para tuloy-tuloy ito.' },
+    ],
+  },
+  break_reminder: {
+    en: [
+      { title: 'Break Time! ☕', body: '{name}, time to take a short break.' },
+      { title: 'Break Time! ☕', body: 'Time to take a short break.' },
+    ],
+    es: [
+      { title: '¡Hora del descanso! ☕', body: '{name}, es hora de tomar un breve descanso.' },
+      { title: '¡Hora del descanso! ☕', body: 'Es hora de tomar un breve descanso.' },
+    ],
+    fil: [
+      { title: 'Oras na para magpahinga! ☕', body: '{name}, magpahinga ka muna sandali.' },
+      { title: 'Oras na para magpahinga! ☕', body: 'Magpahinga ka muna sandali.' },
+    ],
+  },
+  deadline_reminder: {
+    en: [
+      { title: '📅 {deadline} is {countdown}', body: '{name}, plan some time for {subject}.' },
+      { title: '📅 {deadline} is {countdown}', body: 'Plan some time for {subject}.' },
+      { title: '📅 {deadline} is {countdown}', body: 'Plan some time to get ready.' },
+    ],
+    es: [
+      { title: '📅 {deadline}: {countdown}', body: '{name}, reserva tiempo para {subject}.' },
+      { title: '📅 {deadline}: {countdown}', body: 'Reserva tiempo para {subject}.' },
+      { title: '📅 {deadline}: {countdown}', body: 'Reserva tiempo para prepararte.' },
+    ],
+    fil: [
+      { title: '📅 {deadline}: {countdown}', body: '{name}, maglaan ng oras para sa {subject}.' },
+      { title: '📅 {deadline}: {countdown}', body: 'Maglaan ng oras para sa {subject}.' },
+      { title: '📅 {deadline}: {countdown}', body: 'Maglaan ng oras para maghanda.' },
+    ],
+  },
+  focus_break: {
+    en: [
+      { title: 'Break time! ☕', body: 'Nice focus on {subject}. Take a short break.' },
+      { title: 'Break time! ☕', body: 'Nice focus. Take a short break.' },
+    ],
+    es: [
+      { title: '¡Hora del descanso! ☕', body: 'Buen trabajo con {subject}. Toma un breve descanso.' },
+      { title: '¡Hora del descanso! ☕', body: 'Buen trabajo. Toma un breve descanso.' },
+    ],
+    fil: [
+      { title: 'Oras na para magpahinga! ☕', body: 'Galing sa {subject}! Magpahinga ka muna sandali.' },
+      { title: 'Oras na para magpahinga! ☕', body: 'Galing! Magpahinga ka muna sandali.' },
+    ],
+  },
+  focus_work: {
+    en: [
+      { title: 'Back to work! 📚', body: 'Break is over. Back to {subject}.' },
+      { title: 'Back to work! 📚', body: 'Break is over. Time to focus again.' },
+    ],
+    es: [
+      { title: '¡De vuelta al trabajo! 📚', body: 'Se acabó el descanso. De vuelta a {subject}.' },
+      { title: '¡De vuelta al trabajo! 📚', body: 'Se acabó el descanso. Es hora de concentrarte otra vez.' },
+    ],
+    fil: [
+      { title: 'Balik-aral na! 📚', body: 'Tapos na ang pahinga. Balik sa {subject}.' },
+      { title: 'Balik-aral na! 📚', body: 'Tapos na ang pahinga. Mag-focus ulit.' },
+    ],
+  },
+  focus_complete: {
+    en: [
+      { title: 'Focus session complete! 🎉', body: '{name}, great work. Your focus session is done.' },
+      { title: 'Focus session complete! 🎉', body: 'Great work. Your focus session is done.' },
+    ],
+    es: [
+      { title: '¡Sesión de concentración completa! 🎉', body: '{name}, buen trabajo. Terminaste tu sesión.' },
+      { title: '¡Sesión de concentración completa! 🎉', body: 'Buen trabajo. Terminaste tu sesión.' },
+    ],
+    fil: [
+      { title: 'Tapos na ang focus session! 🎉', body: '{name}, ang galing mo. Tapos na ang session mo.' },
+      { title: 'Tapos na ang focus session! 🎉', body: 'Ang galing mo. Tapos na ang session mo.' },
+    ],
+  },
+};
+
+// Admin campaigns (announcements) go to an FCM topic, a topic condition or a
+// segment of users, right away or at a set time. They are not rendered from
+// templates: the admin writes the text.
+const CAMPAIGN_TARGETS = ['topic', 'condition', 'segment'];
+const CAMPAIGN_CHANNEL_ID = 'announcements';
+const MAX_CAMPAIGN_TITLE_LENGTH = 100;
+const MAX_CAMPAIGN_BODY_LENGTH = 500;
+const MAX_CAMPAIGN_DATA_KEYS = 10;
+const MAX_SEGMENT_USER_IDS = 500;
+// A campaign still 'sending' after this long belonged to an instance that died;
+// it is marked failed rather than sent twice
+const CAMPAIGN_SEND_TIMEOUT_MINUTES = parseInt(process.env.CAMPAIGN_SEND_TIMEOUT_MINUTES || '30', 10);
+
+// Delivery analytics: each notification gets at most one event of each kind in
+// notification_events (scheduled, sent and failed are recorded by the server,
+// opened and dismissed are reported by the app). An hourly job rolls the events
+// up into daily stats per user and reminder type, which are kept for good; the
+// events themselves are deleted after ANALYTICS_EVENT_RETENTION_DAYS.
+const NOTIFICATION_EVENTS = ['scheduled', 'sent', 'failed', 'opened', 'dismissed'];
+const CLIENT_NOTIFICATION_EVENTS = new Set(['opened', 'dismissed']);
+const ANALYTICS_EVENT_RETENTION_DAYS = parseInt(process.env.ANALYTICS_EVENT_RETENTION_DAYS || '90', 10);
+// Longest range /v1/stats returns, in days
+const MAX_STATS_DAYS = 90;
+
+// Smart timing (opt-in with the smartTimingEnabled preference): each reminder
+// moves up to smartTimingWindowMinutes either side of its set time, toward the
+// time of day the user usually opens notifications, and reminders the user
+// keeps ignoring are sent on fewer days. Decisions use the notification events
+// of the last SMART_TIMING_LOOKBACK_DAYS.
+const SMART_TIMING_LOOKBACK_DAYS = 28;
+const DEFAULT_SMART_TIMING_WINDOW_MINUTES = 60;
+const MAX_SMART_TIMING_WINDOW_MINUTES = 180;
+// Candidate times are this far apart, and an open counts toward every candidate
+// within SMART_TIMING_SPREAD_MINUTES of it
+const SMART_TIMING_STEP_MINUTES = 15;
+const SMART_TIMING_SPREAD_MINUTES = 30;
+// Opens near a candidate needed before a reminder is moved there
+const SMART_TIMING_MIN_OPENS = 5;
+// A reminder not opened within this long counts as ignored
+const SMART_TIMING_RESPONSE_HOURS = 6;
+// Every SMART_TIMING_IGNORED_STEP reminders ignored in a row add a day between
+// reminders, up to one every SMART_TIMING_MAX_SPACING_DAYS days
+const SMART_TIMING_IGNORED_STEP = 3;
+const SMART_TIMING_MAX_SPACING_DAYS = 4;
+
+// Study streaks: the app reports completed study sessions (POST /v1/sessions)
+// and each user's streak is the number of consecutive local days with one.
+// While a streak is running, the evening after the last study day brings a
+// streak reminder, cancelled as soon as a session is logged that day. It is on
+// unless streakRemindersEnabled is false.
+const STREAK_REMINDER = {
+  type: 'streak_reminder',
+  idPrefix: 'streak',
+  title: "Don't lose your streak! 🔥",
+  channelId: 'study_reminders',
+  defaultMessage: 'A short study session today keeps your streak going.',
+  hour: 20,
+  minute: 0,
+};
+// The notification types a notification_preferences doc owns, which go when
+// the doc is deleted or invalid: study and break reminders (flat fields and
+// named reminders) and streak reminders. Focus-session cues and deadline
+// reminders are only cancelled through their session or deadline (see
+// focus-sessions.js and deadlines.js).
+const PREFERENCE_NOTIFICATION_TYPES = [
+  ...Object.values(REMINDER_TYPES).map(config => config.type),
+  STREAK_REMINDER.type,
+];
+const MAX_SESSION_MINUTES = 12 * 60;
+// How far back a session may be logged (e.g. last night's, after midnight)
+const MAX_SESSION_AGE_HOURS = 36;
+
+// Focus (Pomodoro) sessions: the app starts one with POST /v1/focus and the
+// server schedules a push for every change of phase (a break push after each
+// work period but the last, a back-to-work push after each break, and a
+// completion push at the end), so the cue arrives even if the OS has killed the
+// app. Pausing takes the pushes back and resuming schedules them again, later
+// by the length of the pause. A user has one focus session at a time.
+const FOCUS_SESSION = {
+  idPrefix: 'focus',
+  channelId: 'focus_sessions',
+  // Stored with each push; the text sent is rendered from its type's template
+  cues: {
+    break: { type: 'focus_break', title: 'Break time! ☕', message: 'Nice focus. Take a short break.' },
+    work: { type: 'focus_work', title: 'Back to work! 📚', message: 'Break is over. Time to focus again.' },
+    complete: { type: 'focus_complete', title: 'Focus session complete! 🎉', message: 'Great work. Your focus session is done.' },
+  },
+  workMinutes: 25,
+  breakMinutes: 5,
+  cycles: 4,
+};
+const MAX_FOCUS_WORK_MINUTES = 180;
+const MAX_FOCUS_BREAK_MINUTES = 60;
+const MAX_FOCUS_CYCLES = 12;
+// Focus pushes are precise: rather than sending them up to a minute early like
+// other notifications, the dispatcher sets a timer for each one due within the
+// minute. A timer that fires up to PRECISE_SEND_SLACK_MS before the push's due
+// time (e.g. clock skew between instances) still sends it.
+const PRECISE_SEND_SLACK_MS = 1000;
+
+// Exams and assignment deadlines (POST /v1/deadlines) each get a countdown of
+// deadline reminders, leadMinutes before they are due. Reminders that have
+// passed are left out, and quiet periods apply as they do to other reminders
+// (a reminder deferred past the deadline is dropped). The reminders follow the
+// deadline when it moves and are cancelled when it is marked done or passes.
+// The soonest upcoming exam is the {nextExam} template variable, and {deadline}
+// and {countdown} (e.g. "tomorrow", "in 3 days") describe the deadline itself.
+const DEADLINE_KINDS = ['exam', 'assignment'];
+const DEADLINE_REMINDER = {
+  type: 'deadline_reminder',
+  idPrefix: 'deadline',
+  channelId: 'deadlines',
+  defaultMessage: 'A deadline is coming up.',
+  leadMinutes: [7 * 24 * 60, 3 * 24 * 60, 24 * 60, 2 * 60],
+};
+// How far ahead a deadline may be
+const MAX_DEADLINE_DAYS = 366;
+// Fields callers may set on a deadline through /v1/deadlines
+const EDITABLE_DEADLINE_FIELDS = new Set(['kind', 'title', 'subject', 'dueAt', 'done']);
+
+// Offline mode: with FIRESTORE_EMULATOR_HOST set, the server talks to the
+// Firestore emulator and needs no service account
+const FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || null;
+
+// Where outgoing messages go: 'fcm' (Firebase Cloud Messaging), 'file' (append
+// each message as a JSON line to FCM_SINK_FILE) or 'http' (POST each batch to
+// FCM_SINK_URL). Defaults to 'file' in offline mode.
+const FCM_TRANSPORT = process.env.FCM_TRANSPORT || (FIRESTORE_EMULATOR_HOST ? 'file' : 'fcm');
+const FCM_SINK_FILE = process.env.FCM_SINK_FILE || 'fcm-outbox.jsonl';
+const FCM_SINK_URL = process.env.FCM_SINK_URL || null;
+
+// The local transports reject tokens with this prefix as unregistered, so
+// dead-token cleanup can be exercised offline too
+const LOCAL_INVALID_TOKEN_PREFIX = 'invalid-';
+
+// Logging (see logger.js): one JSON line per entry, at LOG_LEVEL ('debug',
+// 'info', 'warn', 'error' or 'silent') and up. Debug entries are kept for a
+// LOG_DEBUG_SAMPLE_RATE share of users (or requests), so a sampled user's
+// entries are all there. Unless LOG_REDACT is 'false', user IDs are replaced by
+// a hash and FCM tokens by their last characters.
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_DEBUG_SAMPLE_RATE = parseFloat(process.env.LOG_DEBUG_SAMPLE_RATE || '1');
+const LOG_REDACT = process.env.LOG_REDACT !== 'false';
+
+module.exports = {
+  REMINDER_TYPES,
+  SCHEDULE_HORIZON_DAYS,
+  DELIVERY_GRACE_MINUTES,
+  MAX_DELIVERY_ATTEMPTS,
+  RETRY_BASE_DELAY_SECONDS,
+  FCM_BATCH_SIZE,
+  FIRESTORE_BATCH_SIZE,
+  FIRESTORE_CONCURRENCY,
+  DEVICE_TOKEN_MAX_AGE_DAYS,
+  TERMINAL_STATUSES,
+  INVALID_TOKEN_ERRORS,
+  RETRYABLE_MESSAGING_ERRORS,
+  INSTANCE_ID,
+  NOTIFICATION_LEASE_SECONDS,
+  LEADER_LEASE_SECONDS,
+  WATCHER_RESTART_MIN_SECONDS,
+  WATCHER_RESTART_MAX_SECONDS,
+  SHUTDOWN_TIMEOUT_SECONDS,
+  CRON_STALE_SECONDS,
+  BACKLOG_MAX_DELAY_SECONDS,
+  METRICS_TOKEN,
+  SEND_LATENCY_BUCKETS,
+  FCM_REQUEST_BUCKETS,
+  REMINDER_FREQUENCIES,
+  MAX_MESSAGE_LENGTH,
+  QUIET_MODES,
+  MAX_TIMES_PER_DAY,
+  MAX_QUIET_PERIODS,
+  ADMIN_UIDS,
+  EDITABLE_PREFERENCE_FIELDS,
+  NAMED_REMINDER_FIELDS,
+  MAX_LABEL_LENGTH,
+  EDITABLE_REMINDER_FIELDS,
+  DEFAULT_LOCALE,
+  TEMPLATE_VARIABLES,
+  MAX_DISPLAY_NAME_LENGTH,
+  NOTIFICATION_TEMPLATES,
+  CAMPAIGN_TARGETS,
+  CAMPAIGN_CHANNEL_ID,
+  MAX_CAMPAIGN_TITLE_LENGTH,
+  MAX_CAMPAIGN_BODY_LENGTH,
+  MAX_CAMPAIGN_DATA_KEYS,
+  MAX_SEGMENT_USER_IDS,
+  CAMPAIGN_SEND_TIMEOUT_MINUTES,
+  NOTIFICATION_EVENTS,
+  CLIENT_NOTIFICATION_EVENTS,
+  ANALYTICS_EVENT_RETENTION_DAYS,
+  MAX_STATS_DAYS,
+  SMART_TIMING_LOOKBACK_DAYS,
+  DEFAULT_SMART_TIMING_WINDOW_MINUTES,
+  MAX_SMART_TIMING_WINDOW_MINUTES,
+  SMART_TIMING_STEP_MINUTES,
+  SMART_TIMING_SPREAD_MINUTES,
+  SMART_TIMING_MIN_OPENS,
+  SMART_TIMING_RESPONSE_HOURS,
+  SMART_TIMING_IGNORED_STEP,
+  SMART_TIMING_MAX_SPACING_DAYS,
+  STREAK_REMINDER,
+  PREFERENCE_NOTIFICATION_TYPES,
+  MAX_SESSION_MINUTES,
+  MAX_SESSION_AGE_HOURS,
+  FOCUS_SESSION,
+  MAX_FOCUS_WORK_MINUTES,
+  MAX_FOCUS_BREAK_MINUTES,
+  MAX_FOCUS_CYCLES,
+  PRECISE_SEND_SLACK_MS,
+  DEADLINE_KINDS,
+  DEADLINE_REMINDER,
+  MAX_DEADLINE_DAYS,
+  EDITABLE_DEADLINE_FIELDS,
+  FIRESTORE_EMULATOR_HOST,
+  FCM_TRANSPORT,
+  FCM_SINK_FILE,
+  FCM_SINK_URL,
+  LOCAL_INVALID_TOKEN_PREFIX,
+  LOG_LEVELS,
+  LOG_LEVEL,
+  LOG_DEBUG_SAMPLE_RATE,
+  LOG_REDACT,
+};
@@ -0,0 +1,296 @@
+const admin = require('firebase-admin');
+const { DEADLINE_REMINDER, TERMINAL_STATUSES } = require('./config');
+const { getTimeZoneOffsetMinutes } = require('./time-zones');
+const { applyQuietPeriods } = require('./quiet-periods');
+const { validatePreferences } = require('./validation');
+const { commitInBatchesAllowingConflicts, mapWithConcurrency } = require('./firestore');
+const { logger } = require('./logger');
+
+// Exams and assignment deadlines, kept in notification_preferences/{userId}/deadlines:
+// - kind ('exam' or 'assignment'), title, subject and dueAt (see validateDeadline)
+// - status: 'upcoming', 'done' (marked by the user) or 'passed'
+// - userId, so the passed-deadline job knows whose it is
+// Each upcoming deadline has a countdown of deadline reminders (see
+// planDeadlineReminders). The soonest upcoming exam is copied to the user's
+// preferences doc as nextExam, with nextExamAt, for the {nextExam} template
+// variable. analytics records 'scheduled' events for the reminders.
+function createDeadlines({ db, clock, analytics }) {
+  function preferencesRef(userId) {
+    return db.collection('notification_preferences').doc(userId);
+  }
+
+  function deadlinesCollection(userId) {
+    return preferencesRef(userId).collection('deadlines');
+  }
+
+  // The user's deadlines, soonest first (see serializeDeadline)
+  async function listDeadlines(userId) {
+    const snapshot = await deadlinesCollection(userId).orderBy('dueAt').get();
+    return snapshot.docs.map(doc => serializeDeadline(doc.id, doc.data()));
+  }
+
+  // One of the user's deadlines (see serializeDeadline), or null
+  async function getDeadline(userId, deadlineId) {
+    const doc = await deadlinesCollection(userId).doc(deadlineId).get();
+    return doc.exists ? serializeDeadline(doc.id, doc.data()) : null;
+  }
+
+  // Create a deadline (deadlineId null) or replace one with a validated
+  // deadline (see validateDeadline), then bring its reminders and the user's
+  // nextExam in line with it. Returns it as saved (see serializeDeadline).
+  async function saveDeadline(userId, deadlineId, deadline) {
+    const nowMs = clock.now();
+    const ref = deadlineId ? deadlinesCollection(userId).doc(deadlineId) : deadlinesCollection(userId).doc();
+    const data = {
+      userId,
+      kind: deadline.kind,
+      title: deadline.title,
+      subject: deadline.subject,
+      dueAt: admin.firestore.Timestamp.fromMillis(deadline.dueAtMs),
+      status: getDeadlineStatus(deadline, nowMs),
+    };
+    
+    await ref.set({
+      ...data,
+      ...(deadlineId ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    
+    const preferences = await readPreferences(userId);
+    await scheduleDeadlineReminders(userId, ref.id, data, preferences);
+    await updateNextExam(userId, preferences);
+    logger.info('📅 Deadline saved', { userId, deadlineId: ref.id, status: data.status });
+    return serializeDeadline(ref.id, data);
+  }
+
+  // Delete one of the user's deadlines and cancel its reminders. Returns false
+  // if there is no such deadline.
+  async function deleteDeadline(userId, deadlineId) {
+    const ref = deadlinesCollection(userId).doc(deadlineId);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+    
+    await ref.delete();
+    const preferences = await readPreferences(userId);
+    await scheduleDeadlineReminders(userId, deadlineId, null, preferences);
+    await updateNextExam(userId, preferences);
+    logger.info('🗑️ Deadline deleted', { userId, deadlineId });
+    return true;
+  }
+
+  // Plan the reminders of every upcoming deadline of a user again, after their
+  // time zone or quiet periods changed
+  async function rescheduleDeadlineReminders(userId, preferences) {
+    const snapshot = await deadlinesCollection(userId).where('status', '==', 'upcoming').get();
+    
+    for (const doc of snapshot.docs) {
+      await scheduleDeadlineReminders(userId, doc.id, doc.data(), preferences);
+    }
+  }
+
+  // Mark every upcoming deadline whose time has come as passed, cancel what is
+  // left of its reminders and move its user's nextExam on (run hourly by the
+  // leader).
+  // Needs a collection group index on deadlines: status ASC, dueAt ASC.
+  async function closePassedDeadlines() {
+    try {
+      const nowMs = clock.now();
+      const snapshot = await db.collectionGroup('deadlines')
+        .where('status', '==', 'upcoming')
+        .where('dueAt', '<=', admin.firestore.Timestamp.fromMillis(nowMs))
+        .get();
+      const userIds = [...new Set(snapshot.docs.map(doc => doc.data().userId).filter(Boolean))];
+      
+      await mapWithConcurrency(snapshot.docs, async (doc) => {
+        await doc.ref.update({ status: 'passed', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        if (doc.data().userId) {
+          await scheduleDeadlineReminders(doc.data().userId, doc.id, null, {});
+        }
+      });
+      await mapWithConcurrency(userIds, async (userId) => updateNextExam(userId, await readPreferences(userId)));
+      
+      if (snapshot.size > 0) {
+        logger.info('⌛ Passed deadlines closed', { count: snapshot.size });
+      }
+    } catch (error) {
+      logger.error('❌ Error closing passed deadlines', { error });
+    }
+  }
+
+  async function readPreferences(userId) {
+    const doc = await preferencesRef(userId).get();
+    return doc.exists ? doc.data() : {};
+  }
+
+  // Keep a deadline's pending reminders in step with it (deadline null or not
+  // upcoming: none). Reminders that are no longer wanted are deleted unless
+  // they are being sent.
+  async function scheduleDeadlineReminders(userId, deadlineId, deadline, preferences) {
+    try {
+      const nowMs = clock.now();
+      const planned = deadline && deadline.status === 'upcoming'
+        ? planDeadlineReminders(userId, deadlineId, deadline, validatePreferences(preferences), nowMs)
+        : [];
+      const plannedById = new Map(planned.map(reminder => [reminder.id, reminder]));
+      
+      const snapshot = await db.collection('scheduled_notifications')
+        .where('userId', '==', userId)
+        .where('deadlineId', '==', deadlineId)
+        .where('sent', '==', false)
+        .get();
+      const writes = [];
+      const existingIds = new Set();
+      
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const reminder = plannedById.get(doc.id);
+        existingIds.add(doc.id);
+        
+        if (reminder && data.status === 'pending' && hasChanged(data, reminder.fields)) {
+          // The deadline moved or was renamed
+          writes.push(batch => batch.update(doc.ref, {
+            ...reminder.fields,
+            dueAt: reminder.fields.scheduledForUTC,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }, { lastUpdateTime: doc.updateTime }));
+          continue;
+        }
+        if (reminder) continue;
+        
+        const inFlight = TERMINAL_STATUSES.has(data.status) ||
+          (data.attempts || 0) > 0 ||
+          (!!data.leaseExpiresAt && data.leaseExpiresAt.toMillis() > nowMs);
+        if (!inFlight) {
+          writes.push(batch => batch.delete(doc.ref, { lastUpdateTime: doc.updateTime }));
+        }
+      }
+      
+      const created = planned.filter(reminder => !existingIds.has(reminder.id));
+      created.forEach(reminder => writes.push(batch => batch.create(db.collection('scheduled_notifications').doc(reminder.id), {
+        ...reminder.fields,
+        status: 'pending',
+        sent: false,
+        attempts: 0,
+        dueAt: reminder.fields.scheduledForUTC,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      })));
+      
+      await commitInBatchesAllowingConflicts(db, writes);
+      await analytics.recordEvents(created.map(reminder => ({ id: reminder.id, notification: reminder.fields, event: 'scheduled' })));
+      logger.debug('📅 Deadline reminders scheduled', { userId, deadlineId, planned: planned.length, created: created.length });
+    } catch (error) {
+      logger.error('❌ Error scheduling deadline reminders', { userId, deadlineId, error });
+    }
+  }
+
+  // Copy the user's soonest upcoming exam to their preferences doc as nextExam
+  // and nextExamAt (or clear them), unless they are already up to date
+  async function updateNextExam(userId, preferences) {
+    try {
+      const nowMs = clock.now();
+      const snapshot = await deadlinesCollection(userId).where('status', '==', 'upcoming').get();
+      const next = snapshot.docs
+        .map(doc => doc.data())
+        .filter(data => data.kind === 'exam' && data.dueAt.toMillis() > nowMs)
+        .sort((a, b) => a.dueAt.toMillis() - b.dueAt.toMillis())[0];
+      
+      const current = preferences.nextExamAt instanceof admin.firestore.Timestamp ? preferences.nextExamAt.toMillis() : null;
+      if (next ? preferences.nextExam === next.title && current === next.dueAt.toMillis() : preferences.nextExam == null && current === null) {
+        return;
+      }
+      
+      await preferencesRef(userId).set({
+        userId,
+        nextExam: next ? next.title : admin.firestore.FieldValue.delete(),
+        nextExamAt: next ? next.dueAt : admin.firestore.FieldValue.delete(),
+      }, { merge: true });
+    } catch (error) {
+      logger.error('❌ Error updating next exam', { userId, error });
+    }
+  }
+  
+  return {
+    listDeadlines,
+    getDeadline,
+    saveDeadline,
+    deleteDeadline,
+    rescheduleDeadlineReminders,
+    closePassedDeadlines,
+  };
+}
+
+// 'done' if the user marked it so, 'passed' once it is due, else 'upcoming'
+function getDeadlineStatus(deadline, nowMs) {
+  if (deadline.done) return 'done';
+  return deadline.dueAtMs <= nowMs ? 'passed' : 'upcoming';
+}
+
+// A deadline as the API returns it
+function serializeDeadline(id, data) {
+  return {
+    id,
+    kind: data.kind,
+    title: data.title,
+    subject: data.subject || null,
+    dueAt: data.dueAt.toDate().toISOString(),
+    status: data.status,
+  };
+}
+
+// The countdown reminders an upcoming deadline should have as of nowMs, one per
+// DEADLINE_REMINDER.leadMinutes still ahead, as [{ id, fields }] like
+// planStreakReminder's. validation is the user's validated preferences, for
+// their time zone and quiet periods. A reminder keeps its ID when the deadline
+// moves.
+function planDeadlineReminders(userId, deadlineId, deadline, validation, nowMs) {
+  const { timeZone } = validation;
+  const dueAtMs = deadline.dueAt.toMillis();
+  
+  return DEADLINE_REMINDER.leadMinutes.flatMap((leadMinutes) => {
+    const planned = new Date(dueAtMs - leadMinutes * 60 * 1000);
+    if (planned.getTime() <= nowMs) return [];
+    
+    const quietResult = applyQuietPeriods(planned, validation.quiet, timeZone);
+    if (!quietResult || quietResult.date.getTime() >= dueAtMs) return [];
+    
+    return [{
+      id: `${DEADLINE_REMINDER.idPrefix}_${deadlineId}_${leadMinutes}`,
+      fields: {
+        userId,
+        scheduledForUTC: admin.firestore.Timestamp.fromDate(quietResult.date),
+        timezone: typeof timeZone === 'string' ? timeZone : null,
+        timezoneOffset: getTimeZoneOffsetMinutes(timeZone, quietResult.date.getTime()) / 60,
+        deferred: quietResult.deferred,
+        reminderId: null,
+        label: null,
+        title: deadline.title, // As scheduled; the text sent is rendered from the template
+        message: DEADLINE_REMINDER.defaultMessage,
+        customMessage: null,
+        subject: deadline.subject || null,
+        type: DEADLINE_REMINDER.type,
+        channelId: DEADLINE_REMINDER.channelId,
+        deadlineId,
+        deadlineKind: deadline.kind,
+        deadlineTitle: deadline.title,
+        deadlineAt: deadline.dueAt,
+        leadMinutes,
+      },
+    }];
+  });
+}
+
+// Whether a scheduled reminder differs from its plan in anything the plan sets
+function hasChanged(notification, fields) {
+  return !notification.scheduledForUTC.isEqual(fields.scheduledForUTC) ||
+    !notification.deadlineAt.isEqual(fields.deadlineAt) ||
+    notification.deadlineTitle !== fields.deadlineTitle ||
+    notification.deadlineKind !== fields.deadlineKind ||
+    notification.subject !== fields.subject;
+}
+
+module.exports = {
+  createDeadlines,
+  getDeadlineStatus,
+  serializeDeadline,
+  planDeadlineReminders,
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { DEVICE_TOKEN_MAX_AGE_DAYS } = require('./config');
+const { commitInBatches } = require('./firestore');
+const { logger } = require('./logger');
+
+// Device token registry: notification_preferences/{userId}/devices/{deviceId}
+// holds one doc per FCM token ({ token, platform, lastSeenAt }), so a user with
+// several devices gets every reminder on all of them.
+function createDeviceRegistry({ db, clock }) {
+  function devicesCollection(userId) {
+    return db.collection('notification_preferences').doc(userId).collection('devices');
+  }
+
+  // Add a token to the registry or refresh its lastSeenAt
+  async function registerDeviceToken(userId, token, platform = null) {
+    try {
+      const device = {
+        token,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (platform) device.platform = platform;
+      
+      await devicesCollection(userId).doc(getDeviceId(token)).set(device, { merge: true });
+    } catch (error) {
+      logger.error('❌ Error registering device token', { userId, error });
+    }
+  }
+
+  // Devices ({ token, platform }) seen within DEVICE_TOKEN_MAX_AGE_DAYS
+  async function getActiveDevices(userId) {
+    const cutoff = admin.firestore.Timestamp.fromMillis(clock.now() - DEVICE_TOKEN_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    const snapshot = await devicesCollection(userId)
+      .where('lastSeenAt', '>=', cutoff)
+      .get();
+    
+    return snapshot.docs
+      .map(doc => ({ token: doc.data().token, platform: doc.data().platform || null }))
+      .filter(device => device.token);
+  }
+
+  // Tokens of the active devices
+  async function getActiveDeviceTokens(userId) {
+    return (await getActiveDevices(userId)).map(device => device.token);
+  }
+
+  // Remove tokens FCM reported as no longer registered, also from the legacy
+  // fcmToken field so the watcher does not register a dead token again
+  async function removeDeviceTokens(userId, tokens) {
+    try {
+      await commitInBatches(db, tokens.map(token => batch => batch.delete(devicesCollection(userId).doc(getDeviceId(token)))));
+      await clearLegacyToken(userId, tokens);
+      logger.info('🧽 Removed dead device tokens', { userId, tokens });
+    } catch (error) {
+      logger.error('❌ Error removing device tokens', { userId, error });
+    }
+  }
+
+  // Clear the preferences doc's fcmToken if it is one of tokens. Checked in a
+  // transaction so a token the app writes meanwhile is kept.
+  async function clearLegacyToken(userId, tokens) {
+    const ref = db.collection('notification_preferences').doc(userId);
+    
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists || !tokens.includes(doc.data().fcmToken)) return;
+      
+      transaction.update(ref, { fcmToken: admin.firestore.FieldValue.delete() });
+    });
+  }
+
+  // Whether a user has anywhere to deliver to: the legacy fcmToken field or a registered device
+  async function hasDeliveryTarget(userId, preferences) {
+    if (preferences.fcmToken) return true;
+    
+    try {
+      return (await getActiveDeviceTokens(userId)).length > 0;
+    } catch (error) {
+      logger.error('❌ Error reading device tokens', { userId, error });
+      return false;
+    }
+  }
+  
+  return {
+    devicesCollection,
+    registerDeviceToken,
+    getActiveDevices,
+    getActiveDeviceTokens,
+    removeDeviceTokens,
+    hasDeliveryTarget,
+  };
+}
+
+// Tokens are long and may change format, so key devices by a hash of the token
+function getDeviceId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 40);
+}
+
+module.exports = {
+  createDeviceRegistry,
+  getDeviceId,
+};
@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const {
+  DELIVERY_GRACE_MINUTES,
+  MAX_DELIVERY_ATTEMPTS,
+  RETRY_BASE_DELAY_SECONDS,
+  RETRYABLE_MESSAGING_ERRORS,
+  INVALID_TOKEN_ERRORS,
+  FCM_BATCH_SIZE,
+  INSTANCE_ID,
+  NOTIFICATION_LEASE_SECONDS,
+  PRECISE_SEND_SLACK_MS,
+} = require('./config');
+const { commitInBatches, mapWithConcurrency } = require('./firestore');
+const { logger, withLogContext } = require('./logger');
+
+// Sends due scheduled_notifications. Every instance runs one; leases keep two
+// instances from sending the same notification.
+// messenger is a transport from createMessagingTransport, devices the device
+// registry, templates the renderer from createTemplateRenderer, analytics
+// records sent and failed events (see createAnalytics), metrics counts retries
+// and times deliveries (see createMetrics), and instanceId names this instance
+// in leases. timers ({ setTimeout, clearTimeout }) can be replaced in tests.
+function createDispatcher({ db, clock, messenger, devices, templates, analytics, metrics, instanceId = INSTANCE_ID, timers = { setTimeout, clearTimeout } }) {
+  // A slow tick must not overlap the next one (see dispatchDueNotifications)
+  let dispatchInProgress = false;
+  // Timers of precise notifications due within the minute, { dueAtMs, timer } by
+  // notification ID, and the precise sends in progress (see schedulePreciseSend)
+  const preciseTimers = new Map();
+  const preciseSends = new Set();
+
+  // Atomically claim a notification for this instance before sending it.
+  // Returns the notification data, or null if it is no longer pending, another
+  // instance holds an unexpired lease on it or it is precise and not due yet.
+  // If an instance dies mid-send its lease expires and the notification is
+  // picked up again.
+  async function claimNotification(ref) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      
+      const data = doc.data();
+      if (data.status !== 'pending') return null;
+      
+      const nowMs = clock.now();
+      if (hasActiveLease(data, nowMs)) return null;
+      if (isPreciseAndEarly(data, nowMs)) return null;
+      
+      transaction.update(ref, {
+        leaseOwner: instanceId,
+        leaseExpiresAt: admin.firestore.Timestamp.fromMillis(nowMs + NOTIFICATION_LEASE_SECONDS * 1000),
+      });
+      return data;
+    });
+  }
+
+  // True if another instance currently holds the notification's lease
+  function hasActiveLease(notification, nowMs) {
+    return !!notification.leaseOwner &&
+      notification.leaseOwner !== instanceId &&
+      !!notification.leaseExpiresAt &&
+      notification.leaseExpiresAt.toMillis() > nowMs;
+  }
+
+  // True for a precise notification (see PRECISE_SEND_SLACK_MS) that is not due yet
+  function isPreciseAndEarly(notification, nowMs) {
+    return !!notification.precise && notification.dueAt.toMillis() > nowMs + PRECISE_SEND_SLACK_MS;
+  }
+
+  // Claim notifications in parallel.
+  // Returns [{ ref, id, notification }] for the ones this instance now owns.
+  async function claimNotifications(docs) {
+    const results = await mapWithConcurrency(docs, async (doc) => {
+      try {
+        return { ref: doc.ref, id: doc.id, notification: await claimNotification(doc.ref) };
+      } catch (error) {
+        logger.error('❌ Error claiming notification', { notificationId: doc.id, userId: doc.data().userId, error });
+        return null;
+      }
+    });
+    
+    return results.filter(result => result && result.notification);
+  }
+
+  // Send claimed notifications to every active device of their users.
+  // Titles and bodies are rendered from the templates now, not when scheduled.
+  // Messages go out with FCM sendEach() in chunks of FCM_BATCH_SIZE, every
+  // per-message result is mapped back to its notification and recorded in
+  // batched writes, and dead tokens are pruned from the registry. Final outcomes
+  // (not retries) are recorded as sent or failed events.
+  // Returns counts by outcome.
+  async function sendFCMNotifications(claimed) {
+    const counts = { sent: 0, failed: 0, invalidToken: 0, retrying: 0 };
+    
+    // Look up each user's devices once per run
+    const userIds = [...new Set(claimed.map(item => item.notification.userId))];
+    const tokenLists = await mapWithConcurrency(userIds, async (userId) => {
+      try {
+        return await devices.getActiveDeviceTokens(userId);
+      } catch (error) {
+        logger.error('❌ Error reading device tokens', { userId, error });
+        return [];
+      }
+    });
+    const tokensByUser = new Map(userIds.map((userId, index) => [userId, tokenLists[index]]));
+    const contents = await templates.renderNotifications(claimed.map(item => item.notification));
+    
+    // One message per notification and device
+    const deliveries = [];
+    claimed.forEach((item, itemIndex) => {
+      let tokens = tokensByUser.get(item.notification.userId);
+      // Notifications scheduled before the registry existed carry their own token
+      if (tokens.length === 0 && item.notification.fcmToken) {
+        tokens = [item.notification.fcmToken];
+      }
+      tokens.forEach(token => deliveries.push({ itemIndex, token }));
+    });
+    
+    const results = claimed.map(() => []);
+    
+    for (let i = 0; i < deliveries.length; i += FCM_BATCH_SIZE) {
+      const chunk = deliveries.slice(i, i + FCM_BATCH_SIZE);
+      const startedAtMs = clock.now();
+      let responses;
+      
+      try {
+        const batchResponse = await messenger.sendEach(chunk.map(delivery => {
+          const item = claimed[delivery.itemIndex];
+          return buildFCMMessage(item.id, item.notification, delivery.token, contents[delivery.itemIndex]);
+        }));
+        responses = batchResponse.responses;
+      } catch (error) {
+        // The whole call failed (e.g. network): treat it as every message failing
+        logger.error('❌ Error sending notification batch', { size: chunk.length, error });
+        responses = chunk.map(() => ({ success: false, error }));
+      }
+      metrics.fcmRequestDuration.observe({}, (clock.now() - startedAtMs) / 1000);
+      
+      chunk.forEach((delivery, index) => {
+        results[delivery.itemIndex].push({ token: delivery.token, ...responses[index] });
+      });
+    }
+    
+    const deadTokensByUser = new Map();
+    const events = [];
+    
+    const writes = claimed.map((item, index) => {
+      const nowMs = clock.now();
+      const update = getDeliveryUpdate(item.notification, results[index], nowMs);
+      const type = item.notification.type || 'study_reminder';
+      
+      if (update.status === 'sent') counts.sent++;
+      else if (update.status === 'invalid-token') counts.invalidToken++;
+      else if (update.status === 'failed') counts.failed++;
+      else counts.retrying++;
+      
+      if (update.status === 'sent') {
+        // Sends start up to a minute early (see dispatchDueNotifications)
+        const scheduledFor = item.notification.scheduledForUTC || item.notification.dueAt;
+        metrics.sendLatency.observe({ type }, Math.max(0, nowMs - scheduledFor.toMillis()) / 1000);
+      } else if (!update.status) {
+        metrics.notificationsRetried.inc({ type, reason: update.errorCode || 'unknown' });
+      }
+      logger.debug('📤 Delivery attempt', {
+        notificationId: item.id,
+        userId: item.notification.userId,
+        outcome: update.status || 'retry',
+        attempt: update.attempts,
+        deviceCount: results[index].length,
+      });
+      
+      if (update.status) {
+        events.push({
+          id: item.id,
+          notification: item.notification,
+          event: update.status === 'sent' ? 'sent' : 'failed',
+          errorCode: update.errorCode,
+        });
+      }
+      
+      results[index].forEach(result => {
+        if (result.success) return;
+        
+        if (result.error && INVALID_TOKEN_ERRORS.has(result.error.code)) {
+          const userId = item.notification.userId;
+          if (!deadTokensByUser.has(userId)) deadTokensByUser.set(userId, new Set());
+          deadTokensByUser.get(userId).add(result.token);
+        } else {
+          logger.warn('⚠️ Error sending notification', {
+            notificationId: item.id,
+            userId: item.notification.userId,
+            attempt: update.attempts,
+            outcome: update.status || 'retry',
+            error: result.error || {},
+          });
+        }
+      });
+      
+      return batch => batch.update(item.ref, update);
+    });
+    
+    await commitInBatches(db, writes);
+    await analytics.recordEvents(events);
+    
+    for (const [userId, tokens] of deadTokensByUser) {
+      await devices.removeDeviceTokens(userId, [...tokens]);
+    }
+    
+    return counts;
+  }
+
+  // Send every pending notification that is due now or in the next minute,
+  // paging through the backlog FCM_BATCH_SIZE docs at a time.
+  // Anything that became due while the server was down is still sent if it is
+  // within the grace window; older notifications are marked failed.
+  // Needs a composite index on scheduled_notifications: status ASC, dueAt ASC.
+  async function dispatchDueNotifications() {
+    // A slow tick must not overlap the next one; this instance could reclaim its own leases
+    if (dispatchInProgress) {
+      logger.warn('⏰ Dispatch skipped: previous run still in progress');
+      return;
+    }
+    dispatchInProgress = true;
+    
+    try {
+      // Every entry logged during the run carries its dispatchId
+      await withLogContext({ dispatchId: crypto.randomBytes(4).toString('hex') }, dispatchDuePages);
+    } catch (error) {
+      logger.error('❌ Error dispatching notifications', { error });
+    } finally {
+      dispatchInProgress = false;
+    }
+  }
+
+  // One run of dispatchDueNotifications
+  async function dispatchDuePages() {
+    const nowMs = clock.now();
+    const windowEnd = admin.firestore.Timestamp.fromMillis(nowMs + 60000);
+    const graceStartMs = nowMs - DELIVERY_GRACE_MINUTES * 60 * 1000;
+    const totals = { sent: 0, failed: 0, invalidToken: 0, retrying: 0, expired: 0 };
+    let lastDoc = null;
+    
+    while (true) {
+      let query = db.collection('scheduled_notifications')
+        .where('status', '==', 'pending')
+        .where('dueAt', '<=', windowEnd)
+        .orderBy('dueAt')
+        .limit(FCM_BATCH_SIZE);
+      
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      
+      const snapshot = await query.get();
+      if (snapshot.empty) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      
+      // Notifications another instance is sending are left to it
+      const unleased = snapshot.docs.filter(doc => !hasActiveLease(doc.data(), nowMs));
+      const expired = unleased.filter(doc => doc.data().dueAt.toMillis() < graceStartMs);
+      const due = unleased.filter(doc => doc.data().dueAt.toMillis() >= graceStartMs && !isPreciseAndEarly(doc.data(), nowMs));
+      // Precise notifications get a timer for their due time instead
+      unleased.filter(doc => isPreciseAndEarly(doc.data(), nowMs))
+        .forEach(doc => schedulePreciseSend(doc.id, doc.data().dueAt.toMillis()));
+      
+      await commitInBatches(db, expired.map(doc => batch => batch.update(doc.ref, {
+        status: 'failed',
+        failedAt: admin.firestore.FieldValue.serverTimestamp(),
+        error: `Missed delivery window (more than ${DELIVERY_GRACE_MINUTES} minutes late)`,
+        errorCode: 'missed-window',
+      })));
+      await analytics.recordEvents(expired.map(doc => ({
+        id: doc.id,
+        notification: doc.data(),
+        event: 'failed',
+        errorCode: 'missed-window',
+      })));
+      expired.forEach(doc => logger.warn('⌛ Notification missed its delivery window', {
+        notificationId: doc.id,
+        userId: doc.data().userId,
+        dueAt: doc.data().dueAt.toDate().toISOString(),
+      }));
+      totals.expired += expired.length;
+      
+      const claimed = await claimNotifications(due);
+      const counts = await sendFCMNotifications(claimed);
+      Object.keys(counts).forEach(key => { totals[key] += counts[key]; });
+      
+      if (snapshot.size < FCM_BATCH_SIZE) break;
+    }
+    
+    if (Object.values(totals).some(count => count > 0)) {
+      logger.info('📤 Dispatch complete', totals);
+    }
+  }
+
+  // Send a precise notification at dueAtMs instead of with the first tick that
+  // sees it, if that is within the minute (later ones are left to the ticks).
+  // Setting it again with a new time moves its timer. When the timer fires, the
+  // notification is claimed and sent like any other unless it has been
+  // deleted, sent or moved later in the meantime.
+  function schedulePreciseSend(id, dueAtMs) {
+    const delayMs = dueAtMs - clock.now();
+    if (delayMs > 60000) return;
+    
+    const armed = preciseTimers.get(id);
+    if (armed && armed.dueAtMs === dueAtMs) return;
+    if (armed) timers.clearTimeout(armed.timer);
+    
+    const timer = timers.setTimeout(() => {
+      preciseTimers.delete(id);
+      const sending = sendPreciseNotification(id).finally(() => preciseSends.delete(sending));
+      preciseSends.add(sending);
+    }, Math.max(0, delayMs));
+    preciseTimers.set(id, { dueAtMs, timer });
+  }
+
+  async function sendPreciseNotification(id) {
+    try {
+      await withLogContext({ dispatchId: crypto.randomBytes(4).toString('hex') }, async () => {
+        const ref = db.collection('scheduled_notifications').doc(id);
+        const notification = await claimNotification(ref);
+        if (!notification) return;
+        
+        const counts = await sendFCMNotifications([{ ref, id, notification }]);
+        logger.info('⏱️ Precise notification dispatched', { notificationId: id, userId: notification.userId, ...counts });
+      });
+    } catch (error) {
+      logger.error('❌ Error dispatching precise notification', { notificationId: id, error });
+    }
+  }
+
+  // Cancel the precise sends not started yet (on shutdown); the ticks of the
+  // other instances pick those notifications up
+  function stop() {
+    preciseTimers.forEach(armed => timers.clearTimeout(armed.timer));
+    preciseTimers.clear();
+  }
+
+  // Resolves once the precise sends in progress are done
+  function whenIdle() {
+    return Promise.allSettled([...preciseSends]);
+  }
+
+  // Pending notifications that are due and not sent yet (some may be being
+  // sent right now): { size, oldestDueAtMs } with oldestDueAtMs null when there
+  // are none. Counted with an aggregation query, so it is cheap to call on
+  // every health check and scrape.
+  async function getBacklog() {
+    const query = db.collection('scheduled_notifications')
+      .where('status', '==', 'pending')
+      .where('dueAt', '<=', admin.firestore.Timestamp.fromMillis(clock.now()));
+    
+    const [count, oldest] = await Promise.all([
+      query.count().get(),
+      query.orderBy('dueAt').limit(1).get(),
+    ]);
+    
+    return {
+      size: count.data().count,
+      oldestDueAtMs: oldest.empty ? null : oldest.docs[0].data().dueAt.toMillis(),
+    };
+  }
+  
+  return {
+    dispatchDueNotifications,
+    sendFCMNotifications,
+    schedulePreciseSend,
+    getBacklog,
+    stop,
+    whenIdle,
+  };
+}
+
+function isRetryableMessagingError(error) {
+  return RETRYABLE_MESSAGING_ERRORS.has(error.code);
+}
+
+// Exponential backoff: base, 2x base, 4x base, ...
+function getRetryDelayMs(attempts) {
+  return RETRY_BASE_DELAY_SECONDS * 1000 * Math.pow(2, attempts - 1);
+}
+
+// Fields that release a notification's lease
+function releasedLease() {
+  return {
+    leaseOwner: admin.firestore.FieldValue.delete(),
+    leaseExpiresAt: admin.firestore.FieldValue.delete(),
+  };
+}
+
+// Build the FCM message for a scheduled notification and one device token.
+// content is the rendered { title, body, locale } (see renderNotification).
+// The app reports opens and dismissals back with the notificationId.
+function buildFCMMessage(notificationId, notification, token, content) {
+  return {
+    token,
+    notification: {
+      title: content.title,
+      body: content.body,
+    },
+    data: {
+      type: notification.type || 'study_reminder',
+      userId: notification.userId,
+      notificationId,
+      locale: content.locale,
+      // Focus session cues tell the app which session they belong to
+      ...(notification.sessionId ? { sessionId: notification.sessionId } : {}),
+    },
+    android: {
+      priority: 'high',
+      notification: {
+        channelId: notification.channelId || 'study_reminders',
+        sound: 'default',
+        priority: 'max',
+      },
+    },
+  };
+}
+
+// Firestore update for one notification, given its per-device send results.
+// Any device reached → sent; every token dead (or none registered) → invalid-token;
+// a retryable error → dueAt pushed back with exponential backoff until
+// MAX_DELIVERY_ATTEMPTS; anything else → failed. nowMs is the time of the attempt.
+function getDeliveryUpdate(notification, results, nowMs) {
+  const attempts = (notification.attempts || 0) + 1;
+  const delivered = results.filter(result => result.success);
+  
+  if (delivered.length > 0) {
+    return {
+      status: 'sent',
+      sent: true,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      messageId: delivered[0].messageId,
+      deviceCount: results.length,
+      deliveredCount: delivered.length,
+      attempts,
+      ...releasedLease(),
+    };
+  }
+  
+  const errors = results.map(result => result.error || {});
+  const error = errors.find(e => !INVALID_TOKEN_ERRORS.has(e.code)) || errors[0] || {
+    message: 'No registered devices',
+    code: 'no-devices',
+  };
+  const errorFields = {
+    attempts,
+    deviceCount: results.length,
+    error: error.message || 'Unknown error',
+    errorCode: error.code || null,
+    ...releasedLease(),
+  };
+  
+  if (errors.every(e => INVALID_TOKEN_ERRORS.has(e.code))) {
+    return {
+      ...errorFields,
+      status: 'invalid-token',
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+  
+  if (errors.some(isRetryableMessagingError) && attempts < MAX_DELIVERY_ATTEMPTS) {
+    return {
+      ...errorFields,
+      dueAt: admin.firestore.Timestamp.fromMillis(nowMs + getRetryDelayMs(attempts)),
+    };
+  }
+  
+  return {
+    ...errorFields,
+    status: 'failed',
+    failedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+module.exports = {
+  createDispatcher,
+  buildFCMMessage,
+  getDeliveryUpdate,
+  getRetryDelayMs,
+};
@@ -0,0 +1,79 @@
+// Firestore helpers shared by the scheduler, dispatcher and API
+
+const { FIRESTORE_BATCH_SIZE, FIRESTORE_CONCURRENCY } = require('./config');
+
+// Named reminders of a user (see validateNamedReminder)
+function remindersCollection(db, userId) {
+  return db.collection('notification_preferences').doc(userId).collection('reminders');
+}
+
+// Commit a list of writes (each a function applying one op to a WriteBatch)
+// in as many batches as Firestore's per-batch limit requires
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+// Like commitInBatches, but when a batch is rejected because one of its docs was
+// created or changed in the meantime (ALREADY_EXISTS / FAILED_PRECONDITION), its
+// writes are retried one by one so the rest still apply.
+// Returns how many writes were dropped as conflicts.
+async function commitInBatchesAllowingConflicts(db, writes) {
+  let conflicts = 0;
+  
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_SIZE) {
+    const chunk = writes.slice(i, i + FIRESTORE_BATCH_SIZE);
+    
+    try {
+      await commitInBatches(db, chunk);
+    } catch (error) {
+      if (!isConflictError(error)) throw error;
+      
+      for (const write of chunk) {
+        try {
+          await commitInBatches(db, [write]);
+        } catch (writeError) {
+          if (!isConflictError(writeError)) throw writeError;
+          conflicts++;
+        }
+      }
+    }
+  }
+  
+  return conflicts;
+}
+
+// A write lost a race: the doc already exists, or changed or vanished since it was read
+function isConflictError(error) {
+  return isAlreadyExistsError(error) ||
+    error.code === 5 || error.code === 'not-found' ||
+    error.code === 9 || error.code === 'failed-precondition';
+}
+
+// Firestore create() on an existing doc rejects with gRPC ALREADY_EXISTS
+function isAlreadyExistsError(error) {
+  return error.code === 6 || error.code === 'already-exists';
+}
+
+// Run an async function over items, FIRESTORE_CONCURRENCY at a time
+async function mapWithConcurrency(items, fn) {
+  const results = [];
+  
+  for (let i = 0; i < items.length; i += FIRESTORE_CONCURRENCY) {
+    const chunk = items.slice(i, i + FIRESTORE_CONCURRENCY);
+    results.push(...await Promise.all(chunk.map(fn)));
+  }
+  
+  return results;
+}
+
+module.exports = {
+  remindersCollection,
+  commitInBatches,
+  commitInBatchesAllowingConflicts,
+  isAlreadyExistsError,
+  mapWithConcurrency,
+};
@@ -0,0 +1,292 @@
+const admin = require('firebase-admin');
+const { FOCUS_SESSION, TERMINAL_STATUSES } = require('./config');
+const { logger } = require('./logger');
+
+// Statuses of a session the user can still pause, resume or stop
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+// Focus (Pomodoro) sessions, kept in notification_preferences/{userId}/focus_sessions:
+// - status: 'running', 'paused', 'stopped' or 'completed' (a running session
+//   whose last cue has passed counts as completed, see getFocusState)
+// - workMinutes, breakMinutes, cycles and subject (see validateFocusSession)
+// - startedAt, and pausedMs: the time spent paused so far
+// - pausedAt while paused, and endsAt (when the session ends) while running
+// Each cue (a change of phase, see planFocusCues) still ahead of a running
+// session is a precise scheduled_notification with its sessionId. analytics
+// records 'scheduled' events for them, and dispatcher is told about each one
+// written so cues due before its next tick still go out on time.
+function createFocusSessions({ db, clock, analytics, dispatcher }) {
+  function sessionsCollection(userId) {
+    return db.collection('notification_preferences').doc(userId).collection('focus_sessions');
+  }
+
+  // Start a session with validated settings. Returns { created: true, session }
+  // (see getFocusSummary), or { created: false, session } with the session the
+  // user already has running or paused.
+  async function startSession(userId, settings) {
+    const nowMs = clock.now();
+    const ref = sessionsCollection(userId).doc();
+    
+    const result = await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(sessionsCollection(userId).where('status', 'in', ACTIVE_STATUSES));
+      
+      let current = null;
+      for (const doc of snapshot.docs) {
+        if (getFocusState(doc.data(), nowMs).status !== 'completed') {
+          current = doc;
+        } else {
+          transaction.update(doc.ref, { status: 'completed', updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+      }
+      if (current) return { created: false, id: current.id, data: current.data(), cues: [] };
+      
+      const data = {
+        userId,
+        status: 'running',
+        ...settings,
+        startedAt: admin.firestore.Timestamp.fromMillis(nowMs),
+        pausedAt: null,
+        pausedMs: 0,
+        endsAt: admin.firestore.Timestamp.fromMillis(nowMs + getFocusDurationMs(settings)),
+      };
+      transaction.create(ref, {
+        ...data,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { created: true, id: ref.id, data, cues: writeCues(transaction, userId, ref.id, data, nowMs, new Set()) };
+    });
+    
+    if (result.created) {
+      await analytics.recordEvents(result.cues.map(cue => ({ id: cue.id, notification: cue.fields, event: 'scheduled' })));
+      armCues(result.cues);
+      logger.info('🍅 Focus session started', { userId, sessionId: result.id, cues: result.cues.length });
+    }
+    return { created: result.created, session: getFocusSummary(result.id, result.data, nowMs) };
+  }
+
+  // The user's running or paused session (see getFocusSummary), or null
+  async function getActiveSession(userId) {
+    const nowMs = clock.now();
+    const snapshot = await sessionsCollection(userId).where('status', 'in', ACTIVE_STATUSES).get();
+    const doc = snapshot.docs.find(item => getFocusState(item.data(), nowMs).status !== 'completed');
+    return doc ? getFocusSummary(doc.id, doc.data(), nowMs) : null;
+  }
+
+  // Pause a running session: its cues are taken back until it is resumed
+  async function pauseSession(userId, sessionId) {
+    return changeSession(userId, sessionId, ['running'], (data, nowMs) => ({
+      status: 'paused',
+      pausedAt: admin.firestore.Timestamp.fromMillis(nowMs),
+      endsAt: null,
+    }));
+  }
+
+  // Resume a paused session: the rest of it (and its cues) moves later by the
+  // length of the pause
+  async function resumeSession(userId, sessionId) {
+    return changeSession(userId, sessionId, ['paused'], (data, nowMs) => {
+      const pausedMs = (data.pausedMs || 0) + nowMs - data.pausedAt.toMillis();
+      return {
+        status: 'running',
+        pausedAt: null,
+        pausedMs,
+        endsAt: admin.firestore.Timestamp.fromMillis(data.startedAt.toMillis() + pausedMs + getFocusDurationMs(data)),
+      };
+    });
+  }
+
+  // Stop a running or paused session and take back its cues
+  async function stopSession(userId, sessionId) {
+    return changeSession(userId, sessionId, ACTIVE_STATUSES, (data, nowMs) => ({
+      status: 'stopped',
+      stoppedAt: admin.firestore.Timestamp.fromMillis(nowMs),
+      pausedAt: null,
+      endsAt: null,
+    }));
+  }
+
+  // Move one of the user's sessions on from one of the statuses it may be in,
+  // with the fields getUpdate(data, nowMs) returns, and replace its cues with
+  // the ones still ahead of it (none unless it is running afterwards). Cues
+  // being sent are left alone. Returns the session after it (see
+  // getFocusSummary), 'missing' if the user has no such session, or the status
+  // it is in if that is not one of fromStatuses.
+  async function changeSession(userId, sessionId, fromStatuses, getUpdate) {
+    const nowMs = clock.now();
+    const ref = sessionsCollection(userId).doc(sessionId);
+    
+    const result = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return 'missing';
+      
+      const status = getFocusState(doc.data(), nowMs).status;
+      if (!fromStatuses.includes(status)) return status;
+      
+      const cueSnapshot = await transaction.get(db.collection('scheduled_notifications')
+        .where('sessionId', '==', sessionId)
+        .where('sent', '==', false));
+      const update = getUpdate(doc.data(), nowMs);
+      const data = { ...doc.data(), ...update };
+      const keptIds = new Set();
+      
+      for (const cue of cueSnapshot.docs) {
+        const cueData = cue.data();
+        const inFlight = TERMINAL_STATUSES.has(cueData.status) ||
+          (cueData.attempts || 0) > 0 ||
+          (!!cueData.leaseExpiresAt && cueData.leaseExpiresAt.toMillis() > nowMs);
+        if (inFlight) {
+          keptIds.add(cue.id);
+        } else {
+          transaction.delete(cue.ref);
+        }
+      }
+      
+      transaction.update(ref, { ...update, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      const cues = data.status === 'running' ? writeCues(transaction, userId, sessionId, data, nowMs, keptIds) : [];
+      return { data, cues };
+    });
+    
+    if (typeof result === 'string') return result;
+    
+    armCues(result.cues);
+    logger.info(`🍅 Focus session ${result.data.status === 'running' ? 'resumed' : result.data.status}`, { userId, sessionId, cues: result.cues.length });
+    return getFocusSummary(sessionId, result.data, nowMs);
+  }
+
+  // Create the notifications of the cues still ahead of a running session,
+  // except keptIds (cues being sent). Returns them as { id, fields }.
+  function writeCues(transaction, userId, sessionId, session, nowMs, keptIds) {
+    const cues = planFocusNotifications(userId, sessionId, session, nowMs).filter(cue => !keptIds.has(cue.id));
+    
+    cues.forEach(cue => transaction.create(db.collection('scheduled_notifications').doc(cue.id), {
+      ...cue.fields,
+      status: 'pending',
+      sent: false,
+      attempts: 0,
+      dueAt: cue.fields.scheduledForUTC,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    }));
+    return cues;
+  }
+
+  function armCues(cues) {
+    cues.forEach(cue => dispatcher.schedulePreciseSend(cue.id, cue.fields.scheduledForUTC.toMillis()));
+  }
+  
+  return {
+    startSession,
+    getActiveSession,
+    pauseSession,
+    resumeSession,
+    stopSession,
+  };
+}
+
+// The cues of a session with { workMinutes, breakMinutes, cycles }, in order:
+// a 'break' cue after each work period but the last, a 'work' cue after each
+// break and a 'complete' cue at the end, as [{ index, kind, cycle, offsetMs }].
+// offsetMs is focus time (not counting pauses) from the start, and cycle the
+// work period the cue ends (or, for 'work', starts).
+function planFocusCues(session) {
+  const workMs = session.workMinutes * 60 * 1000;
+  const breakMs = session.breakMinutes * 60 * 1000;
+  const cues = [];
+  let offsetMs = 0;
+  
+  for (let cycle = 1; cycle <= session.cycles; cycle++) {
+    offsetMs += workMs;
+    if (cycle === session.cycles) {
+      cues.push({ index: cues.length + 1, kind: 'complete', cycle, offsetMs });
+      break;
+    }
+    cues.push({ index: cues.length + 1, kind: 'break', cycle, offsetMs });
+    offsetMs += breakMs;
+    cues.push({ index: cues.length + 1, kind: 'work', cycle: cycle + 1, offsetMs });
+  }
+  
+  return cues;
+}
+
+// Length of a session without pauses
+function getFocusDurationMs(session) {
+  return (session.cycles * session.workMinutes + (session.cycles - 1) * session.breakMinutes) * 60 * 1000;
+}
+
+// Where a session is as of nowMs: { status, phase ('work' or 'break'), cycle,
+// phaseRemainingMs }, with phase, cycle and phaseRemainingMs null once it is
+// over. A running session whose last cue has passed is 'completed'.
+function getFocusState(session, nowMs) {
+  const over = { phase: null, cycle: null, phaseRemainingMs: null };
+  if (!ACTIVE_STATUSES.includes(session.status)) return { status: session.status, ...over };
+  
+  const untilMs = session.status === 'paused' ? session.pausedAt.toMillis() : nowMs;
+  const elapsedMs = untilMs - session.startedAt.toMillis() - (session.pausedMs || 0);
+  const next = planFocusCues(session).find(cue => cue.offsetMs > elapsedMs);
+  if (!next) return { status: 'completed', ...over };
+  
+  return {
+    status: session.status,
+    phase: next.kind === 'work' ? 'break' : 'work',
+    cycle: next.kind === 'work' ? next.cycle - 1 : next.cycle,
+    phaseRemainingMs: next.offsetMs - elapsedMs,
+  };
+}
+
+// A session as the API returns it. phaseEndsAt and endsAt are only set while it
+// is running.
+function getFocusSummary(id, session, nowMs) {
+  const state = getFocusState(session, nowMs);
+  const running = state.status === 'running';
+  
+  return {
+    id,
+    status: state.status,
+    workMinutes: session.workMinutes,
+    breakMinutes: session.breakMinutes,
+    cycles: session.cycles,
+    subject: session.subject || null,
+    phase: state.phase,
+    cycle: state.cycle,
+    phaseRemainingSeconds: state.phaseRemainingMs === null ? null : Math.ceil(state.phaseRemainingMs / 1000),
+    phaseEndsAt: running ? new Date(nowMs + state.phaseRemainingMs).toISOString() : null,
+    endsAt: running ? session.endsAt.toDate().toISOString() : null,
+    startedAt: session.startedAt.toDate().toISOString(),
+  };
+}
+
+// The notifications of the cues still ahead of a running session as of nowMs,
+// as [{ id, fields }] like planStreakReminder's. Their IDs stay the same when
+// the session is paused and resumed.
+function planFocusNotifications(userId, sessionId, session, nowMs) {
+  const startMs = session.startedAt.toMillis() + (session.pausedMs || 0);
+  
+  return planFocusCues(session)
+    .filter(cue => startMs + cue.offsetMs > nowMs)
+    .map(cue => ({
+      id: `${FOCUS_SESSION.idPrefix}_${sessionId}_${cue.index}`,
+      fields: {
+        userId,
+        scheduledForUTC: admin.firestore.Timestamp.fromMillis(startMs + cue.offsetMs),
+        reminderId: null,
+        label: null,
+        title: FOCUS_SESSION.cues[cue.kind].title, // As scheduled; the text sent is rendered from the template
+        message: FOCUS_SESSION.cues[cue.kind].message,
+        customMessage: null,
+        subject: session.subject || null,
+        type: FOCUS_SESSION.cues[cue.kind].type,
+        channelId: FOCUS_SESSION.channelId,
+        sessionId,
+        cycle: cue.cycle,
+        precise: true,
+      },
+    }));
+}
+
+module.exports = {
+  createFocusSessions,
+  planFocusCues,
+  getFocusState,
+  getFocusSummary,
+  planFocusNotifications,
+};
@@ -1,569 +1,236 @@
 // Free FCM Notification Server for StudyWell
 // Deploy to Render (free tier) - no credit card needed!
 // VERSION: 2024-11-13-timezone-fix-v2
+//
+// Entry point: initializes Firebase, wires the modules together, starts the
+// cron jobs and the HTTP server.
 
-const express = require('express');
 const admin = require('firebase-admin');
 const cron = require('node-cron');
-
-console.log('');
-console.log('╔═══════════════════════════════════════════════════════╗');
-console.log('║  🚀 StudyWell FCM Server - VERSION: timezone-fix-v2  ║');
-console.log('║  📅 Deployed: 2024-11-13                              ║');
-console.log('║  🔧 Features: Timezone conversion (UTC+8 → UTC)      ║');
-console.log('║  ✅ NEW CODE IS RUNNING - TIMEZONE FIX ACTIVE         ║');
-console.log('╚═══════════════════════════════════════════════════════╝');
-console.log('');
-
-const app = express();
-app.use(express.json());
+const {
+  INSTANCE_ID,
+  LEADER_LEASE_SECONDS,
+  SHUTDOWN_TIMEOUT_SECONDS,
+  FIRESTORE_EMULATOR_HOST,
+  FCM_TRANSPORT,
+} = require('./config');
+const { systemClock } = require('./clock');
+const { createMessagingTransport } = require('./messaging');
+const { createServices } = require('./services');
+const { createApp } = require('./app');
+const { logger } = require('./logger');
+
+logger.info('🚀 StudyWell FCM Server starting', { version: 'timezone-fix-v2', instanceId: INSTANCE_ID });
 
 // Initialize Firebase Admin
 let firebaseInitialized = false;
 let db = null;
+let messagingTransport = null;
 
 function initializeFirebase() {
   if (firebaseInitialized) return;
   
   try {
-    // Get service account from environment variable
-    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT;
-    
-    if (!serviceAccountJson) {
-      console.log('⚠️ FIREBASE_SERVICE_ACCOUNT not set.');
-      console.log('   Get it from: Firebase Console → Project Settings → Service Accounts');
-      console.log('   Then set it as environment variable in Render');
-      return;
+    // Fail on a bad transport setting before touching Firebase
+    const transport = createMessagingTransport(FCM_TRANSPORT);
+    
+    if (FIRESTORE_EMULATOR_HOST) {
+      // The emulator accepts any project ID and no credentials. The Admin SDK
+      // reads FIRESTORE_EMULATOR_HOST (and FIREBASE_AUTH_EMULATOR_HOST) itself.
+      const projectId = process.env.GCLOUD_PROJECT || process.env.FIREBASE_PROJECT_ID || 'studywell-local';
+      admin.initializeApp({ projectId });
+      logger.info('🧪 Offline mode: using the Firestore emulator', { emulatorHost: FIRESTORE_EMULATOR_HOST, projectId });
+    } else {
+      // Get service account from environment variable
+      const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT;
+      
+      if (!serviceAccountJson) {
+        logger.warn('⚠️ FIREBASE_SERVICE_ACCOUNT not set. Get it from Firebase Console → Project Settings → Service Accounts and set it in Render (or set FIRESTORE_EMULATOR_HOST to run against the Firestore emulator)');
+        return;
+      }
+      
+      const serviceAccount = JSON.parse(serviceAccountJson);
+      
+      admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount)
+      });
     }
     
-    const serviceAccount = JSON.parse(serviceAccountJson);
-    
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount)
-    });
-    
     db = admin.firestore();
+    messagingTransport = transport;
     firebaseInitialized = true;
-    console.log('✅ Firebase Admin initialized');
+    logger.info('✅ Firebase Admin initialized', { messagingTransport: transport.name });
   } catch (error) {
-    console.error('❌ Error initializing Firebase:', error.message);
+    logger.error('❌ Error initializing Firebase', { error });
   }
 }
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    service: 'StudyWell FCM Server',
+initializeFirebase();
+
+// Services (all but metrics null when Firebase is not initialized)
+const clock = systemClock;
+const startedAtMs = clock.now();
+const {
+  metrics,
+  analytics,
+  scheduler,
+  streaks,
+  deadlines,
+  dispatcher,
+  focusSessions,
+  campaigns,
+  cleanup,
+  watcher,
+  leadership,
+} = createServices({ db, clock, messenger: messagingTransport });
+
+function isLeader() {
+  return !!leadership && leadership.isLeader();
+}
+
+// When the every-minute cron job last ran, for the health checks
+let lastCronTickMs = null;
+
+const app = createApp({
+  db,
+  auth: firebaseInitialized ? admin.auth() : null,
+  clock,
+  scheduler,
+  campaigns,
+  analytics,
+  streaks,
+  focusSessions,
+  deadlines,
+  dispatcher,
+  metrics,
+  getStatus: () => ({
     firebaseInitialized,
-    timestamp: new Date().toISOString()
-  });
+    offline: !!FIRESTORE_EMULATOR_HOST,
+    messagingTransport: messagingTransport ? messagingTransport.name : null,
+    instanceId: INSTANCE_ID,
+    isLeader: isLeader(),
+    watcher: watcher ? watcher.getStatus() : null,
+    startedAt: new Date(startedAtMs).toISOString(),
+    lastCronTickAt: lastCronTickMs ? new Date(lastCronTickMs).toISOString() : null,
+  }),
 });
 
-// Manual trigger endpoint to test scheduling (for debugging)
-app.post('/trigger-schedule/:userId', async (req, res) => {
-  if (!firebaseInitialized) {
-    return res.status(500).json({ error: 'Firebase not initialized' });
-  }
-  
-  try {
-    const userId = req.params.userId;
-    const doc = await db.collection('notification_preferences').doc(userId).get();
-    
-    if (!doc.exists) {
-      return res.status(404).json({ error: 'User preferences not found' });
-    }
-    
-    const data = doc.data();
-    console.log(`🔧 Manual trigger: Scheduling for user ${userId}`);
-    await cancelAllScheduledNotifications(userId);
-    
-    if (data.studyRemindersEnabled && data.fcmToken) {
-      await scheduleStudyReminders(userId, data);
-      res.json({ 
-        success: true, 
-        message: `Scheduled notifications for user ${userId}` 
-      });
-    } else {
-      res.json({ 
-        success: false, 
-        message: 'Notifications disabled or no FCM token' 
-      });
-    }
-  } catch (error) {
-    console.error('❌ Error in manual trigger:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
+// Jobs in progress, so a shutdown can wait for them to finish
+const runningJobs = new Set();
+let shuttingDown = false;
 
-// Listen to Firestore changes and schedule notifications
-async function watchNotificationPreferences() {
-  if (!firebaseInitialized) {
-    console.log('❌ Cannot watch Firestore: Firebase not initialized');
-    return;
-  }
+// Run a cron job unless the server is shutting down, and track it until it ends
+function runJob(job) {
+  if (shuttingDown) return null;
   
-  try {
-    console.log('👂 Setting up Firestore listener for notification_preferences collection...');
-    
-    // Watch for changes in notification_preferences
-    db.collection('notification_preferences').onSnapshot((snapshot) => {
-      console.log(`📊 Firestore snapshot received: ${snapshot.size} documents`);
-      
-      snapshot.docChanges().forEach(async (change) => {
-        const userId = change.doc.id;
-        const data = change.doc.data();
-        
-        console.log(`📝 Change detected: type=${change.type}, userId=${userId}`);
-        console.log(`   Data: enabled=${data.studyRemindersEnabled}, hasToken=${!!data.fcmToken}`);
-        
-        if (change.type === 'added' || change.type === 'modified') {
-          console.log(`📝 Notification preferences updated for user ${userId}`);
-          
-          // Cancel existing scheduled notifications
-          await cancelAllScheduledNotifications(userId);
-          
-          // If notifications are enabled, schedule new ones
-          if (data.studyRemindersEnabled && data.fcmToken) {
-            console.log(`✅ Scheduling notifications for user ${userId}`);
-            await scheduleStudyReminders(userId, data);
-          } else {
-            console.log(`⚠️ Not scheduling: enabled=${data.studyRemindersEnabled}, hasToken=${!!data.fcmToken}`);
-          }
-        } else if (change.type === 'removed') {
-          console.log(`🗑️ Notification preferences removed for user ${userId}`);
-          await cancelAllScheduledNotifications(userId);
-        }
-      });
-    }, (error) => {
-      console.error('❌ Error watching Firestore:', error);
-      console.error('   Stack:', error.stack);
-    });
-    
-    console.log('✅ Firestore listener set up successfully');
-  } catch (error) {
-    console.error('❌ Error setting up Firestore listener:', error);
-    console.error('   Stack:', error.stack);
-  }
-}
-
-// Schedule study reminders
-async function scheduleStudyReminders(userId, preferences) {
-  if (!firebaseInitialized) return;
-  
-  console.log('🚀 NEW CODE VERSION - scheduleStudyReminders called');
-  
-  try {
-    const hour = preferences.studyReminderHour || 9;
-    const minute = preferences.studyReminderMinute || 0;
-    const frequency = preferences.studyReminderFrequency || 'daily';
-    const customDays = preferences.studyReminderDays || [];
-    const customMessage = preferences.customMessage || 'Time to focus on your studies.';
-    const fcmToken = preferences.fcmToken;
-    // Get timezone offset from preferences (defaults to +8 for backward compatibility)
-    const timezoneOffset = preferences.timezoneOffset !== undefined ? preferences.timezoneOffset : 8;
-
-    if (!fcmToken) {
-      console.log(`⚠️ No FCM token for user ${userId}`);
-      return;
-    }
-
-    // Determine which days to schedule
-    // Convert Flutter's day format (0=Sunday, 1=Monday, ..., 6=Saturday) 
-    // to server format (1=Monday, 2=Tuesday, ..., 7=Sunday)
-    const convertDayFormat = (day) => {
-      if (day === 0) return 7; // Sunday: 0 -> 7
-      return day; // Monday-Saturday: 1-6 -> 1-6
-    };
-    
-    let daysToSchedule = [];
-    switch (frequency) {
-      case 'daily':
-        daysToSchedule = [1, 2, 3, 4, 5, 6, 7];
-        break;
-      case 'weekly':
-        daysToSchedule = [1, 2, 3, 4, 5];
-        break;
-      case 'custom':
-        // Convert custom days from Flutter format (0-6) to server format (1-7)
-        daysToSchedule = customDays.length > 0 
-          ? customDays.map(convertDayFormat) 
-          : [1, 2, 3, 4, 5];
-        break;
-      default:
-        daysToSchedule = [1, 2, 3, 4, 5, 6, 7];
-    }
-
-    // Use UTC time to avoid timezone issues
-    const now = new Date();
-    let scheduledCount = 0;
-    let skippedCount = 0;
-    let errorCount = 0;
-
-    console.log(`📅 Scheduling for user ${userId}:`);
-    console.log(`   Hour: ${hour}, Minute: ${minute}`);
-    console.log(`   Frequency: ${frequency}`);
-    console.log(`   Days to schedule: ${JSON.stringify(daysToSchedule)}`);
-    console.log(`   Current time (UTC): ${now.toISOString()}`);
-    console.log(`   Current time (local): ${now.toString()}`);
-
-    // Schedule for next 8 weeks
-    for (let week = 0; week < 8; week++) {
-      for (const dayOfWeek of daysToSchedule) {
-        try {
-          const scheduledDate = getNextScheduledDate(now, dayOfWeek, hour, minute, week, timezoneOffset);
-          
-          console.log(`   🔍 Date calculation: dayOfWeek=${dayOfWeek}, week=${week}, now=${now.toISOString()}, scheduled=${scheduledDate.toISOString()}`);
-          
-          if (scheduledDate <= now) {
-            skippedCount++;
-            console.log(`   ⏭️ Skipping past date: ${scheduledDate.toISOString()}`);
-            continue;
-          }
-
-          const notificationId = `study_${userId}_${dayOfWeek}_${week}`;
-          
-          console.log(`   📝 Creating notification: ${notificationId}`);
-          console.log(`      Scheduled for: ${scheduledDate.toISOString()}`);
-          
-          // Store in Firestore - HARDCODED: Use EXACT hour and minute from user input
-          // Just store the hour and minute as a simple string - NO DATE, NO TIMESTAMP
-          const scheduledForString = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
-          
-          // scheduledDate is already the correct UTC timestamp for the cron job
-          const utcTimestamp = admin.firestore.Timestamp.fromDate(scheduledDate);
-          
-          console.log(`   📊 HARDCODED - Using EXACT values from user:`);
-          console.log(`      hour field: ${hour}, minute field: ${minute}`);
-          console.log(`      scheduledFor string: ${scheduledForString}`);
-          console.log(`      UTC timestamp (for cron): ${scheduledDate.toISOString()}`);
-          
-          await db.collection('scheduled_notifications').doc(notificationId).set({
-            userId: userId,
-            fcmToken: fcmToken,
-            scheduledFor: scheduledForString, // Store as STRING: "17:00" - just hour:minute
-            scheduledForUTC: utcTimestamp, // UTC timestamp for cron job comparison
-            hour: hour, // User's local hour
-            minute: minute, // User's local minute
-            timezoneOffset: timezoneOffset, // Store timezone offset for reference
-            dayOfWeek: dayOfWeek,
-            week: week,
-            title: 'Study Time! 📚',
-            message: customMessage,
-            type: 'study_reminder',
-            sent: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          });
-          
-          console.log(`   💾 Stored: scheduledFor="${scheduledForString}" (STRING), hour=${hour}, minute=${minute}`);
-          console.log(`   💾 UTC timestamp: ${utcTimestamp.toDate().toISOString()} (for cron job)`);
-          console.log(`   💾 Expected display: ${hour}:${minute} (user set)`);
-          
-          console.log(`   ✅ Created notification: ${notificationId}`);
-          scheduledCount++;
-        } catch (error) {
-          errorCount++;
-          console.error(`   ❌ Error creating notification for day ${dayOfWeek}, week ${week}:`, error);
-          console.error(`      Stack:`, error.stack);
-        }
-      }
-    }
-
-    console.log(`✅ Scheduling complete for user ${userId}:`);
-    console.log(`   Created: ${scheduledCount}`);
-    console.log(`   Skipped (past dates): ${skippedCount}`);
-    console.log(`   Errors: ${errorCount}`);
-  } catch (error) {
-    console.error(`❌ Error scheduling notifications for user ${userId}:`, error);
-    console.error(`   Stack:`, error.stack);
-  }
+  const running = job().finally(() => runningJobs.delete(running));
+  runningJobs.add(running);
+  return running;
 }
 
-// Get next scheduled date
-// Note: hour and minute are in user's local timezone (UTC+8 for Philippines)
-// We need to convert to UTC for storage in Firestore
-function getNextScheduledDate(now, dayOfWeek, hour, minute, weekOffset = 0, timezoneOffset = 8) {
-  // Create a copy of now to avoid mutating the original
-  const currentDate = new Date(now);
-  const currentDayOfWeek = currentDate.getDay() === 0 ? 7 : currentDate.getDay();
-  
-  // Convert user's local time to UTC by subtracting timezoneOffset hours
-  // If timezoneOffset is +8, subtract 8 hours
-  // If timezoneOffset is -5, subtract -5 hours (add 5 hours)
-  // Create a date in user's local timezone first, then convert to UTC
-  const timezoneString = timezoneOffset >= 0 ? `UTC+${timezoneOffset}` : `UTC${timezoneOffset}`;
-  
-  // Calculate target date in UTC by creating a date in local timezone and subtracting offset
-  let targetDate = new Date(currentDate);
-  // Set to user's local time (treating currentDate as if it were in local timezone)
-  targetDate.setUTCHours(hour, minute, 0, 0);
-  targetDate.setUTCSeconds(0);
-  targetDate.setUTCMilliseconds(0);
-  // Now subtract timezoneOffset to get actual UTC time
-  targetDate = new Date(targetDate.getTime() - (timezoneOffset * 60 * 60 * 1000));
-  
-  const utcHour = targetDate.getUTCHours();
-  console.log(`   🌍 Timezone conversion: ${hour}:${minute} ${timezoneString} → ${utcHour}:${minute} UTC`);
-  
-  console.log(`   📅 After UTC conversion: ${targetDate.toISOString()} (should display as ${hour}:${minute} in ${timezoneString})`);
-  
-  // If same day of week
-  if (currentDayOfWeek === dayOfWeek) {
-    // If target time today is in the future, use it (with week offset)
-    if (targetDate > currentDate) {
-      targetDate.setUTCDate(targetDate.getUTCDate() + (weekOffset * 7));
-      return targetDate;
-    }
-    // Otherwise, schedule for next week (with week offset)
-    targetDate.setUTCDate(targetDate.getUTCDate() + 7 + (weekOffset * 7));
-    return targetDate;
-  }
-  
-  // Calculate days until target day of week
-  let daysUntilTarget = (dayOfWeek - currentDayOfWeek + 7) % 7;
-  if (daysUntilTarget === 0) daysUntilTarget = 7;
-  
-  // Add days until target + week offset (using UTC to maintain consistency)
-  targetDate.setUTCDate(targetDate.getUTCDate() + daysUntilTarget + (weekOffset * 7));
-  
-  return targetDate;
-}
+// Scheduled jobs (stopped on shutdown)
+const cronTasks = [];
 
-// Cancel all scheduled notifications
-async function cancelAllScheduledNotifications(userId) {
-  if (!firebaseInitialized) return;
+// Cron job: Check for due notifications every minute (only logged at debug
+// level; the dispatcher logs what it sends)
+cronTasks.push(cron.schedule('* * * * *', () => runJob(async () => {
+  lastCronTickMs = clock.now();
+  logger.debug('⏰ Cron job triggered');
   
-  try {
-    const snapshot = await db.collection('scheduled_notifications')
-      .where('userId', '==', userId)
-      .where('sent', '==', false)
-      .get();
-    
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
-    console.log(`✅ Cancelled ${snapshot.size} notifications for user ${userId}`);
-  } catch (error) {
-    console.error(`❌ Error cancelling notifications:`, error);
+  if (!dispatcher) {
+    logger.debug('⏰ Dispatch skipped: Firebase not initialized');
+    return;
   }
-}
+  await dispatcher.dispatchDueNotifications();
+  await campaigns.dispatchDueCampaigns();
+})));
+
+// Cleanup old notifications and analytics events (runs daily at midnight, leader only)
+cronTasks.push(cron.schedule('0 0 * * *', () => runJob(async () => {
+  if (!isLeader()) return;
+  await cleanup.cleanupOldNotifications();
+  await analytics.cleanupOldEvents();
+})));
+
+// Roll notification events up into daily stats (runs hourly, leader only)
+cronTasks.push(cron.schedule('15 * * * *', () => runJob(async () => {
+  if (!isLeader()) return;
+  await analytics.rollupRecentStats();
+})));
+
+// Close deadlines that have passed (runs hourly, leader only)
+cronTasks.push(cron.schedule('10 * * * *', () => runJob(async () => {
+  if (!isLeader()) return;
+  await deadlines.closePassedDeadlines();
+})));
+
+// Extend the rolling schedule window (runs hourly, leader only)
+cronTasks.push(cron.schedule('5 * * * *', () => runJob(async () => {
+  if (!isLeader()) return;
+  await scheduler.extendScheduleHorizon();
+})));
+
+// Heartbeat to show server is alive (debug level; GET /healthz is the real check)
+const heartbeatTimer = setInterval(() => {
+  const watcherStatus = watcher ? watcher.getStatus() : null;
+  logger.debug('💓 Server heartbeat', {
+    firebaseInitialized,
+    isLeader: isLeader(),
+    watcher: watcherStatus && watcherStatus.running ? (watcherStatus.healthy ? 'up' : 'restarting') : 'off',
+  });
+}, 60000); // Every minute
 
-// Send FCM notification
-async function sendFCMNotification(notification, notificationId) {
-  if (!firebaseInitialized) return;
-  
-  try {
-    const message = {
-      token: notification.fcmToken,
-      notification: {
-        title: notification.title,
-        body: notification.message,
-      },
-      data: {
-        type: notification.type || 'study_reminder',
-        userId: notification.userId,
-      },
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'study_reminders',
-          sound: 'default',
-          priority: 'max',
-        },
-      },
-    };
+// Start server
+const PORT = process.env.PORT || 3000;
 
-    const response = await admin.messaging().send(message);
-    console.log(`✅ Sent notification ${notificationId}: ${response}`);
-    
-    // Mark as sent
-    await db.collection('scheduled_notifications').doc(notificationId).update({
-      sent: true,
-      sentAt: admin.firestore.FieldValue.serverTimestamp(),
-      messageId: response,
-    });
-    
-    return response;
-  } catch (error) {
-    console.error(`❌ Error sending notification ${notificationId}:`, error);
-    
-    // If token is invalid, mark as sent
-    if (error.code === 'messaging/invalid-registration-token' || 
-        error.code === 'messaging/registration-token-not-registered') {
-      await db.collection('scheduled_notifications').doc(notificationId).update({
-        sent: true,
-        error: error.message,
-      });
-    }
-  }
-}
+let leaseTimer = null;
 
-// Cron job: Check for due notifications every minute
-console.log('⏰ Setting up cron job to run every minute...');
-cron.schedule('* * * * *', async () => {
-  const cronStartTime = new Date().toISOString();
-  console.log(`⏰ [${cronStartTime}] Cron job triggered`);
+const server = app.listen(PORT, () => {
+  logger.info(`🚀 StudyWell FCM Server running on port ${PORT}`, { port: PORT, firebaseInitialized });
   
-  if (!firebaseInitialized) {
-    console.log('⏰ Cron job skipped: Firebase not initialized');
-    return;
-  }
-  
-  try {
-    const now = admin.firestore.Timestamp.now();
-    const oneMinuteFromNow = admin.firestore.Timestamp.fromMillis(now.toMillis() + 60000);
-    
-    console.log(`⏰ Checking for notifications due between ${now.toDate().toISOString()} and ${oneMinuteFromNow.toDate().toISOString()}`);
-    
-    // Query only by sent=false to avoid complex index requirements
-    // Filter in code for time range
-    const snapshot = await db.collection('scheduled_notifications')
-      .where('sent', '==', false)
-      .limit(500) // Get up to 500 unsent notifications
-      .get();
-    
-    console.log(`⏰ Cron job running: Found ${snapshot.size} unsent notifications total`);
-    
-    // Filter in code for notifications that are due now or in the next minute
-    const dueNotifications = snapshot.docs.filter(doc => {
-      const data = doc.data();
-      // ALWAYS use scheduledForUTC for cron job - scheduledFor is just for display
-      // scheduledFor should be a string like "18:00", scheduledForUTC is the actual timestamp
-      const scheduledForUTC = data.scheduledForUTC;
-      const scheduledFor = data.scheduledFor; // This is just for display, should be "HH:MM"
-      // Use scheduledForUTC for the cron job check
-      if (!scheduledForUTC) {
-        console.log(`   ⚠️ Notification ${doc.id} has no scheduledForUTC field`);
-        return false;
-      }
-      
-      // scheduledFor is just for display (should be "HH:MM" string)
-      // scheduledForUTC is what we use for the actual time check
-      if (typeof scheduledFor === 'string') {
-        console.log(`   📋 Notification ${doc.id}: scheduledFor="${scheduledFor}" (display), scheduledForUTC=${scheduledForUTC.toDate().toISOString()}`);
-      }
-      
-      // Use scheduledForUTC directly for time comparison
-      return scheduledForUTC >= now && scheduledForUTC <= oneMinuteFromNow;
-      
-      // OLD CODE BELOW - keeping for backward compatibility with old format
-      if (false && typeof scheduledFor === 'string') {
-        // Format: "HH:MM" (just hour:minute) or "TIME_YYYY-MM-DD_HH:MM:SS" (old format)
-        const timezoneOffset = data.timezoneOffset !== undefined ? data.timezoneOffset : 8;
-        
-        // Try new format first: "HH:MM"
-        const simpleMatch = scheduledFor.match(/^(\d{2}):(\d{2})$/);
-        if (simpleMatch) {
-          const [, hourStr, minuteStr] = simpleMatch;
-          const hour = parseInt(hourStr, 10);
-          const minute = parseInt(minuteStr, 10);
-          // Use scheduledForUTC if available, otherwise calculate from hour:minute
-          if (data.scheduledForUTC) {
-            return data.scheduledForUTC >= now && data.scheduledForUTC <= oneMinuteFromNow;
-          }
-          // Fallback: use current date with hour:minute
-          const today = new Date();
-          const userLocalDate = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hour, minute, 0));
-          const utcDate = new Date(userLocalDate.getTime() - (timezoneOffset * 60 * 60 * 1000));
-          const utcTimestamp = admin.firestore.Timestamp.fromDate(utcDate);
-          return utcTimestamp >= now && utcTimestamp <= oneMinuteFromNow;
-        }
-        
-        // Try old format: "TIME_YYYY-MM-DD_HH:MM:SS"
-        const oldMatch = scheduledFor.match(/TIME_(\d{4})-(\d{2})-(\d{2})_(\d{2}):(\d{2}):(\d{2})/);
-        if (oldMatch) {
-          const [, year, month, day, hour, minute] = oldMatch;
-          const userLocalDate = new Date(Date.UTC(year, month - 1, day, hour, minute, 0));
-          const utcDate = new Date(userLocalDate.getTime() - (timezoneOffset * 60 * 60 * 1000));
-          const utcTimestamp = admin.firestore.Timestamp.fromDate(utcDate);
-          return utcTimestamp >= now && utcTimestamp <= oneMinuteFromNow;
-        }
-      }
-      // If it's a timestamp, use it directly
-      return scheduledFor >= now && scheduledFor <= oneMinuteFromNow;
-    });
-    
-    // Log details about first few notifications for debugging
-    if (snapshot.size > 0 && snapshot.size <= 10) {
-      snapshot.docs.slice(0, 3).forEach(doc => {
-        const data = doc.data();
-        const scheduledFor = data.scheduledFor;
-        if (scheduledFor) {
-          console.log(`   📋 Sample: ${doc.id} scheduled for ${scheduledFor.toDate().toISOString()}`);
-        }
-      });
-    }
-    
-    if (dueNotifications.length > 0) {
-      console.log(`📤 Found ${dueNotifications.length} notifications to send NOW`);
-    } else {
-      console.log(`   ℹ️ No notifications due in the next minute`);
-    }
-    
-    for (const doc of dueNotifications) {
-      const notification = doc.data();
-      await sendFCMNotification(notification, doc.id);
-    }
-  } catch (error) {
-    console.error('❌ Error in cron job:', error);
-    console.error('   Stack:', error.stack);
+  // Compete for leadership; the leader starts the Firestore watcher, and
+  // renewing keeps retrying if the first attempt fails
+  if (firebaseInitialized) {
+    logger.info('👑 Acquiring the leader lease', { instanceId: INSTANCE_ID });
+    leadership.renew();
+    leaseTimer = setInterval(leadership.renew, (LEADER_LEASE_SECONDS * 1000) / 3);
+  } else {
+    logger.error('❌ Firebase not initialized, cannot start the Firestore watcher. Check the FIREBASE_SERVICE_ACCOUNT environment variable');
   }
 });
 
-// Cleanup old notifications (runs daily at midnight)
-cron.schedule('0 0 * * *', async () => {
-  if (!firebaseInitialized) return;
-  
-  try {
-    const oneWeekAgo = admin.firestore.Timestamp.fromMillis(Date.now() - 7 * 24 * 60 * 60 * 1000);
-    
-    const snapshot = await db.collection('scheduled_notifications')
-      .where('sent', '==', true)
-      .where('sentAt', '<', oneWeekAgo)
-      .limit(500)
-      .get();
-    
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
-    console.log(`🧹 Cleaned up ${snapshot.size} old notifications`);
-  } catch (error) {
-    console.error('❌ Error cleaning up:', error);
+// Graceful shutdown (Render sends SIGTERM on every deploy and restart): stop
+// taking new work, let the jobs and sends in progress finish (up to
+// SHUTDOWN_TIMEOUT_SECONDS), hand the leader lease over and exit. Notifications
+// still claimed at the timeout are retried by another instance once their
+// lease expires.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('🛑 Shutting down', { signal, jobsInProgress: runningJobs.size });
+  
+  cronTasks.forEach(task => task.stop());
+  clearInterval(heartbeatTimer);
+  clearInterval(leaseTimer);
+  server.close();
+  if (watcher) watcher.stop();
+  if (dispatcher) dispatcher.stop();
+  
+  const finished = Promise.allSettled([
+    ...runningJobs,
+    watcher && watcher.whenIdle(),
+    dispatcher && dispatcher.whenIdle(),
+    campaigns && campaigns.whenIdle(),
+  ]).then(() => true);
+  const timedOut = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_SECONDS * 1000, false));
+  if (!(await Promise.race([finished, timedOut]))) {
+    logger.warn('⚠️ Jobs still running at the shutdown timeout, exiting anyway', { timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
   }
-});
-
-// Heartbeat to show server is alive
-setInterval(() => {
-  const now = new Date().toISOString();
-  console.log(`💓 Server heartbeat: ${now} | Firebase: ${firebaseInitialized ? '✅' : '❌'}`);
-}, 60000); // Every minute
-
-// Start server
-const PORT = process.env.PORT || 3000;
-console.log(`🔧 Starting server on port ${PORT}...`);
-console.log(`🔧 Environment check: PORT=${PORT}, FIREBASE_SERVICE_ACCOUNT=${process.env.FIREBASE_SERVICE_ACCOUNT ? 'SET' : 'NOT SET'}`);
-
-app.listen(PORT, () => {
-  console.log(`🚀 StudyWell FCM Server running on port ${PORT}`);
-  console.log(`📅 Server started at: ${new Date().toISOString()}`);
   
-  initializeFirebase();
-  
-  // Start watching Firestore after a short delay
-  setTimeout(() => {
-    console.log(`⏰ Checking Firebase initialization status...`);
-    if (firebaseInitialized) {
-      console.log(`✅ Firebase initialized, starting Firestore watcher...`);
-      watchNotificationPreferences();
-    } else {
-      console.log(`❌ Firebase not initialized, cannot start Firestore watcher`);
-      console.log(`   Please check FIREBASE_SERVICE_ACCOUNT environment variable`);
-    }
-  }, 2000);
-});
+  if (leadership) await leadership.release();
+  logger.info('👋 Shutdown complete');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
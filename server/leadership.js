@@ -0,0 +1,88 @@
+const admin = require('firebase-admin');
+const { INSTANCE_ID, LEADER_LEASE_SECONDS } = require('./config');
+const { logger } = require('./logger');
+
+function createLeadership({ db, clock, instanceId = INSTANCE_ID, onChange }) {
+  let isLeader = false;
+  let leaderLeaseExpiresAtMs = 0;
+
+  // Acquire or renew the leader lease in server_leases/leader.
+  // The leader runs the watcher, cleanup and horizon jobs; every instance sends.
+  // onChange(isLeader) is called whenever this instance gains or loses leadership.
+  async function renewLeadership() {
+    const ref = db.collection('server_leases').doc('leader');
+    
+    try {
+      // Resolves to the new lease expiry, or null if another instance holds it
+      const expiresAtMs = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const nowMs = clock.now();
+        const lease = doc.exists ? doc.data() : null;
+        
+        if (lease && lease.owner !== instanceId && lease.expiresAt.toMillis() > nowMs) {
+          return null;
+        }
+        
+        transaction.set(ref, {
+          owner: instanceId,
+          expiresAt: admin.firestore.Timestamp.fromMillis(nowMs + LEADER_LEASE_SECONDS * 1000),
+          renewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return nowMs + LEADER_LEASE_SECONDS * 1000;
+      });
+      
+      if (expiresAtMs) leaderLeaseExpiresAtMs = expiresAtMs;
+      setLeader(expiresAtMs !== null);
+    } catch (error) {
+      logger.error('❌ Error renewing leader lease', { error });
+      // Keep leading while the lease we hold is still valid; after that another
+      // instance may have taken over
+      if (clock.now() >= leaderLeaseExpiresAtMs) {
+        setLeader(false);
+      }
+    }
+  }
+
+  // Give the lease up (on shutdown) so another instance can take over right away
+  async function releaseLeadership() {
+    if (!isLeader) return;
+    
+    const ref = db.collection('server_leases').doc('leader');
+    try {
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists && doc.data().owner === instanceId) {
+          transaction.delete(ref);
+        }
+      });
+      logger.info('🏳️ Released the leader lease', { instanceId });
+    } catch (error) {
+      logger.error('❌ Error releasing leader lease', { error });
+    }
+    
+    leaderLeaseExpiresAtMs = 0;
+    setLeader(false);
+  }
+
+  function setLeader(leader) {
+    if (leader === isLeader) return;
+    
+    isLeader = leader;
+    
+    if (leader) {
+      logger.info('👑 This instance is now the leader', { instanceId });
+      onChange(true);
+    } else {
+      logger.info('👋 This instance is no longer the leader', { instanceId });
+      onChange(false);
+    }
+  }
+  
+  return {
+    renew: renewLeadership,
+    release: releaseLeadership,
+    isLeader: () => isLeader,
+  };
+}
+
+module.exports = { createLeadership };
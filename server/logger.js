@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVELS, LOG_LEVEL, LOG_DEBUG_SAMPLE_RATE, LOG_REDACT } = require('./config');
+
+// Correlation fields ({ requestId, userId, notificationId, ... }) of the work in
+// progress, carried across awaits (see withLogContext)
+const logContext = new AsyncLocalStorage();
+
+// Fields holding a user ID (replaced by hashUserId) or an FCM token (masked)
+const USER_ID_FIELDS = new Set(['userId', 'uid', 'createdBy']);
+const TOKEN_FIELDS = new Set(['token', 'fcmToken', 'tokens']);
+// Debug entries are sampled by the first of these fields they have, so all of
+// a sampled user's (or request's) entries are kept
+const SAMPLING_FIELDS = ['userId', 'requestId', 'dispatchId'];
+
+// Structured logger. Every entry is one JSON line,
+// { time, level, msg, ...log context, ...fields }, on stdout (stderr for
+// errors). An `error` field is logged as { message, code, stack }. Entries
+// below level are dropped and debug entries are sampled (see LOG_DEBUG_SAMPLE_RATE).
+// write(line, level) and now() can be replaced in tests.
+function createLogger({ level = LOG_LEVEL, debugSampleRate = LOG_DEBUG_SAMPLE_RATE, redact = LOG_REDACT, write = writeLine, now = Date.now } = {}) {
+  const minLevel = LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.indexOf('info');
+
+  function log(levelName, msg, fields = {}) {
+    if (LOG_LEVELS.indexOf(levelName) < minLevel) return;
+    
+    const entry = { time: new Date(now()).toISOString(), level: levelName, msg, ...logContext.getStore(), ...fields };
+    if (levelName === 'debug' && !isSampled(entry, debugSampleRate)) return;
+    if (entry.error) entry.error = serializeError(entry.error);
+    
+    write(JSON.stringify(redact ? redactEntry(entry) : entry), levelName);
+  }
+  
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+  };
+}
+
+// Run fn with fields (e.g. { userId }) added to every entry logged while it
+// runs, including after awaits. Contexts nest.
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function writeLine(line, level) {
+  (level === 'error' ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Whether a debug entry is kept: always at rate 1, and otherwise decided by a
+// hash of its sampling field (or at random without one)
+function isSampled(entry, rate) {
+  if (rate >= 1) return true;
+  if (rate <= 0) return false;
+  
+  const field = SAMPLING_FIELDS.find(name => typeof entry[name] === 'string');
+  if (!field) return Math.random() < rate;
+  return parseInt(sha256(entry[field]).slice(0, 8), 16) / 0x100000000 < rate;
+}
+
+// Errors (or FCM's { code, message } results) as plain JSON
+function serializeError(error) {
+  if (typeof error !== 'object') return { message: String(error) };
+  return { message: error.message, code: error.code, stack: error instanceof Error ? error.stack : undefined };
+}
+
+// The entry with user IDs hashed (also wherever they appear inside other
+// strings, such as notification IDs and doc paths) and tokens masked
+function redactEntry(entry) {
+  const userIds = [...USER_ID_FIELDS].map(field => entry[field]).filter(value => typeof value === 'string' && value);
+  
+  function scrub(value, field) {
+    if (TOKEN_FIELDS.has(field)) {
+      return Array.isArray(value) ? value.map(maskToken) : maskToken(value);
+    }
+    if (USER_ID_FIELDS.has(field) && typeof value === 'string') return hashUserId(value);
+    if (typeof value === 'string') {
+      return userIds.reduce((text, userId) => text.split(userId).join(hashUserId(userId)), value);
+    }
+    if (Array.isArray(value)) return value.map(item => scrub(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item, key)]));
+    }
+    return value;
+  }
+  
+  return scrub(entry);
+}
+
+// A user ID as logged: stable, so a user's entries can still be found together
+function hashUserId(userId) {
+  return `u_${sha256(userId).slice(0, 12)}`;
+}
+
+function maskToken(token) {
+  return typeof token === 'string' ? `…${token.slice(-6)}` : token;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// The server's logger
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  withLogContext,
+  hashUserId,
+};
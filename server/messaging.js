@@ -0,0 +1,80 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const {
+  FCM_SINK_FILE,
+  FCM_SINK_URL,
+  LOCAL_INVALID_TOKEN_PREFIX,
+  INSTANCE_ID,
+} = require('./config');
+
+// Messaging transports. Each one's sendEach(messages) resolves like
+// admin.messaging().sendEach: { responses: [{ success: true, messageId } |
+// { success: false, error }] }, so delivery works the same with any of them.
+function createMessagingTransport(name) {
+  switch (name) {
+    case 'fcm':
+      return { name, sendEach: messages => admin.messaging().sendEach(messages) };
+    case 'file':
+      return { name: `file ${FCM_SINK_FILE}`, sendEach: sendToFileSink };
+    case 'http':
+      if (!FCM_SINK_URL) throw new Error('FCM_TRANSPORT=http needs FCM_SINK_URL');
+      return { name: `http ${FCM_SINK_URL}`, sendEach: sendToHttpSink };
+    default:
+      throw new Error(`Unknown FCM_TRANSPORT "${name}" (use fcm, file or http)`);
+  }
+}
+
+// What FCM would answer for each message, as far as a local transport can tell
+// (topic and condition messages always succeed)
+function getLocalSendResponses(messages) {
+  return messages.map(message => (message.token && message.token.startsWith(LOCAL_INVALID_TOKEN_PREFIX)
+    ? { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Token rejected by the local transport' } }
+    : { success: true, messageId: `local-${crypto.randomUUID()}` }));
+}
+
+// Record of one outgoing message, as written to a sink
+function toSinkRecord(message, response) {
+  return {
+    recordedAt: new Date().toISOString(),
+    instanceId: INSTANCE_ID,
+    success: response.success,
+    messageId: response.messageId || null,
+    error: response.error ? response.error.code : null,
+    message,
+  };
+}
+
+async function sendToFileSink(messages) {
+  const responses = getLocalSendResponses(messages);
+  const lines = messages.map((message, index) => JSON.stringify(toSinkRecord(message, responses[index])) + '\n');
+  
+  await fs.promises.appendFile(FCM_SINK_FILE, lines.join(''));
+  return { responses };
+}
+
+async function sendToHttpSink(messages) {
+  const responses = getLocalSendResponses(messages);
+  
+  let response;
+  try {
+    response = await fetch(FCM_SINK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: messages.map((message, index) => toSinkRecord(message, responses[index])) }),
+    });
+  } catch (error) {
+    // Reported like an FCM network error, so the batch is retried
+    throw Object.assign(new Error(`FCM sink unreachable: ${error.message}`), { code: 'app/network-error' });
+  }
+  
+  if (!response.ok) {
+    throw Object.assign(new Error(`FCM sink responded ${response.status}`), { code: 'messaging/server-unavailable' });
+  }
+  
+  return { responses };
+}
+
+module.exports = {
+  createMessagingTransport,
+};
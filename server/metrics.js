@@ -0,0 +1,123 @@
+const { SEND_LATENCY_BUCKETS, FCM_REQUEST_BUCKETS } = require('./config');
+
+// Prometheus metrics, served as text by GET /metrics. Counters and histograms
+// are kept in memory by each instance and start over when it restarts (which
+// Prometheus expects); gauges are set just before each scrape.
+function createMetrics() {
+  const families = [];
+
+  function register(type, name, help, labelNames) {
+    const family = { type, name, help, labelNames, series: new Map() };
+    families.push(family);
+    return family;
+  }
+
+  // The series of a family for one set of label values, created on first use
+  function getSeries(family, labels, create) {
+    const values = family.labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+    
+    if (!family.series.has(key)) {
+      family.series.set(key, { labels: values, ...create() });
+    }
+    return family.series.get(key);
+  }
+
+  function counter(name, help, labelNames = []) {
+    const family = register('counter', name, help, labelNames);
+    return {
+      inc: (labels = {}, amount = 1) => {
+        getSeries(family, labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const family = register('gauge', name, help, labelNames);
+    return {
+      set: (labels, value) => {
+        getSeries(family, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames, buckets) {
+    const family = register('histogram', name, help, labelNames);
+    family.buckets = buckets;
+    return {
+      observe: (labels, value) => {
+        const series = getSeries(family, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      },
+    };
+  }
+
+  // Every metric in the text exposition format (version 0.0.4)
+  function render() {
+    const lines = [];
+    
+    for (const family of families) {
+      lines.push(`# HELP ${family.name} ${family.help}`);
+      lines.push(`# TYPE ${family.name} ${family.type}`);
+      
+      for (const series of family.series.values()) {
+        if (family.type !== 'histogram') {
+          lines.push(`${family.name}${formatLabels(family.labelNames, series.labels)} ${formatValue(series.value)}`);
+          continue;
+        }
+        
+        family.buckets.forEach((bound, index) => {
+          const labels = formatLabels([...family.labelNames, 'le'], [...series.labels, formatValue(bound)]);
+          lines.push(`${family.name}_bucket${labels} ${series.counts[index]}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels([...family.labelNames, 'le'], [...series.labels, '+Inf'])} ${series.count}`);
+        lines.push(`${family.name}_sum${formatLabels(family.labelNames, series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${family.name}_count${formatLabels(family.labelNames, series.labels)} ${series.count}`);
+      }
+    }
+    
+    return lines.join('\n') + '\n';
+  }
+  
+  return {
+    // Counted as analytics records the events (see recordEvents)
+    notificationsScheduled: counter('studywell_notifications_scheduled_total', 'Notifications scheduled', ['type']),
+    notificationsSent: counter('studywell_notifications_sent_total', 'Notifications delivered to at least one device', ['type']),
+    notificationsFailed: counter('studywell_notifications_failed_total', 'Notifications that failed for good, by error code', ['type', 'reason']),
+    // Counted by the dispatcher
+    notificationsRetried: counter('studywell_notifications_retried_total', 'Send attempts that failed and will be retried, by error code', ['type', 'reason']),
+    sendLatency: histogram('studywell_notification_send_latency_seconds', 'Time from a notification\'s scheduled time to its delivery', ['type'], SEND_LATENCY_BUCKETS),
+    fcmRequestDuration: histogram('studywell_fcm_request_duration_seconds', 'Duration of FCM sendEach() calls', [], FCM_REQUEST_BUCKETS),
+    // Set before each scrape
+    backlogSize: gauge('studywell_notification_backlog', 'Pending notifications that are due and not sent yet'),
+    oldestOverdue: gauge('studywell_notification_oldest_overdue_seconds', 'How long the oldest due, unsent notification has waited'),
+    lastCronTick: gauge('studywell_cron_last_tick_timestamp_seconds', 'When the every-minute cron job last ran'),
+    isLeader: gauge('studywell_leader', 'Whether this instance is the leader'),
+    watcherHealthy: gauge('studywell_watcher_healthy', 'Whether the Firestore watcher is up (or not needed on this instance)'),
+    render,
+  };
+}
+
+// {name="value",...}, or nothing without labels
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`).join(',')}}`;
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+module.exports = {
+  createMetrics,
+};
@@ -0,0 +1,65 @@
+// Quiet hours and do-not-disturb periods (normalized by normalizeQuietPeriods)
+
+const { MAX_QUIET_PERIODS } = require('./config');
+const { getLocalDateParts, zonedTimeToUtc } = require('./time-zones');
+
+// If date falls inside a quiet period, return the UTC ms it ends at, else null.
+// Overnight quiet hours are matched both on their start day and the morning after.
+function getQuietPeriodEnd(date, quiet, timeZone) {
+  const ms = date.getTime();
+  
+  for (const period of quiet.dnd) {
+    if (ms >= period.startMs && ms < period.endMs) return period.endMs;
+  }
+  
+  const local = getLocalDateParts(timeZone, ms);
+  const minutes = local.hour * 60 + local.minute;
+  const previousDay = local.dayOfWeek === 1 ? 7 : local.dayOfWeek - 1;
+  
+  for (const range of quiet.hours) {
+    const wraps = range.end < range.start;
+    let endDayOffset = null;
+    
+    if (!wraps && minutes >= range.start && minutes < range.end && range.days.includes(local.dayOfWeek)) {
+      endDayOffset = 0;
+    } else if (wraps && minutes >= range.start && range.days.includes(local.dayOfWeek)) {
+      endDayOffset = 1;
+    } else if (wraps && minutes < range.end && range.days.includes(previousDay)) {
+      endDayOffset = 0;
+    }
+    
+    if (endDayOffset !== null) {
+      return zonedTimeToUtc(
+        timeZone,
+        local.year,
+        local.month,
+        local.day + endDayOffset,
+        Math.floor(range.end / 60),
+        range.end % 60
+      ).getTime();
+    }
+  }
+  
+  return null;
+}
+
+// Apply the user's quiet periods to an occurrence.
+// Returns { date, deferred } with the time to send at, or null to skip it.
+// Deferring follows back-to-back periods (e.g. quiet hours ending inside DND).
+function applyQuietPeriods(date, quiet, timeZone) {
+  let candidate = date;
+  
+  for (let hop = 0; hop <= MAX_QUIET_PERIODS * 2; hop++) {
+    const endMs = getQuietPeriodEnd(candidate, quiet, timeZone);
+    if (endMs === null) return { date: candidate, deferred: hop > 0 };
+    if (quiet.mode === 'skip') return null;
+    candidate = new Date(endMs);
+  }
+  
+  return null;
+}
+
+module.exports = {
+  getQuietPeriodEnd,
+  applyQuietPeriods,
+};
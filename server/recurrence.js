@@ -0,0 +1,390 @@
+const { MAX_TIMES_PER_DAY } = require('./config');
+const { getLocalDateParts, zonedTimeToUtc } = require('./time-zones');
+
+// Recurrence expansion.
+// Calendar math runs on "day numbers" (days since 1970-01-01 on the user's local
+// calendar); each occurrence is then turned into a UTC instant with zonedTimeToUtc.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RRULE_WEEKDAY_NAMES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Rules without DTSTART count their INTERVAL from Monday 1970-01-05, so
+// "every other week" always means the same weeks
+const DEFAULT_RRULE_ANCHOR = { year: 1970, month: 0, day: 5, hour: null, minute: null };
+// Safety net for rules whose periods rarely match (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_RECURRENCE_PERIODS = 5000;
+
+function toDayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month, day) / DAY_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+// 1=Monday..7=Sunday (day 0 was a Thursday)
+function weekdayOfDayNumber(dayNumber) {
+  return ((dayNumber + 3) % 7 + 7) % 7 + 1;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Parse a comma-separated list of integers in [min, max]; null if any is invalid
+function parseIntegerList(value, min, max, allowNegative = false) {
+  const numbers = value.split(',').map(part => (/^[+-]?\d+$/.test(part) ? parseInt(part, 10) : NaN));
+  const valid = numbers.every(n => Number.isInteger(n) &&
+    (Math.abs(n) >= min && Math.abs(n) <= max) &&
+    (allowNegative || n >= 0));
+  
+  return valid ? numbers : null;
+}
+
+// Parse an iCalendar RRULE, optionally preceded by a DTSTART line
+// ("DTSTART:20240102T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU").
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (ordinals such as 1MO or
+// -1FR with MONTHLY), BYMONTHDAY, BYMONTH, BYHOUR, BYMINUTE, COUNT, UNTIL, WKST=MO.
+// DTSTART and a date-time UNTIL without "Z" are read in the user's time zone.
+// Returns { spec } or { error }.
+function parseRRule(text) {
+  const lines = text.trim().split(/\s*[\r\n]+\s*/);
+  const spec = { interval: 1, byDay: null, byMonthDay: null, byMonth: null, byHour: null, byMinute: null, count: null, until: null, dtstart: null };
+  let ruleLine = null;
+  
+  for (const line of lines) {
+    const dtstart = line.match(/^DTSTART(?:;[^:]*)?:(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?)?$/i);
+    if (dtstart) {
+      const [, year, month, day, hour, minute] = dtstart.map(part => (part === undefined ? undefined : parseInt(part, 10)));
+      spec.dtstart = { year, month: month - 1, day, hour: hour === undefined ? null : hour, minute: minute === undefined ? null : minute };
+    } else if (ruleLine === null) {
+      ruleLine = line.replace(/^RRULE:/i, '');
+    } else {
+      return { error: `unexpected line "${line}"` };
+    }
+  }
+  
+  if (!ruleLine) return { error: 'is missing FREQ' };
+  
+  for (const part of ruleLine.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    
+    if (!value) return { error: `has an empty ${key}` };
+    
+    switch (key) {
+      case 'FREQ':
+        spec.freq = value.toUpperCase();
+        if (!RRULE_FREQUENCIES.includes(spec.freq)) return { error: `FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}` };
+        break;
+      case 'INTERVAL':
+        spec.interval = parseInt(value, 10);
+        if (!(spec.interval >= 1 && spec.interval <= 366)) return { error: 'INTERVAL must be 1 to 366' };
+        break;
+      case 'COUNT':
+        spec.count = parseInt(value, 10);
+        if (!(spec.count >= 1)) return { error: 'COUNT must be a positive number' };
+        break;
+      case 'UNTIL': {
+        const until = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+        if (!until) return { error: 'UNTIL must look like 20241231 or 20241231T235959Z' };
+        const [, year, month, day, hour, minute, second] = until.map(p => (p === undefined || p === 'Z' || p === 'z' ? p : parseInt(p, 10)));
+        spec.until = { year, month: month - 1, day, hour, minute, second, utc: !!until[7] };
+        break;
+      }
+      case 'BYDAY':
+        spec.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = entry.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+          if (!match) return null;
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) return null;
+          return { weekday: RRULE_WEEKDAY_NAMES.indexOf(match[2]) + 1, ordinal };
+        });
+        if (spec.byDay.includes(null)) return { error: 'BYDAY must list days such as MO,WE or 1MO,-1FR' };
+        break;
+      case 'BYMONTHDAY':
+        spec.byMonthDay = parseIntegerList(value, 1, 31, true);
+        if (!spec.byMonthDay) return { error: 'BYMONTHDAY must list days from 1 to 31 (or -1 to -31)' };
+        break;
+      case 'BYMONTH':
+        spec.byMonth = parseIntegerList(value, 1, 12);
+        if (!spec.byMonth) return { error: 'BYMONTH must list months from 1 to 12' };
+        break;
+      case 'BYHOUR':
+        spec.byHour = parseIntegerList(value, 0, 23);
+        if (!spec.byHour) return { error: 'BYHOUR must list hours from 0 to 23' };
+        break;
+      case 'BYMINUTE':
+        spec.byMinute = parseIntegerList(value, 0, 59);
+        if (!spec.byMinute) return { error: 'BYMINUTE must list minutes from 0 to 59' };
+        break;
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') return { error: 'only WKST=MO is supported' };
+        break;
+      default:
+        return { error: `${key} is not supported` };
+    }
+  }
+  
+  if (!spec.freq) return { error: 'is missing FREQ' };
+  if (spec.count && spec.until) return { error: 'cannot have both COUNT and UNTIL' };
+  // COUNT counts from DTSTART; from the default anchor it would be used up long ago
+  if (spec.count && !spec.dtstart) return { error: 'COUNT needs a DTSTART' };
+  if (spec.freq !== 'MONTHLY' && spec.byDay && spec.byDay.some(entry => entry.ordinal !== null)) {
+    return { error: 'BYDAY ordinals (like 1MO) need FREQ=MONTHLY' };
+  }
+  if (spec.freq === 'WEEKLY' && spec.byMonthDay) return { error: 'BYMONTHDAY cannot be used with FREQ=WEEKLY' };
+  if (spec.freq === 'MONTHLY' && !spec.dtstart && !spec.byDay && !spec.byMonthDay) {
+    return { error: 'FREQ=MONTHLY needs BYDAY, BYMONTHDAY or a DTSTART' };
+  }
+  if (spec.byMinute && !spec.byHour) return { error: 'BYMINUTE needs BYHOUR' };
+  if (spec.byHour && spec.byHour.length * (spec.byMinute ? spec.byMinute.length : 1) > MAX_TIMES_PER_DAY) {
+    return { error: `allows at most ${MAX_TIMES_PER_DAY} times per day` };
+  }
+  
+  return { spec };
+}
+
+// Parse a 5-field cron expression (minute hour day-of-month month day-of-week).
+// Fields take *, numbers, ranges (1-5), lists (1,3) and steps (*/15, 8-18/2);
+// day-of-week is 0-7 with 0 and 7 both Sunday. Returns { spec } or { error }.
+function parseCronExpression(text) {
+  const parts = text.trim().split(/\s+/);
+  if (parts.length !== 5) return { error: 'must have 5 fields: minute hour day-of-month month day-of-week' };
+  
+  const names = ['minute', 'hour', 'day-of-month', 'month', 'day-of-week'];
+  const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const sets = [];
+  
+  for (let i = 0; i < 5; i++) {
+    const values = parseCronField(parts[i], ranges[i][0], ranges[i][1]);
+    if (!values) return { error: `has an invalid ${names[i]} field "${parts[i]}"` };
+    sets.push(values);
+  }
+  
+  const [minutes, hours, monthDays, months, rawWeekdays] = sets;
+  if (minutes.size * hours.size > MAX_TIMES_PER_DAY) {
+    return { error: `allows at most ${MAX_TIMES_PER_DAY} times per day` };
+  }
+  
+  return {
+    spec: {
+      minutes: [...minutes].sort((a, b) => a - b),
+      hours: [...hours].sort((a, b) => a - b),
+      monthDays,
+      months,
+      weekdays: new Set([...rawWeekdays].map(day => (day === 0 ? 7 : day))),
+      // Standard cron: when both day fields are restricted, either may match
+      monthDayRestricted: parts[2] !== '*',
+      weekdayRestricted: parts[4] !== '*',
+    },
+  };
+}
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+    
+    const from = match[1] === '*' ? min : parseInt(match[2], 10);
+    const to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from));
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    
+    if (from < min || to > max || from > to || step < 1) return null;
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  
+  return values;
+}
+
+// Expand a normalized recurrence into occurrences within [fromMs, toMs].
+// Returns [{ date, localDate, hour, minute, dayOfWeek }] in order.
+function expandRecurrence(recurrence, timeZone, fromMs, toMs) {
+  return recurrence.kind === 'cron'
+    ? expandCron(recurrence.spec, timeZone, fromMs, toMs)
+    : expandRRule(recurrence.spec, recurrence.times, timeZone, fromMs, toMs);
+}
+
+function makeOccurrence(timeZone, dayNumber, hour, minute) {
+  const { year, month, day } = fromDayNumber(dayNumber);
+  
+  return {
+    date: zonedTimeToUtc(timeZone, year, month, day, hour, minute),
+    localDate: `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    hour,
+    minute,
+    dayOfWeek: weekdayOfDayNumber(dayNumber),
+  };
+}
+
+function localDayNumberAt(timeZone, ms) {
+  const local = getLocalDateParts(timeZone, ms);
+  return toDayNumber(local.year, local.month, local.day);
+}
+
+function expandCron(spec, timeZone, fromMs, toMs) {
+  const occurrences = [];
+  const lastDay = localDayNumberAt(timeZone, toMs);
+  
+  for (let dayNumber = localDayNumberAt(timeZone, fromMs); dayNumber <= lastDay; dayNumber++) {
+    const { month, day } = fromDayNumber(dayNumber);
+    if (!spec.months.has(month + 1)) continue;
+    
+    const monthDayMatch = spec.monthDays.has(day);
+    const weekdayMatch = spec.weekdays.has(weekdayOfDayNumber(dayNumber));
+    const dayMatches = spec.monthDayRestricted && spec.weekdayRestricted
+      ? monthDayMatch || weekdayMatch
+      : monthDayMatch && weekdayMatch;
+    if (!dayMatches) continue;
+    
+    for (const hour of spec.hours) {
+      for (const minute of spec.minutes) {
+        const occurrence = makeOccurrence(timeZone, dayNumber, hour, minute);
+        const ms = occurrence.date.getTime();
+        if (ms >= fromMs && ms <= toMs) occurrences.push(occurrence);
+      }
+    }
+  }
+  
+  return occurrences;
+}
+
+// Day numbers in the given period (day, week or month number `period` counted
+// in INTERVAL steps from the anchor) that match the rule's BY* filters
+function getRRulePeriodDays(spec, anchor, period) {
+  const anchorDay = toDayNumber(anchor.year, anchor.month, anchor.day);
+  let days;
+  
+  if (spec.freq === 'DAILY') {
+    days = [anchorDay + period * spec.interval];
+  } else if (spec.freq === 'WEEKLY') {
+    const weekStart = anchorDay - (weekdayOfDayNumber(anchorDay) - 1) + period * spec.interval * 7;
+    const weekdays = spec.byDay ? spec.byDay.map(entry => entry.weekday) : [weekdayOfDayNumber(anchorDay)];
+    days = weekdays.map(weekday => weekStart + weekday - 1);
+  } else {
+    const monthIndex = anchor.year * 12 + anchor.month + period * spec.interval;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const length = daysInMonth(year, month);
+    const firstDay = toDayNumber(year, month, 1);
+    
+    let monthDays = null;
+    if (spec.byMonthDay) {
+      monthDays = spec.byMonthDay.map(n => (n > 0 ? n : length + n + 1)).filter(n => n >= 1 && n <= length);
+    }
+    
+    let weekdayDays = null;
+    if (spec.byDay) {
+      weekdayDays = spec.byDay.flatMap(({ weekday, ordinal }) => {
+        const firstMatch = 1 + ((weekday - weekdayOfDayNumber(firstDay)) + 7) % 7;
+        const matches = [];
+        for (let d = firstMatch; d <= length; d += 7) matches.push(d);
+        if (ordinal === null) return matches;
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        return match === undefined ? [] : [match];
+      });
+    }
+    
+    // BYMONTHDAY and BYDAY together must both match
+    let selected;
+    if (monthDays && weekdayDays) selected = monthDays.filter(d => weekdayDays.includes(d));
+    else selected = monthDays || weekdayDays || (anchor.day <= length ? [anchor.day] : []);
+    
+    days = selected.map(d => firstDay + d - 1);
+  }
+  
+  if (spec.freq === 'DAILY' && spec.byDay) {
+    const weekdays = spec.byDay.map(entry => entry.weekday);
+    days = days.filter(d => weekdays.includes(weekdayOfDayNumber(d)));
+  }
+  if (spec.freq === 'DAILY' && spec.byMonthDay) {
+    days = days.filter(d => {
+      const { year, month, day } = fromDayNumber(d);
+      const length = daysInMonth(year, month);
+      return spec.byMonthDay.some(n => (n > 0 ? n : length + n + 1) === day);
+    });
+  }
+  if (spec.byMonth) {
+    days = days.filter(d => spec.byMonth.includes(fromDayNumber(d).month + 1));
+  }
+  
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+function expandRRule(spec, defaultTimes, timeZone, fromMs, toMs) {
+  const anchor = spec.dtstart || DEFAULT_RRULE_ANCHOR;
+  
+  // Times of day: BYHOUR x BYMINUTE, else DTSTART's time, else the reminder's times
+  let times = defaultTimes;
+  if (spec.byHour) {
+    const minutes = spec.byMinute || [anchor.minute || 0];
+    times = spec.byHour.flatMap(hour => minutes.map(minute => [hour, minute]))
+      .sort((a, b) => (a[0] * 60 + a[1]) - (b[0] * 60 + b[1]));
+  } else if (anchor.hour !== null) {
+    times = [[anchor.hour, anchor.minute || 0]];
+  }
+  
+  const startMs = spec.dtstart
+    ? zonedTimeToUtc(timeZone, anchor.year, anchor.month, anchor.day, anchor.hour || 0, anchor.minute || 0).getTime()
+    : -Infinity;
+  
+  let untilMs = Infinity;
+  if (spec.until) {
+    const { year, month, day, hour, minute, second, utc } = spec.until;
+    if (hour === undefined) {
+      // A date-only UNTIL includes that whole day
+      untilMs = zonedTimeToUtc(timeZone, year, month, day + 1, 0, 0).getTime() - 1;
+    } else if (utc) {
+      untilMs = Date.UTC(year, month, day, hour, minute, second);
+    } else {
+      untilMs = zonedTimeToUtc(timeZone, year, month, day, hour, minute).getTime() + second * 1000;
+    }
+  }
+  
+  // Without COUNT there is no need to walk from the anchor: start one period
+  // before the window. With COUNT every earlier occurrence has to be counted.
+  let period = 0;
+  if (!spec.count) {
+    const anchorDay = toDayNumber(anchor.year, anchor.month, anchor.day);
+    const fromDay = localDayNumberAt(timeZone, fromMs);
+    const from = fromDayNumber(fromDay);
+    const elapsed = spec.freq === 'DAILY' ? fromDay - anchorDay
+      : spec.freq === 'WEEKLY' ? Math.floor((fromDay - anchorDay) / 7)
+      : (from.year * 12 + from.month) - (anchor.year * 12 + anchor.month);
+    period = Math.max(0, Math.floor(elapsed / spec.interval) - 1);
+  }
+  
+  const lastDay = localDayNumberAt(timeZone, Math.min(toMs, untilMs));
+  const occurrences = [];
+  let count = 0;
+  
+  for (let guard = 0; guard < MAX_RECURRENCE_PERIODS; guard++, period++) {
+    const days = getRRulePeriodDays(spec, anchor, period);
+    if (days.length > 0 && days[0] > lastDay + 1) break;
+    
+    for (const dayNumber of days) {
+      for (const [hour, minute] of times) {
+        const occurrence = makeOccurrence(timeZone, dayNumber, hour, minute);
+        const ms = occurrence.date.getTime();
+        
+        if (ms < startMs) continue;
+        if (ms > untilMs || ms > toMs) return occurrences;
+        
+        count++;
+        if (spec.count && count > spec.count) return occurrences;
+        if (ms >= fromMs) occurrences.push(occurrence);
+      }
+    }
+  }
+  
+  return occurrences;
+}
+
+module.exports = {
+  RRULE_WEEKDAY_NAMES,
+  parseRRule,
+  parseCronExpression,
+  expandRecurrence,
+};
@@ -0,0 +1,548 @@
+const admin = require('firebase-admin');
+const {
+  REMINDER_TYPES,
+  PREFERENCE_NOTIFICATION_TYPES,
+  SCHEDULE_HORIZON_DAYS,
+  TERMINAL_STATUSES,
+  SMART_TIMING_LOOKBACK_DAYS,
+} = require('./config');
+const { describeTimeZone, getLocalDateParts, getTimeZoneOffsetMinutes } = require('./time-zones');
+const { expandRecurrence } = require('./recurrence');
+const { applyQuietPeriods } = require('./quiet-periods');
+const { planSmartTiming, getSmartTimeShift, isSmartTimingDay, formatMinutes } = require('./smart-timing');
+const { validatePreferences, validateNamedReminder } = require('./validation');
+const { remindersCollection, commitInBatches, commitInBatchesAllowingConflicts, mapWithConcurrency } = require('./firestore');
+const { logger, withLogContext } = require('./logger');
+
+// Turns notification_preferences (and named reminders) into scheduled_notifications.
+// db is the Firestore instance, clock supplies "now" (see clock.js), devices
+// is the device registry (see createDeviceRegistry) and analytics records a
+// 'scheduled' event per new notification and supplies the events smart timing
+// learns from (see createAnalytics).
+function createScheduler({ db, clock, devices, analytics }) {
+  // Reschedule every reminder type for a user, then their named reminders
+  // (which depend on the doc's time zone and quiet periods).
+  // Each type is scheduled or cancelled on its own so disabling one leaves the others scheduled.
+  // Returns the keys of the reminder types and the IDs of the named reminders that were scheduled.
+  // Invalid preferences cancel every reminder the doc owns (see
+  // PREFERENCE_NOTIFICATION_TYPES) and record the reasons on the doc instead.
+  async function rescheduleAllReminderTypes(userId, preferences) {
+    const scheduled = [];
+    const validation = validatePreferences(preferences);
+    
+    await recordValidationResult(db.collection('notification_preferences').doc(userId), preferences, validation);
+    
+    if (!validation.valid) {
+      logger.warn('🚫 Invalid preferences, cancelling all reminders', { userId, errors: formatValidationErrors(validation) });
+      await cancelAllScheduledNotifications(userId, { types: PREFERENCE_NOTIFICATION_TYPES });
+      return scheduled;
+    }
+    
+    const hasDevice = await devices.hasDeliveryTarget(userId, preferences);
+    
+    for (const [key, config] of Object.entries(REMINDER_TYPES)) {
+      const reminder = validation.reminders[key];
+      const enabled = reminder.enabled;
+      if (enabled && hasDevice) {
+        await scheduleReminders(userId, getReminderSchedule(validation, reminder), config);
+        scheduled.push(key);
+      } else {
+        logger.debug('⏭️ Not scheduling reminders', { userId, reminderType: config.type, enabled, hasDevice });
+        // Named reminders share the type but are handled below
+        await cancelAllScheduledNotifications(userId, getScheduleScope(reminder, config));
+      }
+    }
+    
+    try {
+      const reminders = await remindersCollection(db, userId).get();
+      for (const doc of reminders.docs) {
+        if (await rescheduleNamedReminder(userId, doc.id, doc.data(), preferences)) {
+          scheduled.push(doc.id);
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Error rescheduling named reminders', { userId, error });
+    }
+    
+    logger.info('✅ Reminders rescheduled', { userId, scheduled });
+    return scheduled;
+  }
+
+  // Reschedule one named reminder (or cancel it if it is disabled or invalid).
+  // preferences is the user's notification_preferences doc (read if not given);
+  // its time zone, quiet periods and devices apply to every named reminder.
+  // Returns whether the reminder was scheduled.
+  async function rescheduleNamedReminder(userId, reminderId, data, preferences = null) {
+    const validation = validateNamedReminder(data);
+    
+    await recordValidationResult(remindersCollection(db, userId).doc(reminderId), data, validation);
+    
+    if (!validation.valid) {
+      logger.warn('🚫 Invalid named reminder, cancelling it', { userId, reminderId, errors: formatValidationErrors(validation) });
+      await cancelAllScheduledNotifications(userId, { reminderId });
+      return false;
+    }
+    
+    try {
+      if (!preferences) {
+        const doc = await db.collection('notification_preferences').doc(userId).get();
+        if (!doc.exists) {
+          logger.info('⏭️ Not scheduling named reminder: no notification preferences', { userId, reminderId });
+          await cancelAllScheduledNotifications(userId, { reminderId });
+          return false;
+        }
+        preferences = doc.data();
+      }
+      
+      // An invalid preferences doc has already cancelled everything for the user
+      const userValidation = validatePreferences(preferences);
+      if (!userValidation.valid) return false;
+      
+      const hasDevice = await devices.hasDeliveryTarget(userId, preferences);
+      if (!validation.reminder.enabled || !hasDevice) {
+        logger.debug('⏭️ Not scheduling named reminder', { userId, reminderId, enabled: validation.reminder.enabled, hasDevice });
+        await cancelAllScheduledNotifications(userId, { reminderId });
+        return false;
+      }
+      
+      await scheduleReminders(userId, getNamedReminderSchedule(userValidation, reminderId, validation), validation.config);
+      return true;
+    } catch (error) {
+      logger.error('❌ Error scheduling named reminder', { userId, reminderId, error });
+      return false;
+    }
+  }
+
+  // Schedule reminders of one type (see REMINDER_TYPES).
+  // reminder comes from getReminderSchedule; its recurrence (RRULE or cron) is
+  // expanded over the horizon in the user's time zone, and moved or thinned out by
+  // smart timing if the user opted in. Only the difference from what is already
+  // scheduled is written (see syncScheduledNotifications).
+  // Logs one debug entry with the counts.
+  async function scheduleReminders(userId, reminder, config) {
+    const scope = getScheduleScope(reminder, config);
+    
+    try {
+      // Use UTC time to avoid timezone issues
+      const now = new Date(clock.now());
+      const horizonEnd = new Date(now.getTime() + SCHEDULE_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+      let smartTiming = null;
+      if (reminder.smartTiming && reminder.smartTiming.enabled) {
+        const events = await analytics.getRecentEvents(userId, now.getTime() - SMART_TIMING_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        smartTiming = planSmartTiming(reminder.smartTiming, events, scope, reminder.timeZone, now.getTime());
+      }
+
+      const plan = planReminderOccurrences(userId, reminder, config, now, horizonEnd, smartTiming);
+      const result = await syncScheduledNotifications(userId, scope, plan.notifications, now.getTime());
+
+      logger.debug('📅 Reminders scheduled', {
+        userId,
+        reminderType: config.type,
+        reminderId: scope.reminderId,
+        recurrence: reminder.recurrence.source,
+        timeZone: describeTimeZone(reminder.timeZone),
+        horizonEnd: horizonEnd.toISOString(),
+        smartTiming: smartTiming && { opens: smartTiming.openMinutes.length, ignoredInARow: smartTiming.ignoredInARow, everyNDays: smartTiming.everyNDays },
+        created: result.created,
+        updated: result.updated,
+        removed: result.deleted,
+        unchanged: result.unchanged,
+        quietSkipped: plan.quietSkippedCount,
+        deferred: plan.deferredCount,
+        smartSkipped: plan.smartSkippedCount,
+        conflicts: result.conflicts,
+      });
+    } catch (error) {
+      logger.error('❌ Error scheduling notifications', { userId, reminderType: config.type, reminderId: scope.reminderId, error });
+    }
+  }
+
+  // Write validation errors back to the validated doc (preferences or named
+  // reminder) so the app can show them.
+  // Only writes when the errors change: the write itself triggers the watcher again.
+  async function recordValidationResult(ref, data, validation) {
+    const previous = data.validationErrors || null;
+    const current = validation.valid ? null : validation.errors;
+    
+    if (JSON.stringify(previous) === JSON.stringify(current)) return;
+    
+    try {
+      await ref.update(current
+        ? { validationErrors: current, validatedAt: admin.firestore.FieldValue.serverTimestamp() }
+        : { validationErrors: admin.firestore.FieldValue.delete(), validatedAt: admin.firestore.FieldValue.delete() });
+    } catch (error) {
+      logger.error('❌ Error recording validation result', { path: ref.path, error });
+    }
+  }
+
+  // Keep every enabled user scheduled SCHEDULE_HORIZON_DAYS ahead.
+  // Existing occurrences are left untouched, so this only fills in the new days
+  // at the end of the window.
+  async function extendScheduleHorizon() {
+    try {
+      const snapshot = await db.collection('notification_preferences').get();
+      let userCount = 0;
+      
+      // Named reminders of every user, grouped by user
+      const namedReminders = new Map();
+      const remindersSnapshot = await db.collectionGroup('reminders').get();
+      for (const doc of remindersSnapshot.docs) {
+        const userId = getReminderOwner(doc);
+        if (!userId) continue;
+        if (!namedReminders.has(userId)) namedReminders.set(userId, []);
+        namedReminders.get(userId).push(doc);
+      }
+      
+      for (const doc of snapshot.docs) {
+        const preferences = doc.data();
+        // Invalid docs are reported by the watcher; nothing to extend for them
+        const validation = validatePreferences(preferences);
+        if (!validation.valid) continue;
+        if (!(await devices.hasDeliveryTarget(doc.id, preferences))) continue;
+        
+        const scheduledAny = await withLogContext({ userId: doc.id }, async () => {
+          let scheduled = false;
+          for (const [key, config] of Object.entries(REMINDER_TYPES)) {
+            const reminder = validation.reminders[key];
+            if (!reminder.enabled) continue;
+            await scheduleReminders(doc.id, getReminderSchedule(validation, reminder), config);
+            scheduled = true;
+          }
+          
+          for (const reminderDoc of namedReminders.get(doc.id) || []) {
+            const reminderValidation = validateNamedReminder(reminderDoc.data());
+            if (!reminderValidation.valid || !reminderValidation.reminder.enabled) continue;
+            await scheduleReminders(doc.id, getNamedReminderSchedule(validation, reminderDoc.id, reminderValidation), reminderValidation.config);
+            scheduled = true;
+          }
+          return scheduled;
+        });
+        
+        if (scheduledAny) userCount++;
+      }
+      
+      logger.info('🗓️ Extended schedule horizon', { userCount });
+    } catch (error) {
+      logger.error('❌ Error extending schedule horizon', { error });
+    }
+  }
+
+  // Cancel the unsent notifications of users whose preferences doc no longer
+  // exists, which the watcher misses when the doc is deleted while it is down.
+  // Only the types the doc owns are cancelled (PREFERENCE_NOTIFICATION_TYPES).
+  // Returns the IDs of those users.
+  async function cancelOrphanedNotifications() {
+    try {
+      const snapshot = await db.collection('scheduled_notifications')
+        .where('sent', '==', false)
+        .where('type', 'in', PREFERENCE_NOTIFICATION_TYPES)
+        .get();
+      const userIds = [...new Set(snapshot.docs.map(doc => doc.data().userId).filter(Boolean))];
+      
+      const missing = await mapWithConcurrency(userIds, async (userId) => {
+        const doc = await db.collection('notification_preferences').doc(userId).get();
+        return doc.exists ? null : userId;
+      });
+      const orphaned = missing.filter(Boolean);
+      
+      for (const userId of orphaned) {
+        await withLogContext({ userId }, () => cancelAllScheduledNotifications(userId, { types: PREFERENCE_NOTIFICATION_TYPES }));
+      }
+      if (orphaned.length > 0) {
+        logger.info('🧹 Cancelled notifications of deleted preferences', { userCount: orphaned.length });
+      }
+      return orphaned;
+    } catch (error) {
+      logger.error('❌ Error cancelling notifications of deleted preferences', { error });
+      return [];
+    }
+  }
+
+  // Unsent notifications of one user in a scope ({ type, types, reminderId } as
+  // for cancelAllScheduledNotifications)
+  async function getUnsentNotifications(userId, { type = null, types = null, reminderId } = {}) {
+    let query = db.collection('scheduled_notifications')
+      .where('userId', '==', userId)
+      .where('sent', '==', false);
+    
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+    if (types) {
+      query = query.where('type', 'in', types);
+    }
+    if (reminderId) {
+      query = query.where('reminderId', '==', reminderId);
+    }
+    
+    const snapshot = await query.get();
+    // Older docs have no reminderId field, so null is matched here rather than in the query
+    return snapshot.docs.filter(doc => reminderId !== null || !doc.data().reminderId);
+  }
+
+  // Bring a scope's unsent notifications in line with a planned set (notification
+  // ID → schedule fields, see planReminderOccurrences) without rewriting what is
+  // already right:
+  // - planned but missing: created
+  // - pending with different fields: updated in place
+  // - pending but no longer planned: deleted, unless its time is before fromMs
+  //   (it is due now or being retried, so the dispatcher owns it)
+  // Notifications that are being sent (leased) or have been attempted are left
+  // alone, and so are cancelled/failed ones, so a cancelled occurrence stays cancelled.
+  // Updates and deletes only apply if the doc has not changed since it was read.
+  // New notifications get a 'scheduled' event.
+  // Returns { created, updated, deleted, unchanged, conflicts }.
+  async function syncScheduledNotifications(userId, scope, planned, fromMs) {
+    const existing = await getUnsentNotifications(userId, scope);
+    const existingIds = new Set(existing.map(doc => doc.id));
+    const result = { created: 0, updated: 0, deleted: 0, unchanged: 0, conflicts: 0 };
+    const writes = [];
+    const createdEvents = [];
+    
+    for (const doc of existing) {
+      const data = doc.data();
+      const inFlight = TERMINAL_STATUSES.has(data.status) ||
+        (data.attempts || 0) > 0 ||
+        (!!data.leaseExpiresAt && data.leaseExpiresAt.toMillis() > clock.now());
+      const fields = planned.get(doc.id);
+      
+      if (!fields) {
+        const originalTime = data.deferredFrom || data.scheduledForUTC;
+        if (inFlight || !originalTime || originalTime.toMillis() < fromMs) continue;
+        
+        writes.push(batch => batch.delete(doc.ref, { lastUpdateTime: doc.updateTime }));
+        result.deleted++;
+        continue;
+      }
+      
+      const changed = Object.keys(fields).filter(key => !isSameScheduleValue(data[key], fields[key]));
+      if (inFlight || changed.length === 0) {
+        result.unchanged++;
+        continue;
+      }
+      
+      writes.push(batch => batch.update(doc.ref, {
+        ...fields,
+        dueAt: fields.scheduledForUTC,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { lastUpdateTime: doc.updateTime }));
+      result.updated++;
+    }
+    
+    for (const [id, fields] of planned) {
+      if (existingIds.has(id)) continue;
+      
+      // create() fails if the doc exists (e.g. it was just sent), so an
+      // occurrence is never duplicated or reset
+      writes.push(batch => batch.create(db.collection('scheduled_notifications').doc(id), {
+        ...fields,
+        status: 'pending', // pending → sent | failed
+        sent: false,
+        attempts: 0,
+        dueAt: fields.scheduledForUTC, // Next delivery attempt; pushed back on retry
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      }));
+      createdEvents.push({ id, notification: fields, event: 'scheduled' });
+      result.created++;
+    }
+    
+    result.conflicts = await commitInBatchesAllowingConflicts(db, writes);
+    // A create that lost to an existing doc already has its event, so it is skipped
+    await analytics.recordEvents(createdEvents);
+    return result;
+  }
+
+  // Cancel all scheduled notifications
+  // Pass a type (e.g. 'break_reminder') or a list of types to cancel only those
+  // reminder types, and a reminderId to cancel only that named reminder (null:
+  // only the flat-field reminders).
+  // Failed notifications are kept as a delivery record.
+  async function cancelAllScheduledNotifications(userId, { type = null, types = null, reminderId } = {}) {
+    try {
+      const unsentDocs = await getUnsentNotifications(userId, { type, types, reminderId });
+      const pendingDocs = unsentDocs.filter(doc => !TERMINAL_STATUSES.has(doc.data().status));
+      
+      await commitInBatches(db, pendingDocs.map(doc => batch => batch.delete(doc.ref)));
+      // Most reschedules cancel nothing for the reminder types that are off
+      const level = pendingDocs.length > 0 ? 'info' : 'debug';
+      logger[level]('🗑️ Cancelled notifications', { userId, reminderType: type, reminderTypes: types, reminderId, count: pendingDocs.length });
+    } catch (error) {
+      logger.error('❌ Error cancelling notifications', { userId, reminderType: type, reminderTypes: types, reminderId, error });
+    }
+  }
+  
+  return {
+    rescheduleAllReminderTypes,
+    rescheduleNamedReminder,
+    scheduleReminders,
+    extendScheduleHorizon,
+    cancelOrphanedNotifications,
+    syncScheduledNotifications,
+    cancelAllScheduledNotifications,
+  };
+}
+
+// Everything scheduleReminders needs for one normalized reminder of a validated doc
+function getReminderSchedule(validation, reminder) {
+  return {
+    ...reminder,
+    timeZone: validation.timeZone,
+    quiet: validation.quiet,
+    smartTiming: validation.smartTiming,
+  };
+}
+
+// Same for a named reminder (see validateNamedReminder)
+function getNamedReminderSchedule(userValidation, reminderId, reminderValidation) {
+  return {
+    ...getReminderSchedule(userValidation, reminderValidation.reminder),
+    reminderId,
+  };
+}
+
+// A failed validation's errors as "field message" strings, for the logs
+function formatValidationErrors(validation) {
+  return validation.errors.map(error => `${error.field} ${error.message}`);
+}
+
+// Which scheduled notifications belong to a reminder: a named reminder by its ID,
+// a flat-field reminder by its type (excluding named reminders of that type)
+function getScheduleScope(reminder, config) {
+  return reminder.reminderId
+    ? { reminderId: reminder.reminderId }
+    : { type: config.type, reminderId: null };
+}
+
+// User that owns a doc from the 'reminders' collection group, or null if the
+// doc is not under notification_preferences
+function getReminderOwner(doc) {
+  const userDoc = doc.ref.parent.parent;
+  if (!userDoc || userDoc.parent.id !== 'notification_preferences') return null;
+  return userDoc.id;
+}
+
+// The notifications a reminder should have between now and horizonEnd.
+// smartTiming (see planSmartTiming) moves each occurrence toward the times the
+// user opens notifications and skips days of a reminder they keep ignoring; a
+// move that would land in a quiet period or in the past is not made. Either
+// way the decision is explained in the notification's smartTiming field.
+// Returns { notifications: Map of notification ID → schedule fields,
+// quietSkippedCount, deferredCount, smartSkippedCount }.
+function planReminderOccurrences(userId, reminder, config, now, horizonEnd, smartTiming = null) {
+  const { timeZone, recurrence } = reminder;
+  const notifications = new Map();
+  let quietSkippedCount = 0;
+  let deferredCount = 0;
+  let smartSkippedCount = 0;
+  
+  // Every future occurrence up to the horizon
+  const occurrences = expandRecurrence(recurrence, timeZone, now.getTime() + 1, horizonEnd.getTime());
+  
+  for (const occurrence of occurrences) {
+    const scheduledDate = occurrence.date;
+    // Key each occurrence by the user's local date and time so the ID is stable
+    // no matter when (or how often) the planner runs
+    const localDate = occurrence.localDate;
+    const localTime = `${String(occurrence.hour).padStart(2, '0')}${String(occurrence.minute).padStart(2, '0')}`;
+    const notificationId = reminder.reminderId
+      ? `${config.idPrefix}_${userId}_${reminder.reminderId}_${localDate}_${localTime}`
+      : `${config.idPrefix}_${userId}_${localDate}_${localTime}`;
+    
+    let plannedDate = scheduledDate;
+    let timing = null;
+    
+    if (smartTiming) {
+      if (!isSmartTimingDay(smartTiming, localDate)) {
+        smartSkippedCount++;
+        continue;
+      }
+      
+      const shift = getSmartTimeShift(smartTiming, occurrence.hour, occurrence.minute);
+      const setFor = formatMinutes(occurrence.hour * 60 + occurrence.minute);
+      timing = {
+        setFor,
+        shiftMinutes: shift.shiftMinutes,
+        everyNDays: smartTiming.everyNDays,
+        reasons: [shift.reason, smartTiming.frequencyReason].filter(Boolean),
+      };
+      
+      if (shift.shiftMinutes !== 0) {
+        const shifted = new Date(scheduledDate.getTime() + shift.shiftMinutes * 60 * 1000);
+        const shiftedQuiet = applyQuietPeriods(shifted, reminder.quiet, timeZone);
+        
+        if (shifted.getTime() <= now.getTime()) {
+          timing.shiftMinutes = 0;
+          timing.reasons[0] = `Kept at ${setFor}: the better time has already passed today`;
+        } else if (!shiftedQuiet || shiftedQuiet.deferred) {
+          timing.shiftMinutes = 0;
+          timing.reasons[0] = `Kept at ${setFor}: the better time is in a quiet period`;
+        } else {
+          plannedDate = shifted;
+        }
+      }
+    }
+    
+    // Quiet hours / do-not-disturb: skip the occurrence or defer it to the end of the window
+    const quietResult = applyQuietPeriods(plannedDate, reminder.quiet, timeZone);
+    if (!quietResult) {
+      quietSkippedCount++;
+      continue;
+    }
+    const sendDate = quietResult.date;
+    if (quietResult.deferred) deferredCount++;
+    
+    // Display time as a simple "HH:MM" string in the user's local time
+    // (a deferred or moved reminder shows the time it will actually arrive)
+    const sendTime = quietResult.deferred || plannedDate !== scheduledDate
+      ? getLocalDateParts(timeZone, sendDate.getTime())
+      : occurrence;
+    const scheduledForString = `${String(sendTime.hour).padStart(2, '0')}:${String(sendTime.minute).padStart(2, '0')}`;
+    
+    notifications.set(notificationId, {
+      userId: userId, // Device tokens are looked up at send time
+      scheduledFor: scheduledForString, // Store as STRING: "17:00" - just hour:minute
+      scheduledForUTC: admin.firestore.Timestamp.fromDate(sendDate), // UTC timestamp for cron job comparison
+      hour: occurrence.hour, // User's local hour
+      minute: occurrence.minute, // User's local minute
+      timezone: typeof timeZone === 'string' ? timeZone : null, // IANA zone, if the client sent one
+      timezoneOffset: getTimeZoneOffsetMinutes(timeZone, sendDate.getTime()) / 60, // Offset in effect at this occurrence, for reference
+      deferredFrom: quietResult.deferred ? admin.firestore.Timestamp.fromDate(scheduledDate) : null, // Original time if moved out of quiet hours
+      dayOfWeek: occurrence.dayOfWeek,
+      localDate: localDate, // User's local date, "YYYY-MM-DD"
+      recurrence: recurrence.source, // Rule this occurrence was expanded from
+      reminderId: reminder.reminderId || null, // Named reminder this came from, if any
+      label: reminder.label || null,
+      title: reminder.label || config.title, // As scheduled; the text sent is rendered at send time
+      message: reminder.message,
+      customMessage: reminder.customMessage, // Overrides the template body when set
+      subject: reminder.subject || null, // {subject} in templates
+      smartTiming: timing, // Why smart timing moved (or kept) this occurrence; null when off
+      type: config.type,
+      channelId: config.channelId,
+    });
+  }
+  
+  return { notifications, quietSkippedCount, deferredCount, smartSkippedCount };
+}
+
+// Whether a stored field matches a planned one (Timestamps and maps by value; a
+// missing field matches null)
+function isSameScheduleValue(stored, planned) {
+  if (planned instanceof admin.firestore.Timestamp) {
+    return stored instanceof admin.firestore.Timestamp && stored.isEqual(planned);
+  }
+  if (planned && typeof planned === 'object') {
+    return JSON.stringify(stored) === JSON.stringify(planned);
+  }
+  return (stored === undefined ? null : stored) === planned;
+}
+
+module.exports = {
+  createScheduler,
+  planReminderOccurrences,
+  getReminderSchedule,
+  getNamedReminderSchedule,
+  getScheduleScope,
+  getReminderOwner,
+};
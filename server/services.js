@@ -0,0 +1,56 @@
+const { createDeviceRegistry } = require('./devices');
+const { createMetrics } = require('./metrics');
+const { createAnalytics } = require('./analytics');
+const { createScheduler } = require('./scheduler');
+const { createStreaks } = require('./streaks');
+const { createFocusSessions } = require('./focus-sessions');
+const { createDeadlines } = require('./deadlines');
+const { createTemplateRenderer } = require('./templates');
+const { createCampaigns } = require('./campaigns');
+const { createDispatcher } = require('./dispatcher');
+const { createCleanup } = require('./cleanup');
+const { createWatcher } = require('./watcher');
+const { createLeadership } = require('./leadership');
+
+// Wire the modules together around a Firestore instance, clock and FCM
+// transport (messenger). Without db (Firebase not initialized) every service
+// but metrics is null. The leader runs the Firestore watcher.
+function createServices({ db, clock, messenger }) {
+  const metrics = createMetrics();
+  const devices = db && createDeviceRegistry({ db, clock });
+  const analytics = db && createAnalytics({ db, clock, metrics });
+  const scheduler = db && createScheduler({ db, clock, devices, analytics });
+  const streaks = db && createStreaks({ db, clock, devices, analytics });
+  const deadlines = db && createDeadlines({ db, clock, analytics });
+  const templates = db && createTemplateRenderer({ db, clock });
+  const dispatcher = db && createDispatcher({ db, clock, messenger, devices, templates, analytics, metrics });
+  const focusSessions = db && createFocusSessions({ db, clock, analytics, dispatcher });
+  const campaigns = db && createCampaigns({ db, clock, messenger, devices });
+  const cleanup = db && createCleanup({ db, clock });
+  const watcher = db && createWatcher({ db, clock, scheduler, streaks, deadlines, devices });
+  const leadership = db && createLeadership({
+    db,
+    clock,
+    onChange: (leader) => (leader ? watcher.start() : watcher.stop()),
+  });
+  
+  return {
+    metrics,
+    devices,
+    analytics,
+    scheduler,
+    streaks,
+    deadlines,
+    templates,
+    dispatcher,
+    focusSessions,
+    campaigns,
+    cleanup,
+    watcher,
+    leadership,
+  };
+}
+
+module.exports = {
+  createServices,
+};
@@ -0,0 +1,152 @@
+// Smart timing: when, and on which days, to send a reminder of a user who opted
+// in, based on their recent notification events (see getRecentEvents)
+
+const {
+  SMART_TIMING_LOOKBACK_DAYS,
+  SMART_TIMING_STEP_MINUTES,
+  SMART_TIMING_SPREAD_MINUTES,
+  SMART_TIMING_MIN_OPENS,
+  SMART_TIMING_RESPONSE_HOURS,
+  SMART_TIMING_IGNORED_STEP,
+  SMART_TIMING_MAX_SPACING_DAYS,
+} = require('./config');
+const { getLocalDateParts } = require('./time-zones');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Plan smart timing for one reminder. settings is the validated
+// { enabled, windowMinutes }, events the user's recent events
+// ([{ notificationId, event, type, reminderId, atMs }]) and scope the reminder's
+// { type, reminderId } (see getScheduleScope). Returns:
+// - windowMinutes: how far either way the reminder may move
+// - openMinutes: local minute of day of every open, of any reminder (where the
+//   user tends to respond at all)
+// - ignoredInARow: how many of this reminder's latest sent notifications in a row
+//   were not opened; ones sent in the last SMART_TIMING_RESPONSE_HOURS may still
+//   be, so they are not counted yet
+// - everyNDays and frequencyReason: how the reminder is thinned out because of that
+function planSmartTiming(settings, events, scope, timeZone, nowMs) {
+  const openMinutes = [];
+  const openedIds = new Set();
+  
+  for (const event of events) {
+    if (event.event !== 'opened') continue;
+    openedIds.add(event.notificationId);
+    const local = getLocalDateParts(timeZone, event.atMs);
+    openMinutes.push(local.hour * 60 + local.minute);
+  }
+  
+  const answerByMs = nowMs - SMART_TIMING_RESPONSE_HOURS * 60 * 60 * 1000;
+  const sent = events
+    .filter(event => event.event === 'sent' && isInScope(event, scope))
+    .sort((a, b) => b.atMs - a.atMs);
+  let ignoredInARow = 0;
+  
+  for (const event of sent) {
+    if (openedIds.has(event.notificationId)) break;
+    if (event.atMs <= answerByMs) ignoredInARow++;
+  }
+  
+  const everyNDays = Math.min(1 + Math.floor(ignoredInARow / SMART_TIMING_IGNORED_STEP), SMART_TIMING_MAX_SPACING_DAYS);
+  
+  return {
+    windowMinutes: settings.windowMinutes,
+    openMinutes,
+    ignoredInARow,
+    everyNDays,
+    frequencyReason: everyNDays > 1
+      ? `Sent every ${everyNDays} days: the last ${ignoredInARow} reminders were not opened`
+      : null,
+  };
+}
+
+// Whether an event belongs to the reminder a scope describes: a named reminder by
+// its ID, a flat-field reminder by its type
+function isInScope(event, scope) {
+  return scope.reminderId
+    ? event.reminderId === scope.reminderId
+    : event.type === scope.type && !event.reminderId;
+}
+
+// How far to move an occurrence set for hour:minute (local), and why:
+// { shiftMinutes, reason }. Candidate times every SMART_TIMING_STEP_MINUTES within
+// the window are scored by the opens within SMART_TIMING_SPREAD_MINUTES of them.
+// The best one wins if it has at least SMART_TIMING_MIN_OPENS; ties go to the
+// candidate nearest those opens, then to the one closest to the set time.
+function getSmartTimeShift(plan, hour, minute) {
+  const setMinutes = hour * 60 + minute;
+  let best = { shiftMinutes: 0, ...scoreCandidate(plan.openMinutes, setMinutes) };
+  
+  for (let shift = -plan.windowMinutes; shift <= plan.windowMinutes; shift += SMART_TIMING_STEP_MINUTES) {
+    const candidate = { shiftMinutes: shift, ...scoreCandidate(plan.openMinutes, setMinutes + shift) };
+    if (isBetterCandidate(candidate, best)) best = candidate;
+  }
+  
+  const lookback = `in the last ${SMART_TIMING_LOOKBACK_DAYS} days`;
+  
+  if (best.opens < SMART_TIMING_MIN_OPENS) {
+    return {
+      shiftMinutes: 0,
+      reason: `Kept at ${formatMinutes(setMinutes)}: at most ${best.opens} opens ${lookback} near any time within ${plan.windowMinutes} minutes of it (${SMART_TIMING_MIN_OPENS} needed)`,
+    };
+  }
+  
+  if (best.shiftMinutes === 0) {
+    return {
+      shiftMinutes: 0,
+      reason: `Kept at ${formatMinutes(setMinutes)}: ${best.opens} opens ${lookback} were within ${SMART_TIMING_SPREAD_MINUTES} minutes of it, more than near any other time`,
+    };
+  }
+  
+  const direction = best.shiftMinutes < 0 ? 'earlier' : 'later';
+  return {
+    shiftMinutes: best.shiftMinutes,
+    reason: `Moved ${Math.abs(best.shiftMinutes)} minutes ${direction} to ${formatMinutes(setMinutes + best.shiftMinutes)}: ${best.opens} opens ${lookback} were within ${SMART_TIMING_SPREAD_MINUTES} minutes of it`,
+  };
+}
+
+// Whether a reminder thinned out to every plan.everyNDays days is sent on
+// localDate ("YYYY-MM-DD"). Days are counted from the epoch so the same days
+// stay picked from one planning run to the next.
+function isSmartTimingDay(plan, localDate) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const dayNumber = Date.UTC(year, month - 1, day) / (MINUTES_PER_DAY * 60 * 1000);
+  return dayNumber % plan.everyNDays === 0;
+}
+
+// { opens, distance }: the opens within SMART_TIMING_SPREAD_MINUTES of a local
+// minute of day, and their total distance from it
+function scoreCandidate(openMinutes, minutes) {
+  let opens = 0;
+  let distance = 0;
+  
+  for (const open of openMinutes) {
+    const apart = Math.abs(open - minutes) % MINUTES_PER_DAY;
+    const shortest = Math.min(apart, MINUTES_PER_DAY - apart);
+    if (shortest <= SMART_TIMING_SPREAD_MINUTES) {
+      opens++;
+      distance += shortest;
+    }
+  }
+  
+  return { opens, distance };
+}
+
+function isBetterCandidate(candidate, best) {
+  if (candidate.opens !== best.opens) return candidate.opens > best.opens;
+  if (candidate.distance !== best.distance) return candidate.distance < best.distance;
+  return Math.abs(candidate.shiftMinutes) < Math.abs(best.shiftMinutes);
+}
+
+// "HH:MM" for a local minute of day (wrapping past midnight either way)
+function formatMinutes(minutes) {
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  planSmartTiming,
+  getSmartTimeShift,
+  isSmartTimingDay,
+  formatMinutes,
+};
@@ -0,0 +1,226 @@
+const admin = require('firebase-admin');
+const { STREAK_REMINDER, TERMINAL_STATUSES } = require('./config');
+const { getLocalDateParts, getTimeZoneOffsetMinutes, zonedTimeToUtc } = require('./time-zones');
+const { getQuietPeriodEnd } = require('./quiet-periods');
+const { validatePreferences } = require('./validation');
+const { commitInBatchesAllowingConflicts } = require('./firestore');
+const { logger } = require('./logger');
+
+// Study streaks. The streak lives on the user's notification_preferences doc:
+// - currentStreak: consecutive local days with a study session, up to lastStudyDate
+// - longestStreak
+// - lastStudyDate: "YYYY-MM-DD" in the user's time zone
+// - streakExpiresAt: when currentStreak lapses (the end of the day after lastStudyDate)
+// Sessions are kept in notification_preferences/{userId}/study_sessions.
+// devices is the device registry and analytics records 'scheduled' events for
+// streak reminders.
+function createStreaks({ db, clock, devices, analytics }) {
+  function preferencesRef(userId) {
+    return db.collection('notification_preferences').doc(userId);
+  }
+
+  // Log a completed session (see validateStudySession), advance the streak and
+  // move the streak reminder to the next evening.
+  // Returns the streak after it (see getStreakSummary).
+  async function recordSession(userId, session) {
+    const ref = preferencesRef(userId);
+    
+    const preferences = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const data = doc.exists ? doc.data() : {};
+      const timeZone = validatePreferences(data).timeZone;
+      const localDate = toLocalDate(timeZone, session.completedAtMs);
+      const streak = advanceStreak(data, localDate, timeZone);
+      
+      transaction.create(ref.collection('study_sessions').doc(), {
+        durationMinutes: session.durationMinutes,
+        subject: session.subject,
+        localDate,
+        completedAt: admin.firestore.Timestamp.fromMillis(session.completedAtMs),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if (streak) {
+        transaction.set(ref, { ...streak, userId }, { merge: true });
+      }
+      return { ...data, ...streak };
+    });
+    
+    logger.info('🔥 Study session logged', { userId, currentStreak: preferences.currentStreak });
+    await scheduleStreakReminder(userId, preferences);
+    return getStreakSummary(preferences, clock.now());
+  }
+
+  // The user's streak (see getStreakSummary)
+  async function getStreak(userId) {
+    const doc = await preferencesRef(userId).get();
+    return getStreakSummary(doc.exists ? doc.data() : {}, clock.now());
+  }
+
+  // Keep the user's one pending streak reminder in step with their preferences
+  // and streak (see planStreakReminder). Streak reminders that are no longer
+  // wanted are deleted unless they are being sent.
+  async function scheduleStreakReminder(userId, preferences) {
+    try {
+      const nowMs = clock.now();
+      const validation = validatePreferences(preferences);
+      const wanted = validation.valid &&
+        validation.streakReminder.enabled &&
+        getCurrentStreak(preferences, nowMs) > 0 &&
+        await devices.hasDeliveryTarget(userId, preferences);
+      const planned = wanted ? planStreakReminder(userId, preferences, validation, nowMs) : null;
+      
+      const snapshot = await db.collection('scheduled_notifications')
+        .where('userId', '==', userId)
+        .where('sent', '==', false)
+        .where('type', '==', STREAK_REMINDER.type)
+        .get();
+      const writes = [];
+      let existing = null;
+      
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        if (planned && doc.id === planned.id) {
+          existing = doc;
+          continue;
+        }
+        const inFlight = TERMINAL_STATUSES.has(data.status) ||
+          (data.attempts || 0) > 0 ||
+          (!!data.leaseExpiresAt && data.leaseExpiresAt.toMillis() > nowMs);
+        if (!inFlight) {
+          writes.push(batch => batch.delete(doc.ref, { lastUpdateTime: doc.updateTime }));
+        }
+      }
+      
+      if (planned && !existing) {
+        writes.push(batch => batch.create(db.collection('scheduled_notifications').doc(planned.id), {
+          ...planned.fields,
+          status: 'pending',
+          sent: false,
+          attempts: 0,
+          dueAt: planned.fields.scheduledForUTC,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        }));
+      } else if (planned && existing.data().status === 'pending' &&
+          !existing.data().scheduledForUTC.isEqual(planned.fields.scheduledForUTC)) {
+        // The reminder time or time zone changed
+        writes.push(batch => batch.update(existing.ref, {
+          ...planned.fields,
+          dueAt: planned.fields.scheduledForUTC,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        }, { lastUpdateTime: existing.updateTime }));
+      }
+      
+      await commitInBatchesAllowingConflicts(db, writes);
+      if (planned && !existing) {
+        await analytics.recordEvents([{ id: planned.id, notification: planned.fields, event: 'scheduled' }]);
+      }
+      logger.debug('🔥 Streak reminder scheduled', { userId, scheduledForUTC: planned ? planned.fields.scheduledForUTC.toDate().toISOString() : null });
+    } catch (error) {
+      logger.error('❌ Error scheduling streak reminder', { userId, error });
+    }
+  }
+  
+  return {
+    recordSession,
+    getStreak,
+    scheduleStreakReminder,
+  };
+}
+
+// The streak as of nowMs: currentStreak until streakExpiresAt, then 0.
+// A streak the app wrote itself (no streakExpiresAt) is taken as it is.
+function getCurrentStreak(preferences, nowMs) {
+  const streak = preferences.currentStreak;
+  if (!Number.isInteger(streak) || streak < 1) return 0;
+  
+  const expiresAt = preferences.streakExpiresAt;
+  if (expiresAt instanceof admin.firestore.Timestamp && expiresAt.toMillis() <= nowMs) return 0;
+  return streak;
+}
+
+// { currentStreak, longestStreak, lastStudyDate, studiedToday } for the API
+function getStreakSummary(preferences, nowMs) {
+  const lastStudyDate = typeof preferences.lastStudyDate === 'string' ? preferences.lastStudyDate : null;
+  return {
+    currentStreak: getCurrentStreak(preferences, nowMs),
+    longestStreak: Number.isInteger(preferences.longestStreak) ? preferences.longestStreak : 0,
+    lastStudyDate,
+    studiedToday: lastStudyDate === toLocalDate(validatePreferences(preferences).timeZone, nowMs),
+  };
+}
+
+// Streak fields after a session on localDate, or null if it does not move the
+// streak (another session the same day, or one logged for an earlier day)
+function advanceStreak(preferences, localDate, timeZone) {
+  const last = typeof preferences.lastStudyDate === 'string' ? preferences.lastStudyDate : null;
+  if (last && localDate <= last) return null;
+  
+  const previous = Number.isInteger(preferences.currentStreak) ? preferences.currentStreak : 0;
+  const currentStreak = last === addDays(localDate, -1) ? previous + 1 : 1;
+  const [year, month, day] = localDate.split('-').map(Number);
+  
+  return {
+    currentStreak,
+    longestStreak: Math.max(currentStreak, Number.isInteger(preferences.longestStreak) ? preferences.longestStreak : 0),
+    lastStudyDate: localDate,
+    streakExpiresAt: admin.firestore.Timestamp.fromDate(zonedTimeToUtc(timeZone, year, month - 1, day + 2, 0, 0)),
+  };
+}
+
+// The streak reminder a user with a running streak should have: the evening
+// (streakReminderHour:streakReminderMinute, local) of the day after
+// lastStudyDate, as { id, fields } like planReminderOccurrences' notifications.
+// null if that time has passed or falls in a quiet period.
+function planStreakReminder(userId, preferences, validation, nowMs) {
+  const { timeZone, streakReminder } = validation;
+  const [year, month, day] = preferences.lastStudyDate.split('-').map(Number);
+  const sendDate = zonedTimeToUtc(timeZone, year, month - 1, day + 1, streakReminder.hour, streakReminder.minute);
+  
+  if (sendDate.getTime() <= nowMs) return null;
+  if (getQuietPeriodEnd(sendDate, validation.quiet, timeZone) !== null) return null;
+  
+  const localDate = toLocalDate(timeZone, sendDate.getTime());
+  const local = getLocalDateParts(timeZone, sendDate.getTime());
+  
+  return {
+    id: `${STREAK_REMINDER.idPrefix}_${userId}_${localDate}`,
+    fields: {
+      userId,
+      scheduledFor: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+      scheduledForUTC: admin.firestore.Timestamp.fromDate(sendDate),
+      hour: local.hour,
+      minute: local.minute,
+      timezone: typeof timeZone === 'string' ? timeZone : null,
+      timezoneOffset: getTimeZoneOffsetMinutes(timeZone, sendDate.getTime()) / 60,
+      localDate,
+      reminderId: null,
+      label: null,
+      title: STREAK_REMINDER.title, // As scheduled; the text sent is rendered with the streak at send time
+      message: STREAK_REMINDER.defaultMessage,
+      customMessage: null,
+      subject: null,
+      type: STREAK_REMINDER.type,
+      channelId: STREAK_REMINDER.channelId,
+    },
+  };
+}
+
+// "YYYY-MM-DD" of an instant in a time zone
+function toLocalDate(timeZone, utcMs) {
+  const local = getLocalDateParts(timeZone, utcMs);
+  return `${local.year}-${String(local.month + 1).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+}
+
+// "YYYY-MM-DD" plus some days
+function addDays(localDate, days) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  createStreaks,
+  getCurrentStreak,
+  getStreakSummary,
+  advanceStreak,
+  planStreakReminder,
+};
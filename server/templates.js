@@ -0,0 +1,160 @@
+const admin = require('firebase-admin');
+const {
+  DEFAULT_LOCALE,
+  TEMPLATE_VARIABLES,
+  NOTIFICATION_TEMPLATES,
+} = require('./config');
+const { mapWithConcurrency } = require('./firestore');
+const { getCurrentStreak } = require('./streaks');
+const { logger } = require('./logger');
+
+const VARIABLE_PATTERN = /\{(\w+)\}/g;
+
+// Renders notification text at send time (see NOTIFICATION_TEMPLATES) from the
+// notification_templates collection and each user's preferences doc
+function createTemplateRenderer({ db, clock }) {
+  // Stored templates by notification type; an unreadable collection falls back
+  // to the built-in templates
+  async function loadStoredTemplates() {
+    try {
+      const snapshot = await db.collection('notification_templates').get();
+      return new Map(snapshot.docs.map(doc => [doc.id, doc.data().locales || {}]));
+    } catch (error) {
+      logger.error('❌ Error reading notification templates', { error });
+      return new Map();
+    }
+  }
+
+  // A user's locale and template variables, from their preferences doc
+  async function loadUserContext(userId) {
+    try {
+      const doc = await db.collection('notification_preferences').doc(userId).get();
+      return getUserContext(doc.exists ? doc.data() : {}, clock.now());
+    } catch (error) {
+      logger.error('❌ Error reading preferences for templates', { userId, error });
+      return getUserContext({});
+    }
+  }
+
+  // { title, body, locale } for each notification, reading each user once
+  async function renderNotifications(notifications) {
+    if (notifications.length === 0) return [];
+    
+    const stored = await loadStoredTemplates();
+    const userIds = [...new Set(notifications.map(notification => notification.userId))];
+    const contexts = await mapWithConcurrency(userIds, loadUserContext);
+    const contextsByUser = new Map(userIds.map((userId, index) => [userId, contexts[index]]));
+    
+    return notifications.map(notification => renderNotification(notification, contextsByUser.get(notification.userId), stored));
+  }
+  
+  return { renderNotifications };
+}
+
+// Locale and variables from a notification_preferences doc as of nowMs (a
+// streak that has lapsed and an exam that has passed, see nextExamAt, are
+// unset). Fields of the wrong type count as unset.
+function getUserContext(preferences, nowMs) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const streak = getCurrentStreak(preferences, nowMs);
+  const examPassed = preferences.nextExamAt instanceof admin.firestore.Timestamp && preferences.nextExamAt.toMillis() <= nowMs;
+  
+  return {
+    locale: text(preferences.locale),
+    variables: {
+      name: text(preferences.displayName),
+      streak: streak > 0 ? String(streak) : null,
+      nextExam: examPassed ? null : text(preferences.nextExam),
+    },
+  };
+}
+
+// Locales to try, most specific first: "es-MX" → ["es-MX", "es", "en"]
+function getLocaleChain(locale) {
+  const chain = [];
+  
+  try {
+    if (locale) {
+      const canonical = Intl.getCanonicalLocales(locale)[0];
+      chain.push(canonical, canonical.split('-')[0]);
+    }
+  } catch (error) {
+    // Not a well-formed tag: use the default
+  }
+  
+  chain.push(DEFAULT_LOCALE, 'en');
+  return [...new Set(chain)];
+}
+
+// Template variants for a type and locale chain, stored ones first per locale,
+// each with the locale it is written in
+function getTemplateCandidates(type, locale, stored = new Map()) {
+  const storedLocales = stored.get(type) || {};
+  const builtInLocales = NOTIFICATION_TEMPLATES[type] || {};
+  const asList = value => (Array.isArray(value) ? value : value ? [value] : []);
+  
+  return getLocaleChain(locale).flatMap(candidate => [
+    ...asList(storedLocales[candidate]),
+    ...asList(builtInLocales[candidate]),
+  ].filter(template => template && typeof template.title === 'string' && typeof template.body === 'string')
+    .map(template => ({ ...template, locale: candidate })));
+}
+
+// How long before its deadline a deadline reminder is scheduled, in words of
+// locale ("tomorrow", "in 3 days", "dentro de 2 horas"), or null for other
+// notifications
+function formatCountdown(notification, locale) {
+  if (!notification.deadlineAt || !notification.scheduledForUTC) return null;
+  
+  const minutes = Math.max(1, Math.round((notification.deadlineAt.toMillis() - notification.scheduledForUTC.toMillis()) / 60000));
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  if (minutes >= 24 * 60) return format.format(Math.round(minutes / (24 * 60)), 'day');
+  if (minutes >= 60) return format.format(Math.round(minutes / 60), 'hour');
+  return format.format(minutes, 'minute');
+}
+
+// Replace {variables} in text, or return null if any of them has no value
+// (or is not a known variable)
+function fillTemplate(text, variables) {
+  let complete = true;
+  const filled = text.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = TEMPLATE_VARIABLES.includes(name) ? variables[name] : null;
+    if (value == null) complete = false;
+    return value;
+  });
+  
+  return complete ? filled : null;
+}
+
+// Title and body of one notification for a user context (see getUserContext).
+// A named reminder's label and a user's own message win over the template when
+// all of their variables are known. Notifications scheduled before templates
+// existed (no customMessage field) and types without templates keep their
+// stored text.
+function renderNotification(notification, context = getUserContext({}), stored = new Map()) {
+  const variables = { ...context.variables, subject: notification.subject || null, deadline: notification.deadlineTitle || null };
+  const locale = context.locale || DEFAULT_LOCALE;
+  // {countdown} is worded in the language of the text it goes into
+  const fill = (text, textLocale) => fillTemplate(text, { ...variables, countdown: formatCountdown(notification, textLocale) });
+  
+  if (notification.customMessage === undefined) {
+    return { title: notification.title, body: notification.message, locale };
+  }
+  
+  const template = getTemplateCandidates(notification.type, context.locale, stored)
+    .find(candidate => fill(candidate.title, candidate.locale) !== null && fill(candidate.body, candidate.locale) !== null);
+  
+  const title = (notification.label && fill(notification.label, locale)) ||
+    (template ? fill(template.title, template.locale) : notification.title);
+  const body = (notification.customMessage && fill(notification.customMessage, locale)) ||
+    (template ? fill(template.body, template.locale) : notification.message);
+  
+  return { title, body, locale };
+}
+
+module.exports = {
+  createTemplateRenderer,
+  getUserContext,
+  getLocaleChain,
+  renderNotification,
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { createDeviceRegistry } = require('../devices');
+const { createAnalytics, withRates } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createScheduler } = require('../scheduler');
+const { createDispatcher } = require('../dispatcher');
+const { createTemplateRenderer } = require('../templates');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const { Timestamp } = admin.firestore;
+const NOW = Date.UTC(2026, 9, 19, 1, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function setup(respond = () => ({ success: true, messageId: 'm1' })) {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const devices = createDeviceRegistry({ db, clock });
+  const metrics = createMetrics();
+  const analytics = createAnalytics({ db, clock, metrics });
+  const messenger = {
+    name: 'fake',
+    sent: [],
+    sendEach: async (messages) => {
+      messenger.sent.push(...messages);
+      return { responses: messages.map(message => respond(message)) };
+    },
+  };
+  const scheduler = createScheduler({ db, clock, devices, analytics });
+  const dispatcher = createDispatcher({
+    db, clock, messenger, devices, analytics, metrics, templates: createTemplateRenderer({ db, clock }), instanceId: 'test-instance',
+  });
+  await devices.registerDeviceToken('u1', 'token-1');
+  return { clock, db, analytics, messenger, scheduler, dispatcher };
+}
+
+function seedNotification(db, id, fields = {}) {
+  db.seed(`scheduled_notifications/${id}`, {
+    userId: 'u1',
+    type: 'study_reminder',
+    status: 'pending',
+    sent: false,
+    attempts: 0,
+    scheduledForUTC: Timestamp.fromMillis(NOW),
+    dueAt: Timestamp.fromMillis(NOW),
+    ...fields,
+  });
+}
+
+function events(db) {
+  return Object.keys(db.dump('notification_events')).sort();
+}
+
+test('rates are null when there is nothing to divide by', () => {
+  assert.deepStrictEqual(withRates({ scheduled: 3, sent: 3, failed: 1, opened: 1, dismissed: 0 }),
+    { scheduled: 3, sent: 3, failed: 1, opened: 1, dismissed: 0, successRate: 0.75, openRate: 0.3333 });
+  assert.deepStrictEqual(withRates({ scheduled: 1, sent: 0, failed: 0, opened: 0, dismissed: 0 }),
+    { scheduled: 1, sent: 0, failed: 0, opened: 0, dismissed: 0, successRate: null, openRate: null });
+});
+
+test('new notifications are recorded as scheduled once', async () => {
+  const { db, scheduler } = await setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'UTC', fcmToken: 'token-1' };
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  assert.strictEqual(events(db).length, 14);
+  assert.ok(events(db).every(id => id.endsWith('_scheduled')));
+
+  const first = db.dump('notification_events')[events(db)[0]];
+  assert.strictEqual(first.userId, 'u1');
+  assert.strictEqual(first.type, 'study_reminder');
+  assert.strictEqual(first.date, '2026-10-19');
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  assert.strictEqual(events(db).length, 14);
+
+  // A new time is a new set of occurrences
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, studyReminderHour: 10 });
+  assert.strictEqual(events(db).length, 28);
+});
+
+test('final delivery outcomes are recorded, retries are not', async () => {
+  const unavailable = { success: false, error: { code: 'messaging/server-unavailable', message: 'Unavailable' } };
+  const { db, dispatcher, messenger } = await setup(message => (message.data.notificationId === 'retry' ? unavailable : { success: true, messageId: 'm1' }));
+  seedNotification(db, 'ok');
+  seedNotification(db, 'retry');
+  seedNotification(db, 'late', { dueAt: Timestamp.fromMillis(NOW - DAY_MS) });
+
+  await dispatcher.dispatchDueNotifications();
+
+  assert.deepStrictEqual(events(db), ['late_failed', 'ok_sent']);
+  assert.strictEqual(db.dump('notification_events').late_failed.errorCode, 'missed-window');
+  assert.strictEqual(messenger.sent.find(message => message.token === 'token-1').data.notificationId, 'ok');
+});
+
+test('the app can report an open once, for its own sent notifications', async () => {
+  const { db, analytics } = await setup();
+  seedNotification(db, 'mine', { status: 'sent', sent: true });
+  seedNotification(db, 'pending');
+  seedNotification(db, 'theirs', { userId: 'u2', status: 'sent', sent: true });
+
+  assert.strictEqual(await analytics.recordClientEvent('u1', 'mine', 'opened'), 'recorded');
+  assert.strictEqual(await analytics.recordClientEvent('u1', 'mine', 'opened'), 'duplicate');
+  assert.strictEqual(await analytics.recordClientEvent('u1', 'pending', 'opened'), 'pending');
+  assert.strictEqual(await analytics.recordClientEvent('u1', 'theirs', 'opened'), 'missing');
+  assert.deepStrictEqual(events(db), ['mine_opened']);
+});
+
+test('daily stats are rolled up per user and type', async () => {
+  const { clock, db, analytics } = await setup();
+  const notification = (userId, type = 'study_reminder') => ({ userId, type });
+  await analytics.recordEvents([
+    { id: 'a', notification: notification('u1'), event: 'sent' },
+    { id: 'a', notification: notification('u1'), event: 'opened' },
+    { id: 'b', notification: notification('u1'), event: 'failed' },
+    { id: 'c', notification: notification('u1', 'break_reminder'), event: 'sent' },
+    { id: 'd', notification: notification('u2'), event: 'sent' },
+  ]);
+  clock.advance(DAY_MS);
+  await analytics.recordEvents([{ id: 'c', notification: notification('u1', 'break_reminder'), event: 'opened' }]);
+
+  await analytics.rollupRecentStats();
+  // Running it again changes nothing
+  await analytics.rollupRecentStats();
+
+  assert.deepStrictEqual(db.dump('notification_preferences/u1/daily_stats')['2026-10-19'].types, {
+    study_reminder: { scheduled: 0, sent: 1, failed: 1, opened: 1, dismissed: 0 },
+    break_reminder: { scheduled: 0, sent: 1, failed: 0, opened: 0, dismissed: 0 },
+  });
+  assert.strictEqual(db.dump('notification_stats')['2026-10-19'].userCount, 2);
+
+  const stats = await analytics.getStats('u1', 3);
+  assert.deepStrictEqual(stats.days.map(day => day.date), ['2026-10-18', '2026-10-19', '2026-10-20']);
+  assert.strictEqual(stats.days[0].successRate, null);
+  assert.strictEqual(stats.days[1].successRate, 0.6667);
+  assert.strictEqual(stats.days[1].types.study_reminder.openRate, 1);
+  assert.strictEqual(stats.total.sent, 2);
+  assert.strictEqual(stats.total.openRate, 1);
+  assert.strictEqual((await analytics.getStats(null, 3)).total.sent, 3);
+});
+
+test('old events are deleted but their stats stay', async () => {
+  const { clock, db, analytics } = await setup();
+  await analytics.recordEvents([{ id: 'a', notification: { userId: 'u1', type: 'study_reminder' }, event: 'sent' }]);
+  await analytics.rollupRecentStats();
+
+  clock.advance(91 * DAY_MS);
+  await analytics.cleanupOldEvents();
+
+  assert.deepStrictEqual(events(db), []);
+  assert.ok(db.dump('notification_preferences/u1/daily_stats')['2026-10-19']);
+});
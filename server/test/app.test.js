@@ -0,0 +1,358 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { createApp } = require('../app');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createCampaigns } = require('../campaigns');
+const { createDeviceRegistry } = require('../devices');
+const { createDispatcher } = require('../dispatcher');
+const { createTemplateRenderer } = require('../templates');
+const { createStreaks } = require('../streaks');
+const { createFocusSessions } = require('../focus-sessions');
+const { createDeadlines } = require('../deadlines');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const { Timestamp } = admin.firestore;
+const NOW = Date.UTC(2026, 9, 19);
+
+// Any bearer token is accepted as the UID it names; "admin" has the admin claim
+const fakeAuth = {
+  verifyIdToken: async (token) => ({ uid: token, admin: token === 'admin' }),
+};
+
+// Start an app on a free port; returns { clock, db, messenger, campaigns, dispatcher, request, close }.
+// status is merged into what getStatus() returns.
+async function startApp({ clock = createFakeClock(NOW), db = new FakeFirestore(clock), scheduler = null, status = {} } = {}) {
+  const messenger = { name: 'fake', sent: [], sendEach: async (messages) => {
+    messenger.sent.push(...messages);
+    return { responses: messages.map(() => ({ success: true, messageId: 'm1' })) };
+  } };
+  const devices = db && createDeviceRegistry({ db, clock });
+  const campaigns = db && createCampaigns({ db, clock, messenger, devices });
+  const metrics = createMetrics();
+  const analytics = db && createAnalytics({ db, clock, metrics });
+  const streaks = db && createStreaks({ db, clock, devices, analytics });
+  const templates = db && createTemplateRenderer({ db, clock });
+  const dispatcher = db && createDispatcher({ db, clock, messenger, devices, templates, analytics, metrics, instanceId: 'test-instance' });
+  const focusSessions = db && createFocusSessions({ db, clock, analytics, dispatcher });
+  const deadlines = db && createDeadlines({ db, clock, analytics });
+  const getStatus = () => ({ firebaseInitialized: !!db, startedAt: new Date(NOW).toISOString(), lastCronTickAt: null, watcher: null, ...status });
+  const app = createApp({ db, auth: fakeAuth, clock, scheduler, campaigns, analytics, streaks, focusSessions, deadlines, dispatcher, metrics, getStatus });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { uid = 'u1', body, requestId } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (uid) headers.Authorization = `Bearer ${uid}`;
+    if (requestId) headers['X-Request-Id'] = requestId;
+    const response = await fetch(baseUrl + path, { method, headers, body: body && JSON.stringify(body) });
+    const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+  }
+
+  return { clock, db, messenger, campaigns, dispatcher, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('the health check includes the instance status', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const response = await request('GET', '/', { uid: null });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.status, 'ok');
+  assert.strictEqual(response.body.firebaseInitialized, true);
+});
+
+test('/healthz fails when the cron job stalls, not while the watcher restarts', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+  const stalled = await startApp({ status: { lastCronTickAt: new Date(NOW - 5 * 60 * 1000).toISOString() } });
+  t.after(stalled.close);
+  const watcherDown = await startApp({ status: { lastCronTickAt: new Date(NOW).toISOString(), watcher: { running: true, healthy: false, restarts: 2, lastError: null } } });
+  t.after(watcherDown.close);
+
+  const healthy = await request('GET', '/healthz', { uid: null });
+  assert.strictEqual(healthy.status, 200);
+  assert.strictEqual(healthy.body.checks.cron.ok, true);
+
+  const stale = await stalled.request('GET', '/healthz', { uid: null });
+  assert.strictEqual(stale.status, 503);
+  assert.deepStrictEqual(stale.body.checks.cron, { ok: false, lastTickAt: '2026-10-18T23:55:00.000Z', ageSeconds: 300 });
+
+  // The watcher restarts itself, so the instance stays alive meanwhile
+  const down = await watcherDown.request('GET', '/healthz', { uid: null });
+  assert.strictEqual(down.status, 200);
+  assert.deepStrictEqual(Object.keys(down.body.checks), ['cron']);
+});
+
+test('/readyz fails while due notifications wait too long or the watcher is down', async (t) => {
+  const { db, request, close } = await startApp();
+  t.after(close);
+  const offline = await startApp({ db: null });
+  t.after(offline.close);
+  const watcherDown = await startApp({ status: { watcher: { running: true, healthy: false, restarts: 2, lastError: null } } });
+  t.after(watcherDown.close);
+
+  assert.strictEqual((await request('GET', '/readyz', { uid: null })).status, 200);
+  assert.strictEqual((await offline.request('GET', '/readyz', { uid: null })).status, 503);
+
+  db.seed('scheduled_notifications/n1', { userId: 'u1', status: 'pending', sent: false, dueAt: Timestamp.fromMillis(NOW - 10 * 60 * 1000) });
+  const behind = await request('GET', '/readyz', { uid: null });
+  assert.strictEqual(behind.status, 503);
+  assert.deepStrictEqual(behind.body.checks.backlog, { ok: false, size: 1, oldestDelaySeconds: 600 });
+
+  const down = await watcherDown.request('GET', '/readyz', { uid: null });
+  assert.strictEqual(down.status, 503);
+  assert.strictEqual(down.body.checks.watcher.restarts, 2);
+});
+
+test('/metrics serves the Prometheus metrics', async (t) => {
+  const { db, dispatcher, request, close } = await startApp();
+  t.after(close);
+  db.seed('notification_preferences/u1/devices/d1', { token: 'token-1', lastSeenAt: Timestamp.fromMillis(NOW) });
+  db.seed('scheduled_notifications/n1', { userId: 'u1', type: 'study_reminder', status: 'pending', sent: false, attempts: 0, scheduledForUTC: Timestamp.fromMillis(NOW), dueAt: Timestamp.fromMillis(NOW) });
+  db.seed('scheduled_notifications/n2', { userId: 'u1', status: 'pending', sent: false, dueAt: Timestamp.fromMillis(NOW - 120 * 1000) });
+
+  const before = await request('GET', '/metrics', { uid: null });
+  assert.strictEqual(before.status, 200);
+  assert.match(before.body, /^studywell_notification_backlog 2$/m);
+  assert.match(before.body, /^studywell_notification_oldest_overdue_seconds 120$/m);
+  assert.match(before.body, /^studywell_watcher_healthy 1$/m);
+
+  await dispatcher.sendFCMNotifications([{ ref: db.doc('scheduled_notifications/n1'), id: 'n1', notification: db.dump('scheduled_notifications').n1 }]);
+  const after = await request('GET', '/metrics', { uid: null });
+  assert.match(after.body, /^studywell_notifications_sent_total\{type="study_reminder"\} 1$/m);
+  assert.match(after.body, /^studywell_notification_backlog 1$/m);
+});
+
+test('/v1 needs a bearer token and Firebase', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+  const offline = await startApp({ db: null });
+  t.after(offline.close);
+
+  assert.strictEqual((await request('GET', '/v1/preferences', { uid: null })).status, 401);
+  assert.strictEqual((await offline.request('GET', '/v1/preferences')).status, 500);
+});
+
+test('every response carries the request ID it was logged with', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const given = await request('GET', '/v1/preferences', { requestId: 'trace-123' });
+  assert.strictEqual(given.headers.get('x-request-id'), 'trace-123');
+
+  const generated = await request('GET', '/v1/preferences', { requestId: 'not a sane id' });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('preferences are validated before they are saved', async (t) => {
+  const { db, request, close } = await startApp();
+  t.after(close);
+
+  const invalid = await request('PUT', '/v1/preferences', { body: { studyRemindersEnabled: true, studyReminderHour: 24 } });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.details.map(error => error.field), ['studyReminderHour']);
+
+  const unknown = await request('PUT', '/v1/preferences', { body: { validationErrors: [] } });
+  assert.strictEqual(unknown.status, 400);
+
+  const saved = await request('PUT', '/v1/preferences', { body: { studyRemindersEnabled: true, studyReminderHour: 0 } });
+  assert.strictEqual(saved.status, 200);
+  assert.strictEqual(saved.body.studyReminderHour, 0);
+  assert.strictEqual(saved.body.updatedAt, '2026-10-19T00:00:00.000Z');
+  assert.strictEqual(db.dump('notification_preferences').u1.userId, 'u1');
+});
+
+test('users only see and cancel their own notifications', async (t) => {
+  const { db, request, close } = await startApp();
+  t.after(close);
+  const at = Timestamp.fromMillis(Date.UTC(2026, 9, 20, 1, 0));
+  db.seed('scheduled_notifications/n2', { userId: 'u1', status: 'pending', sent: false, scheduledForUTC: Timestamp.fromMillis(at.toMillis() + 1000) });
+  db.seed('scheduled_notifications/n1', { userId: 'u1', status: 'pending', sent: false, scheduledForUTC: at });
+  db.seed('scheduled_notifications/other', { userId: 'u2', status: 'pending', sent: false, scheduledForUTC: at });
+
+  const listed = await request('GET', '/v1/scheduled');
+  assert.deepStrictEqual(listed.body.notifications.map(n => n.id), ['n1', 'n2']);
+  assert.strictEqual(listed.body.notifications[0].scheduledForUTC, '2026-10-20T01:00:00.000Z');
+
+  assert.strictEqual((await request('DELETE', '/v1/scheduled/other')).status, 404);
+  assert.strictEqual((await request('DELETE', '/v1/scheduled/n1')).status, 200);
+  assert.strictEqual(db.dump('scheduled_notifications').n1.status, 'cancelled');
+  assert.strictEqual((await request('DELETE', '/v1/scheduled/n1')).status, 409);
+});
+
+test('a notification being sent cannot be cancelled', async (t) => {
+  const { clock, db, request, close } = await startApp();
+  t.after(close);
+  const at = Timestamp.fromMillis(NOW);
+  const lease = { leaseOwner: 'other-instance', leaseExpiresAt: Timestamp.fromMillis(NOW + 60 * 1000) };
+  db.seed('scheduled_notifications/claimed', { userId: 'u1', status: 'pending', sent: false, scheduledForUTC: at, ...lease });
+  db.seed('scheduled_notifications/retrying', { userId: 'u1', status: 'pending', sent: false, scheduledForUTC: at, attempts: 1 });
+
+  const claimed = await request('DELETE', '/v1/scheduled/claimed');
+  assert.strictEqual(claimed.status, 409);
+  assert.strictEqual(claimed.body.error, 'Notification is being sent');
+  assert.strictEqual((await request('DELETE', '/v1/scheduled/retrying')).status, 409);
+  assert.strictEqual(db.dump('scheduled_notifications').claimed.status, 'pending');
+
+  // Once the lease has expired unused, the notification can be cancelled
+  clock.advance(2 * 60 * 1000);
+  assert.strictEqual((await request('DELETE', '/v1/scheduled/claimed')).status, 200);
+  assert.strictEqual(db.dump('scheduled_notifications').claimed.status, 'cancelled');
+});
+
+test('the app reports opens and reads its delivery stats', async (t) => {
+  const { db, request, close } = await startApp();
+  t.after(close);
+  db.seed('scheduled_notifications/n1', { userId: 'u1', type: 'study_reminder', status: 'sent', sent: true });
+  db.seed('notification_events/n1_sent', { userId: 'u1', type: 'study_reminder', event: 'sent', date: '2026-10-19' });
+
+  assert.strictEqual((await request('POST', '/v1/notifications/n1/events', { body: { event: 'clicked' } })).status, 400);
+  assert.strictEqual((await request('POST', '/v1/notifications/n1/events', { uid: 'u2', body: { event: 'opened' } })).status, 404);
+  const opened = await request('POST', '/v1/notifications/n1/events', { body: { event: 'opened' } });
+  assert.deepStrictEqual(opened.body, { success: true, id: 'n1', event: 'opened', duplicate: false });
+
+  await createAnalytics({ db, clock: createFakeClock(NOW), metrics: createMetrics() }).rollupRecentStats();
+
+  assert.strictEqual((await request('GET', '/v1/stats?days=0')).status, 400);
+  const stats = await request('GET', '/v1/stats?days=7');
+  assert.strictEqual(stats.body.days.length, 7);
+  assert.strictEqual(stats.body.to, '2026-10-19');
+  assert.strictEqual(stats.body.total.openRate, 1);
+
+  assert.strictEqual((await request('GET', '/v1/admin/stats')).status, 403);
+  assert.strictEqual((await request('GET', '/v1/admin/stats', { uid: 'admin' })).body.days.length, 30);
+});
+
+test('named reminders can be created, updated and deleted', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const created = await request('POST', '/v1/reminders', { body: { label: 'Flashcards', hour: 20 } });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.enabled, true);
+
+  const id = created.body.id;
+  const updated = await request('PUT', `/v1/reminders/${id}`, { body: { minute: 30 } });
+  assert.strictEqual(updated.body.minute, 30);
+  assert.strictEqual(updated.body.label, 'Flashcards');
+
+  assert.strictEqual((await request('PUT', `/v1/reminders/${id}`, { body: { kind: 'nap' } })).status, 400);
+  assert.strictEqual((await request('DELETE', `/v1/reminders/${id}`)).status, 200);
+  assert.deepStrictEqual((await request('GET', '/v1/reminders')).body.reminders, []);
+});
+
+test('campaigns are admin only and can be scheduled or sent now', async (t) => {
+  const { db, messenger, campaigns, request, close } = await startApp();
+  t.after(close);
+
+  const body = { title: 'New version', body: 'StudyWell 2.0 is out!', topic: 'announcements' };
+  assert.strictEqual((await request('POST', '/v1/admin/campaigns', { body })).status, 403);
+
+  const invalid = await request('POST', '/v1/admin/campaigns', { uid: 'admin', body: { title: 'No target', body: 'Hi' } });
+  assert.strictEqual(invalid.status, 400);
+
+  const scheduled = await request('POST', '/v1/admin/campaigns', { uid: 'admin', body: { ...body, sendAt: '2026-10-20T08:00:00Z' } });
+  assert.strictEqual(scheduled.status, 201);
+  assert.strictEqual(scheduled.body.status, 'scheduled');
+  assert.strictEqual(scheduled.body.sendAt, '2026-10-20T08:00:00.000Z');
+
+  const immediate = await request('POST', '/v1/admin/campaigns', { uid: 'admin', body });
+  assert.strictEqual(immediate.status, 202);
+  await campaigns.whenIdle();
+  assert.strictEqual(db.dump('campaigns')[immediate.body.id].status, 'sent');
+  assert.strictEqual(messenger.sent[0].topic, 'announcements');
+
+  const listed = await request('GET', '/v1/admin/campaigns', { uid: 'admin' });
+  assert.strictEqual(listed.body.campaigns.length, 2);
+
+  assert.strictEqual((await request('DELETE', `/v1/admin/campaigns/${scheduled.body.id}`, { uid: 'admin' })).status, 200);
+  assert.strictEqual((await request('DELETE', `/v1/admin/campaigns/${immediate.body.id}`, { uid: 'admin' })).status, 409);
+  assert.strictEqual((await request('GET', `/v1/admin/campaigns/${scheduled.body.id}`, { uid: 'admin' })).body.status, 'cancelled');
+});
+
+test('logged study sessions build a streak', async (t) => {
+  const { request, close } = await startApp();
+  t.after(close);
+
+  const invalid = await request('POST', '/v1/sessions', { body: { durationMinutes: 0 } });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.details.map(error => error.field), ['durationMinutes']);
+
+  const yesterday = await request('POST', '/v1/sessions', { body: { durationMinutes: 25, completedAt: '2026-10-18T12:00:00Z' } });
+  assert.strictEqual(yesterday.status, 201);
+  assert.strictEqual(yesterday.body.studiedToday, false);
+
+  const today = await request('POST', '/v1/sessions', { body: { durationMinutes: 40, subject: 'Biology' } });
+  assert.deepStrictEqual(today.body, { currentStreak: 2, longestStreak: 2, lastStudyDate: '2026-10-19', studiedToday: true });
+  assert.deepStrictEqual((await request('GET', '/v1/streak')).body, today.body);
+});
+
+test('focus sessions can be started, paused, resumed and stopped', async (t) => {
+  const { clock, db, request, close } = await startApp();
+  t.after(close);
+
+  const invalid = await request('POST', '/v1/focus', { body: { workMinutes: 0 } });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.details.map(error => error.field), ['workMinutes']);
+
+  const started = await request('POST', '/v1/focus', { body: { workMinutes: 50, breakMinutes: 10, cycles: 2 } });
+  assert.strictEqual(started.status, 201);
+  assert.strictEqual(started.body.endsAt, '2026-10-19T01:50:00.000Z');
+  assert.strictEqual(Object.keys(db.dump('scheduled_notifications')).length, 3);
+  const id = started.body.id;
+
+  const again = await request('POST', '/v1/focus', { body: {} });
+  assert.strictEqual(again.status, 409);
+  assert.strictEqual(again.body.session.id, id);
+  assert.deepStrictEqual((await request('GET', '/v1/focus')).body, started.body);
+
+  clock.advance(5 * 60 * 1000);
+  assert.strictEqual((await request('POST', `/v1/focus/${id}/pause`)).body.status, 'paused');
+  assert.strictEqual((await request('POST', `/v1/focus/${id}/pause`)).status, 409);
+  assert.strictEqual((await request('POST', `/v1/focus/${id}/resume`, { uid: 'u2' })).status, 404);
+
+  clock.advance(5 * 60 * 1000);
+  const resumed = await request('POST', `/v1/focus/${id}/resume`);
+  assert.strictEqual(resumed.body.endsAt, '2026-10-19T01:55:00.000Z');
+
+  assert.strictEqual((await request('POST', `/v1/focus/${id}/stop`)).body.status, 'stopped');
+  assert.deepStrictEqual(db.dump('scheduled_notifications'), {});
+  assert.strictEqual((await request('GET', '/v1/focus')).status, 404);
+});
+
+test('exams and deadlines can be added, moved, marked done and deleted', async (t) => {
+  const { db, request, close } = await startApp();
+  t.after(close);
+
+  const invalid = await request('POST', '/v1/deadlines', { body: { title: 'Biology midterm', dueAt: '2026-10-18T09:00:00Z' } });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.details.map(error => error.field), ['dueAt']);
+
+  const created = await request('POST', '/v1/deadlines', { body: { title: 'Biology midterm', subject: 'Biology', dueAt: '2026-10-30T09:00:00Z' } });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.kind, 'exam');
+  assert.strictEqual(created.body.status, 'upcoming');
+  assert.strictEqual(Object.keys(db.dump('scheduled_notifications')).length, 4);
+
+  const id = created.body.id;
+  const moved = await request('PUT', `/v1/deadlines/${id}`, { body: { dueAt: '2026-10-20T09:00:00Z' } });
+  assert.strictEqual(moved.body.dueAt, '2026-10-20T09:00:00.000Z');
+  assert.strictEqual(moved.body.title, 'Biology midterm');
+  assert.strictEqual(Object.keys(db.dump('scheduled_notifications')).length, 2);
+  assert.strictEqual((await request('PUT', `/v1/deadlines/${id}`, { body: { kind: 'quiz' } })).status, 400);
+  assert.strictEqual((await request('PUT', `/v1/deadlines/${id}`, { uid: 'u2', body: { done: true } })).status, 404);
+
+  const done = await request('PUT', `/v1/deadlines/${id}`, { body: { done: true } });
+  assert.strictEqual(done.body.status, 'done');
+  assert.deepStrictEqual(db.dump('scheduled_notifications'), {});
+  assert.deepStrictEqual((await request('GET', '/v1/deadlines')).body.deadlines, [done.body]);
+
+  assert.strictEqual((await request('DELETE', `/v1/deadlines/${id}`)).status, 200);
+  assert.strictEqual((await request('DELETE', `/v1/deadlines/${id}`)).status, 404);
+  assert.deepStrictEqual((await request('GET', '/v1/deadlines')).body.deadlines, []);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { validateCampaign } = require('../validation');
+const { createDeviceRegistry } = require('../devices');
+const { createCampaigns, matchesSegment } = require('../campaigns');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const { Timestamp } = admin.firestore;
+const NOW = Date.UTC(2026, 9, 19, 1, 0);
+const MINUTE_MS = 60 * 1000;
+
+async function setup(respond = () => ({ success: true, messageId: 'm1' })) {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const devices = createDeviceRegistry({ db, clock });
+  const messenger = {
+    name: 'fake',
+    sent: [],
+    sendEach: async (messages) => {
+      messenger.sent.push(...messages);
+      return { responses: messages.map(message => respond(message)) };
+    },
+  };
+  const campaigns = createCampaigns({ db, clock, messenger, devices, instanceId: 'test-instance' });
+  return { clock, db, devices, messenger, campaigns };
+}
+
+function campaign(fields) {
+  const result = validateCampaign({ title: 'Exam season', body: 'Good luck this week!', ...fields }, NOW);
+  assert.deepStrictEqual(result.errors, []);
+  return result.campaign;
+}
+
+test('campaigns need text and exactly one target', () => {
+  const fields = data => validateCampaign(data, NOW).errors.map(error => error.field).sort();
+
+  assert.deepStrictEqual(fields({}), ['body', 'target', 'title']);
+  assert.deepStrictEqual(fields({ title: 'T', body: 'B', topic: 'a', condition: "'a' in topics" }), ['target']);
+  assert.deepStrictEqual(fields({ title: 'T', body: 'B', topic: 'not a topic!' }), ['topic']);
+  assert.deepStrictEqual(fields({ title: 'T', body: 'B', condition: 'everyone' }), ['condition']);
+  assert.deepStrictEqual(fields({ title: 'T', body: 'B', segment: { reminderTypes: ['nap'], locales: 'es' } }),
+    ['segment.locales', 'segment.reminderTypes']);
+  assert.deepStrictEqual(fields({ title: 'T', body: 'B', topic: 'a', sendAt: 'tomorrow', data: { version: 2 } }), ['data', 'sendAt']);
+
+  const valid = validateCampaign({ title: 'T', body: 'B', topic: '/topics/tips', sendAt: '2026-10-20T08:00:00Z' }, NOW);
+  assert.deepStrictEqual(valid.campaign.target, { type: 'topic', topic: 'tips' });
+  assert.strictEqual(valid.campaign.sendAtMs, Date.UTC(2026, 9, 20, 8, 0));
+});
+
+test('segments filter by locale and enabled reminder types', () => {
+  const segment = { locales: ['es'], platforms: null, reminderTypes: ['break'], userIds: null };
+
+  assert.strictEqual(matchesSegment({ locale: 'es-MX', breakRemindersEnabled: true }, segment), true);
+  assert.strictEqual(matchesSegment({ locale: 'es', studyRemindersEnabled: true }, segment), false);
+  assert.strictEqual(matchesSegment({ breakRemindersEnabled: true }, segment), false);
+  assert.strictEqual(matchesSegment({}, { ...segment, locales: ['en'], reminderTypes: null }), true);
+});
+
+test('a topic campaign is one message', async () => {
+  const { db, messenger, campaigns } = await setup();
+  const ref = await campaigns.createCampaign(campaign({ condition: "'android' in topics && 'tips' in topics", data: { url: 'https://example.com' } }), 'admin');
+
+  const stats = await campaigns.sendCampaign(ref);
+
+  assert.strictEqual(stats.sent, 1);
+  assert.strictEqual(messenger.sent.length, 1);
+  assert.strictEqual(messenger.sent[0].condition, "'android' in topics && 'tips' in topics");
+  assert.deepStrictEqual(messenger.sent[0].data, { url: 'https://example.com', type: 'campaign', campaignId: ref.id });
+  assert.strictEqual(db.dump('campaigns')[ref.id].status, 'sent');
+
+  // Sending is claimed once
+  assert.strictEqual(await campaigns.sendCampaign(ref), null);
+  assert.strictEqual(messenger.sent.length, 1);
+});
+
+test('a campaign sent in the background can be waited for', async () => {
+  const { db, messenger, campaigns } = await setup();
+  const ref = await campaigns.createCampaign(campaign({ topic: 'tips' }), 'admin');
+
+  campaigns.sendCampaignInBackground(ref);
+  assert.strictEqual(db.dump('campaigns')[ref.id].status, 'scheduled');
+
+  await campaigns.whenIdle();
+  assert.strictEqual(db.dump('campaigns')[ref.id].status, 'sent');
+  assert.strictEqual(messenger.sent.length, 1);
+});
+
+test('a segment campaign reaches every matching device and records stats', async () => {
+  const gone = { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Gone' } };
+  const { db, devices, messenger, campaigns } = await setup(message => (message.token === 'dead' ? gone : { success: true, messageId: 'm1' }));
+  db.seed('notification_preferences/u1', { locale: 'es' });
+  db.seed('notification_preferences/u2', { locale: 'es-MX', fcmToken: 'legacy' });
+  db.seed('notification_preferences/u3', { locale: 'en' });
+  await devices.registerDeviceToken('u1', 'phone', 'android');
+  await devices.registerDeviceToken('u1', 'dead', 'ios');
+  await devices.registerDeviceToken('u3', 'other', 'android');
+
+  const ref = await campaigns.createCampaign(campaign({ segment: { locales: ['es'] } }), 'admin');
+  const stats = await campaigns.sendCampaign(ref);
+
+  assert.deepStrictEqual(stats, { users: 2, devices: 3, sent: 2, failed: 0, invalidToken: 1 });
+  assert.deepStrictEqual(messenger.sent.map(message => message.token).sort(), ['dead', 'legacy', 'phone']);
+  assert.deepStrictEqual(await devices.getActiveDeviceTokens('u1'), ['phone']);
+  assert.deepStrictEqual(db.dump('campaigns')[ref.id].stats, stats);
+});
+
+test('platform filters pick devices', async () => {
+  const { db, devices, messenger, campaigns } = await setup();
+  db.seed('notification_preferences/u1', { fcmToken: 'legacy' });
+  await devices.registerDeviceToken('u1', 'phone', 'android');
+  await devices.registerDeviceToken('u1', 'tablet', 'ios');
+
+  const ref = await campaigns.createCampaign(campaign({ segment: { platforms: ['ios'], userIds: ['u1', 'missing'] } }), 'admin');
+  await campaigns.sendCampaign(ref);
+
+  assert.deepStrictEqual(messenger.sent.map(message => message.token), ['tablet']);
+});
+
+test('scheduled campaigns go out when due', async () => {
+  const { clock, db, messenger, campaigns } = await setup();
+  const later = validateCampaign({ title: 'T', body: 'B', topic: 'tips', sendAt: new Date(NOW + 10 * MINUTE_MS).toISOString() }, NOW).campaign;
+  const ref = await campaigns.createCampaign(later, 'admin');
+
+  await campaigns.dispatchDueCampaigns();
+  assert.strictEqual(messenger.sent.length, 0);
+
+  clock.advance(10 * MINUTE_MS);
+  await campaigns.dispatchDueCampaigns();
+  assert.strictEqual(messenger.sent.length, 1);
+  assert.strictEqual(db.dump('campaigns')[ref.id].status, 'sent');
+});
+
+test('a failed send and an interrupted one are recorded, not retried', async () => {
+  const unavailable = { success: false, error: { code: 'messaging/server-unavailable', message: 'Unavailable' } };
+  const { clock, db, messenger, campaigns } = await setup(() => unavailable);
+
+  const ref = await campaigns.createCampaign(campaign({ topic: 'tips' }), 'admin');
+  await campaigns.sendCampaign(ref);
+  assert.strictEqual(db.dump('campaigns')[ref.id].status, 'failed');
+  assert.strictEqual(db.dump('campaigns')[ref.id].errorCode, 'messaging/server-unavailable');
+
+  db.seed('campaigns/stuck', {
+    title: 'T',
+    body: 'B',
+    target: { type: 'topic', topic: 'tips' },
+    status: 'sending',
+    sendingBy: 'dead-instance',
+    sendAt: Timestamp.fromMillis(NOW),
+    startedAt: Timestamp.fromMillis(NOW),
+  });
+  clock.advance(31 * MINUTE_MS);
+  await campaigns.dispatchDueCampaigns();
+
+  assert.strictEqual(db.dump('campaigns').stuck.errorCode, 'interrupted');
+  assert.strictEqual(messenger.sent.length, 1);
+});
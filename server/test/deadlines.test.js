@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createDeadlines, planDeadlineReminders } = require('../deadlines');
+const { validateDeadline, validatePreferences } = require('../validation');
+const { getUserContext, renderNotification } = require('../templates');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const { Timestamp } = admin.firestore;
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 9);
+const DUE_AT = Date.UTC(2026, 9, 30, 9);
+
+function setup(preferences = { timezone: 'UTC' }) {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  db.seed('notification_preferences/u1', { userId: 'u1', ...preferences });
+  const deadlines = createDeadlines({ db, clock, analytics: createAnalytics({ db, clock, metrics: createMetrics() }) });
+  return { clock, db, deadlines };
+}
+
+const midterm = { kind: 'exam', title: 'Biology midterm', subject: 'Biology', dueAtMs: DUE_AT, done: false };
+
+// The pending reminders as { id: hours before DUE_AT they are sent }
+function reminders(db) {
+  return Object.fromEntries(Object.entries(db.dump('scheduled_notifications'))
+    .map(([id, data]) => [id, (DUE_AT - data.dueAt.toMillis()) / HOUR_MS]));
+}
+
+test('a deadline counts down a week, three days, a day and two hours before', () => {
+  const deadline = { ...midterm, dueAt: Timestamp.fromMillis(DUE_AT) };
+  const plan = (preferences, nowMs = NOW) => planDeadlineReminders('u1', 'd1', deadline, validatePreferences(preferences), nowMs)
+    .map(reminder => [reminder.id, (DUE_AT - reminder.fields.scheduledForUTC.toMillis()) / HOUR_MS]);
+
+  assert.deepStrictEqual(plan({ timezone: 'UTC' }), [
+    ['deadline_d1_10080', 168],
+    ['deadline_d1_4320', 72],
+    ['deadline_d1_1440', 24],
+    ['deadline_d1_120', 2],
+  ]);
+  // Reminders already behind us are left out
+  assert.deepStrictEqual(plan({ timezone: 'UTC' }, DUE_AT - 48 * HOUR_MS).map(([id]) => id), ['deadline_d1_1440', 'deadline_d1_120']);
+
+  // Quiet hours skip a reminder, or defer it as long as that is before the deadline
+  const quietHours = [{ start: '06:00', end: '08:00' }];
+  assert.strictEqual(plan({ timezone: 'UTC', quietHours }).length, 3);
+  assert.deepStrictEqual(plan({ timezone: 'UTC', quietHours, quietHoursMode: 'defer' })[3], ['deadline_d1_120', 1]);
+  assert.strictEqual(plan({ timezone: 'UTC', quietHours: [{ start: '06:00', end: '10:00' }], quietHoursMode: 'defer' }).length, 3);
+});
+
+test('deadlines must be titled and due within the next year', () => {
+  const valid = validateDeadline({ title: ' Essay ', dueAt: '2026-11-02T17:00:00Z' }, NOW);
+  assert.deepStrictEqual(valid.deadline, { kind: 'exam', title: 'Essay', subject: null, dueAtMs: Date.UTC(2026, 10, 2, 17), done: false });
+
+  const invalid = validateDeadline({ kind: 'quiz', dueAt: '2026-10-18T09:00:00Z', done: 'yes' }, NOW);
+  assert.deepStrictEqual(invalid.errors.map(error => error.field), ['kind', 'title', 'dueAt', 'done']);
+  assert.strictEqual(validateDeadline({ title: 'Essay', dueAt: '2028-01-01T00:00:00Z' }, NOW).valid, false);
+  assert.strictEqual(validateDeadline({ title: 'Essay', dueAt: '2027-02-31T09:00:00Z' }, NOW).valid, false, 'February has no 31st');
+});
+
+test('saving a deadline schedules its countdown and sets the next exam', async () => {
+  const { db, deadlines } = setup();
+
+  const saved = await deadlines.saveDeadline('u1', null, midterm);
+  assert.deepStrictEqual(saved, {
+    id: saved.id,
+    kind: 'exam',
+    title: 'Biology midterm',
+    subject: 'Biology',
+    dueAt: '2026-10-30T09:00:00.000Z',
+    status: 'upcoming',
+  });
+  assert.deepStrictEqual(reminders(db), {
+    [`deadline_${saved.id}_10080`]: 168,
+    [`deadline_${saved.id}_4320`]: 72,
+    [`deadline_${saved.id}_1440`]: 24,
+    [`deadline_${saved.id}_120`]: 2,
+  });
+  assert.strictEqual(Object.keys(db.dump('notification_events')).length, 4);
+
+  const preferences = db.dump('notification_preferences').u1;
+  assert.strictEqual(preferences.nextExam, 'Biology midterm');
+  assert.strictEqual(preferences.nextExamAt.toMillis(), DUE_AT);
+  assert.deepStrictEqual(await deadlines.listDeadlines('u1'), [saved]);
+
+  // The countdown is worded in the language of the template
+  const notifications = db.dump('scheduled_notifications');
+  const render = (id, locale) => renderNotification(notifications[id], getUserContext({ displayName: 'Ana', locale }, NOW)).title;
+  assert.strictEqual(render(`deadline_${saved.id}_1440`, 'en'), '📅 Biology midterm is tomorrow');
+  assert.strictEqual(render(`deadline_${saved.id}_120`, 'en'), '📅 Biology midterm is in 2 hours');
+  assert.strictEqual(render(`deadline_${saved.id}_4320`, 'es-MX'), '📅 Biology midterm: dentro de 3 días');
+});
+
+test('moving a deadline moves its reminders and marking it done cancels them', async () => {
+  const { db, deadlines } = setup();
+  const saved = await deadlines.saveDeadline('u1', null, midterm);
+
+  // Two days from now: only the last day's reminders are left
+  await deadlines.saveDeadline('u1', saved.id, { ...midterm, dueAtMs: NOW + 48 * HOUR_MS });
+  const notifications = db.dump('scheduled_notifications');
+  assert.deepStrictEqual(Object.keys(notifications), [`deadline_${saved.id}_1440`, `deadline_${saved.id}_120`]);
+  assert.strictEqual(notifications[`deadline_${saved.id}_1440`].dueAt.toMillis(), NOW + 24 * HOUR_MS);
+  assert.strictEqual(notifications[`deadline_${saved.id}_1440`].deadlineAt.toMillis(), NOW + 48 * HOUR_MS);
+  assert.strictEqual(db.dump('notification_preferences').u1.nextExamAt.toMillis(), NOW + 48 * HOUR_MS);
+
+  const done = await deadlines.saveDeadline('u1', saved.id, { ...midterm, done: true });
+  assert.strictEqual(done.status, 'done');
+  assert.deepStrictEqual(reminders(db), {});
+  assert.strictEqual(db.dump('notification_preferences').u1.nextExam, undefined);
+
+  assert.strictEqual(await deadlines.deleteDeadline('u1', saved.id), true);
+  assert.strictEqual(await deadlines.getDeadline('u1', saved.id), null);
+  assert.strictEqual(await deadlines.deleteDeadline('u1', saved.id), false);
+});
+
+test('passed deadlines are closed and the next exam moves on', async () => {
+  const { clock, db, deadlines } = setup();
+  const first = await deadlines.saveDeadline('u1', null, { ...midterm, dueAtMs: NOW + 3 * HOUR_MS });
+  const second = await deadlines.saveDeadline('u1', null, { ...midterm, title: 'Chemistry final', dueAtMs: DUE_AT });
+  await deadlines.saveDeadline('u1', null, { ...midterm, kind: 'assignment', title: 'Essay', dueAtMs: NOW + 2 * HOUR_MS });
+  assert.strictEqual(db.dump('notification_preferences').u1.nextExam, 'Biology midterm');
+
+  // The exam's template variable is unset as soon as it has passed
+  clock.advance(4 * HOUR_MS);
+  assert.strictEqual(getUserContext(db.dump('notification_preferences').u1, clock.now()).variables.nextExam, null);
+
+  await deadlines.closePassedDeadlines();
+  const stored = db.dump('notification_preferences/u1/deadlines');
+  assert.deepStrictEqual(Object.values(stored).map(deadline => [deadline.title, deadline.status]), [
+    ['Biology midterm', 'passed'],
+    ['Chemistry final', 'upcoming'],
+    ['Essay', 'passed'],
+  ]);
+  assert.ok(Object.keys(reminders(db)).every(id => id.startsWith(`deadline_${second.id}_`)));
+  assert.strictEqual(db.dump('notification_preferences').u1.nextExam, 'Chemistry final');
+  assert.strictEqual((await deadlines.getDeadline('u1', first.id)).status, 'passed');
+});
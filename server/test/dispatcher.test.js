@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { createDeviceRegistry } = require('../devices');
+const { createDispatcher, getRetryDelayMs } = require('../dispatcher');
+const { createTemplateRenderer } = require('../templates');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createCleanup } = require('../cleanup');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+const { createFakeTimers } = require('./helpers/fake-timers');
+
+const { Timestamp } = admin.firestore;
+const NOW = Date.UTC(2026, 9, 19, 1, 0);
+const MINUTE_MS = 60 * 1000;
+
+// Records every message and answers with the given per-token result
+function createFakeMessenger(respond = () => ({ success: true, messageId: 'm1' })) {
+  const sent = [];
+  return {
+    name: 'fake',
+    sent,
+    sendEach: async (messages) => {
+      sent.push(...messages);
+      return { responses: messages.map(message => respond(message.token)) };
+    },
+  };
+}
+
+async function setup({ tokens = ['token-1'], respond } = {}) {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const devices = createDeviceRegistry({ db, clock });
+  const messenger = createFakeMessenger(respond);
+  const templates = createTemplateRenderer({ db, clock });
+  const metrics = createMetrics();
+  const analytics = createAnalytics({ db, clock, metrics });
+  const timers = createFakeTimers();
+  const dispatcher = createDispatcher({ db, clock, messenger, devices, templates, analytics, metrics, instanceId: 'test-instance', timers });
+
+  for (const token of tokens) {
+    await devices.registerDeviceToken('u1', token);
+  }
+  return { clock, db, devices, messenger, metrics, dispatcher, timers };
+}
+
+function seedNotification(db, id, dueAtMs, fields = {}) {
+  db.seed(`scheduled_notifications/${id}`, {
+    userId: 'u1',
+    title: 'Study Time! 📚',
+    message: 'Time to focus on your studies.',
+    type: 'study_reminder',
+    channelId: 'study_reminders',
+    status: 'pending',
+    sent: false,
+    attempts: 0,
+    scheduledForUTC: Timestamp.fromMillis(dueAtMs),
+    dueAt: Timestamp.fromMillis(dueAtMs),
+    ...fields,
+  });
+}
+
+function notification(db, id) {
+  return db.dump('scheduled_notifications')[id];
+}
+
+test('only notifications inside the send window go out', async () => {
+  const { db, messenger, dispatcher } = await setup();
+  seedNotification(db, 'too-late', NOW - 20 * MINUTE_MS);
+  seedNotification(db, 'late', NOW - 5 * MINUTE_MS);
+  seedNotification(db, 'next-minute', NOW + 30 * 1000);
+  seedNotification(db, 'later', NOW + 5 * MINUTE_MS);
+
+  await dispatcher.dispatchDueNotifications();
+
+  assert.strictEqual(notification(db, 'too-late').status, 'failed');
+  assert.strictEqual(notification(db, 'too-late').errorCode, 'missed-window');
+  assert.strictEqual(notification(db, 'late').status, 'sent');
+  assert.strictEqual(notification(db, 'next-minute').status, 'sent');
+  assert.strictEqual(notification(db, 'later').status, 'pending');
+  assert.strictEqual(messenger.sent.length, 2);
+  assert.strictEqual(messenger.sent[0].android.notification.channelId, 'study_reminders');
+});
+
+test('a sent notification records its delivery and releases the lease', async () => {
+  const { db, dispatcher } = await setup({ tokens: ['token-1', 'token-2'] });
+  seedNotification(db, 'n1', NOW);
+
+  await dispatcher.dispatchDueNotifications();
+
+  const sent = notification(db, 'n1');
+  assert.strictEqual(sent.sent, true);
+  assert.strictEqual(sent.deliveredCount, 2);
+  assert.strictEqual(sent.attempts, 1);
+  assert.strictEqual(sent.sentAt.toMillis(), NOW);
+  assert.strictEqual(sent.leaseOwner, undefined);
+});
+
+test('transient errors are retried with backoff, then fail', async () => {
+  const unavailable = { success: false, error: { code: 'messaging/server-unavailable', message: 'Unavailable' } };
+  const { clock, db, metrics, dispatcher } = await setup({ respond: () => unavailable });
+  seedNotification(db, 'n1', NOW);
+
+  await dispatcher.dispatchDueNotifications();
+
+  const retrying = notification(db, 'n1');
+  assert.strictEqual(retrying.status, 'pending');
+  assert.strictEqual(retrying.attempts, 1);
+  assert.strictEqual(retrying.dueAt.toMillis(), NOW + getRetryDelayMs(1));
+  assert.match(metrics.render(), /^studywell_notifications_retried_total\{type="study_reminder",reason="messaging\/server-unavailable"\} 1$/m);
+
+  db.seed('scheduled_notifications/n1', { ...retrying, attempts: 4, dueAt: Timestamp.fromMillis(NOW) });
+  clock.advance(MINUTE_MS);
+  await dispatcher.dispatchDueNotifications();
+
+  assert.strictEqual(notification(db, 'n1').status, 'failed');
+  assert.strictEqual(notification(db, 'n1').attempts, 5);
+  assert.match(metrics.render(), /^studywell_notifications_failed_total\{type="study_reminder",reason="messaging\/server-unavailable"\} 1$/m);
+});
+
+test('the backlog is the due notifications not sent yet, oldest first', async () => {
+  const { db, metrics, dispatcher } = await setup();
+  assert.deepStrictEqual(await dispatcher.getBacklog(), { size: 0, oldestDueAtMs: null });
+
+  seedNotification(db, 'late', NOW - 5 * MINUTE_MS, { scheduledForUTC: Timestamp.fromMillis(NOW - 5 * MINUTE_MS) });
+  seedNotification(db, 'due', NOW);
+  seedNotification(db, 'later', NOW + 5 * MINUTE_MS);
+  seedNotification(db, 'done', NOW - MINUTE_MS, { status: 'sent', sent: true });
+  assert.deepStrictEqual(await dispatcher.getBacklog(), { size: 2, oldestDueAtMs: NOW - 5 * MINUTE_MS });
+
+  // Sending clears it and times each delivery from its scheduled time
+  await dispatcher.dispatchDueNotifications();
+  assert.deepStrictEqual(await dispatcher.getBacklog(), { size: 0, oldestDueAtMs: null });
+  const rendered = metrics.render();
+  assert.match(rendered, /^studywell_notifications_sent_total\{type="study_reminder"\} 2$/m);
+  assert.match(rendered, /^studywell_notification_send_latency_seconds_bucket\{type="study_reminder",le="1"\} 1$/m);
+  assert.match(rendered, /^studywell_notification_send_latency_seconds_bucket\{type="study_reminder",le="300"\} 2$/m);
+  assert.match(rendered, /^studywell_notification_send_latency_seconds_sum\{type="study_reminder"\} 300$/m);
+});
+
+test('dead tokens are removed from the registry', async () => {
+  const unregistered = { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Gone' } };
+  const { db, devices, dispatcher } = await setup({
+    tokens: ['token-1', 'dead-token'],
+    respond: token => (token === 'dead-token' ? unregistered : { success: true, messageId: 'm1' }),
+  });
+  seedNotification(db, 'n1', NOW);
+
+  await dispatcher.dispatchDueNotifications();
+
+  assert.strictEqual(notification(db, 'n1').status, 'sent');
+  assert.strictEqual(notification(db, 'n1').deliveredCount, 1);
+  assert.deepStrictEqual(await devices.getActiveDeviceTokens('u1'), ['token-1']);
+});
+
+test('a dead legacy fcmToken is cleared from the preferences too', async () => {
+  const unregistered = { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'Gone' } };
+  const { db, devices, dispatcher } = await setup({ tokens: ['dead-token'], respond: () => unregistered });
+  db.seed('notification_preferences/u1', { studyRemindersEnabled: true, fcmToken: 'dead-token' });
+  db.seed('notification_preferences/u2', { studyRemindersEnabled: true, fcmToken: 'token-2' });
+  await devices.registerDeviceToken('u2', 'token-2');
+  seedNotification(db, 'n1', NOW);
+
+  await dispatcher.dispatchDueNotifications();
+
+  const preferences = db.dump('notification_preferences');
+  assert.strictEqual(notification(db, 'n1').status, 'invalid-token');
+  assert.strictEqual(preferences.u1.fcmToken, undefined);
+  assert.strictEqual(await devices.hasDeliveryTarget('u1', preferences.u1), false);
+
+  // A token that is not dead is kept
+  await devices.removeDeviceTokens('u2', ['another-token']);
+  assert.strictEqual(db.dump('notification_preferences').u2.fcmToken, 'token-2');
+});
+
+test('a user without devices gets invalid-token', async () => {
+  const { db, messenger, dispatcher } = await setup({ tokens: [] });
+  seedNotification(db, 'n1', NOW);
+
+  await dispatcher.dispatchDueNotifications();
+
+  assert.strictEqual(notification(db, 'n1').status, 'invalid-token');
+  assert.strictEqual(notification(db, 'n1').errorCode, 'no-devices');
+  assert.strictEqual(messenger.sent.length, 0);
+});
+
+test('notifications leased by another instance are skipped until the lease expires', async () => {
+  const { clock, db, messenger, dispatcher } = await setup();
+  seedNotification(db, 'n1', NOW, {
+    leaseOwner: 'other-instance',
+    leaseExpiresAt: Timestamp.fromMillis(NOW + MINUTE_MS),
+  });
+
+  await dispatcher.dispatchDueNotifications();
+  assert.strictEqual(notification(db, 'n1').status, 'pending');
+  assert.strictEqual(messenger.sent.length, 0);
+
+  clock.advance(2 * MINUTE_MS);
+  await dispatcher.dispatchDueNotifications();
+  assert.strictEqual(notification(db, 'n1').status, 'sent');
+});
+
+test('precise notifications go out at their due time, not early', async () => {
+  const { clock, db, messenger, dispatcher, timers } = await setup();
+  const cue = { type: 'focus_break', channelId: 'focus_sessions', sessionId: 's1', precise: true };
+  seedNotification(db, 'focus_s1_1', NOW + 40 * 1000, cue);
+  seedNotification(db, 'focus_s1_2', NOW + 5 * MINUTE_MS, cue);
+
+  await dispatcher.dispatchDueNotifications();
+  assert.strictEqual(messenger.sent.length, 0);
+  assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [40 * 1000]);
+
+  // The next tick does not set a second timer
+  clock.advance(20 * 1000);
+  await dispatcher.dispatchDueNotifications();
+  assert.strictEqual(timers.pending.size, 1);
+
+  clock.advance(20 * 1000);
+  timers.fireAll();
+  await dispatcher.whenIdle();
+  assert.strictEqual(notification(db, 'focus_s1_1').status, 'sent');
+  assert.strictEqual(notification(db, 'focus_s1_2').status, 'pending');
+  assert.strictEqual(messenger.sent.length, 1);
+  assert.strictEqual(messenger.sent[0].data.sessionId, 's1');
+  assert.strictEqual(messenger.sent[0].android.notification.channelId, 'focus_sessions');
+});
+
+test('a precise notification moved later is not sent by its old timer', async () => {
+  const { clock, db, messenger, dispatcher, timers } = await setup();
+  seedNotification(db, 'focus_s1_1', NOW + 40 * 1000, { sessionId: 's1', precise: true });
+  dispatcher.schedulePreciseSend('focus_s1_1', NOW + 40 * 1000);
+
+  // Paused and resumed two minutes later
+  seedNotification(db, 'focus_s1_1', NOW + 160 * 1000, { sessionId: 's1', precise: true });
+  clock.advance(40 * 1000);
+  timers.fireAll();
+  await dispatcher.whenIdle();
+  assert.strictEqual(notification(db, 'focus_s1_1').status, 'pending');
+  assert.strictEqual(messenger.sent.length, 0);
+
+  // Stopping the dispatcher cancels the timers not fired yet
+  clock.advance(MINUTE_MS);
+  dispatcher.schedulePreciseSend('focus_s1_1', NOW + 160 * 1000);
+  assert.strictEqual(timers.pending.size, 1);
+  dispatcher.stop();
+  assert.strictEqual(timers.pending.size, 0);
+});
+
+test('cleanup deletes week-old finished notifications only', async () => {
+  const { clock, db } = await setup();
+  const weekAgo = NOW - 7 * 24 * 60 * MINUTE_MS;
+  seedNotification(db, 'old-sent', weekAgo - MINUTE_MS, { status: 'sent', sent: true, sentAt: Timestamp.fromMillis(weekAgo - MINUTE_MS) });
+  seedNotification(db, 'old-failed', weekAgo - MINUTE_MS, { status: 'failed' });
+  seedNotification(db, 'recent-sent', NOW - MINUTE_MS, { status: 'sent', sent: true, sentAt: Timestamp.fromMillis(NOW - MINUTE_MS) });
+  seedNotification(db, 'old-pending', weekAgo - MINUTE_MS);
+
+  await createCleanup({ db, clock }).cleanupOldNotifications();
+
+  assert.deepStrictEqual(Object.keys(db.dump('scheduled_notifications')).sort(), ['old-pending', 'recent-sent']);
+});
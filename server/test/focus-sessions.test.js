@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createFocusSessions, planFocusCues, getFocusState } = require('../focus-sessions');
+const { validateFocusSession } = require('../validation');
+const { renderNotification } = require('../templates');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const { Timestamp } = admin.firestore;
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 9);
+
+function setup() {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const armed = [];
+  const dispatcher = { schedulePreciseSend: (id, dueAtMs) => armed.push({ id, dueAtMs }) };
+  const focusSessions = createFocusSessions({ db, clock, dispatcher, analytics: createAnalytics({ db, clock, metrics: createMetrics() }) });
+  return { clock, db, armed, focusSessions };
+}
+
+const settings = { workMinutes: 25, breakMinutes: 5, cycles: 2, subject: 'Biology' };
+
+// The session's pending cues as { id: [type, minutes after NOW] }
+function cues(db) {
+  return Object.fromEntries(Object.entries(db.dump('scheduled_notifications'))
+    .map(([id, data]) => [id, [data.type, (data.dueAt.toMillis() - NOW) / MINUTE_MS]]));
+}
+
+test('a session alternates work and breaks and ends after the last work period', () => {
+  assert.deepStrictEqual(planFocusCues(settings).map(cue => [cue.kind, cue.cycle, cue.offsetMs / MINUTE_MS]), [
+    ['break', 1, 25],
+    ['work', 2, 30],
+    ['complete', 2, 55],
+  ]);
+
+  const session = { ...settings, status: 'running', startedAt: Timestamp.fromMillis(NOW), pausedMs: 0 };
+  assert.deepStrictEqual(getFocusState(session, NOW + 27 * MINUTE_MS), { status: 'running', phase: 'break', cycle: 1, phaseRemainingMs: 3 * MINUTE_MS });
+  assert.deepStrictEqual(getFocusState(session, NOW + 40 * MINUTE_MS), { status: 'running', phase: 'work', cycle: 2, phaseRemainingMs: 15 * MINUTE_MS });
+  assert.strictEqual(getFocusState(session, NOW + 55 * MINUTE_MS).status, 'completed');
+
+  // Paused time does not count
+  const paused = { ...session, status: 'paused', pausedAt: Timestamp.fromMillis(NOW + 10 * MINUTE_MS) };
+  assert.strictEqual(getFocusState(paused, NOW + 90 * MINUTE_MS).phaseRemainingMs, 15 * MINUTE_MS);
+});
+
+test('settings default to a 25/5 minute session of four cycles', () => {
+  assert.deepStrictEqual(validateFocusSession({}).settings, { workMinutes: 25, breakMinutes: 5, cycles: 4, subject: null });
+
+  const invalid = validateFocusSession({ workMinutes: 0, breakMinutes: 61, cycles: 1.5 });
+  assert.deepStrictEqual(invalid.errors.map(error => error.field), ['workMinutes', 'breakMinutes', 'cycles']);
+});
+
+test('starting a session schedules a precise push for each change of phase', async () => {
+  const { db, armed, focusSessions } = setup();
+
+  const { created, session } = await focusSessions.startSession('u1', settings);
+  assert.strictEqual(created, true);
+  assert.deepStrictEqual(session, {
+    id: session.id,
+    status: 'running',
+    workMinutes: 25,
+    breakMinutes: 5,
+    cycles: 2,
+    subject: 'Biology',
+    phase: 'work',
+    cycle: 1,
+    phaseRemainingSeconds: 25 * 60,
+    phaseEndsAt: '2026-10-19T09:25:00.000Z',
+    endsAt: '2026-10-19T09:55:00.000Z',
+    startedAt: '2026-10-19T09:00:00.000Z',
+  });
+
+  assert.deepStrictEqual(cues(db), {
+    [`focus_${session.id}_1`]: ['focus_break', 25],
+    [`focus_${session.id}_2`]: ['focus_work', 30],
+    [`focus_${session.id}_3`]: ['focus_complete', 55],
+  });
+  const breakCue = db.dump('scheduled_notifications')[`focus_${session.id}_1`];
+  assert.strictEqual(breakCue.precise, true);
+  assert.strictEqual(breakCue.sessionId, session.id);
+  assert.strictEqual(breakCue.channelId, 'focus_sessions');
+  assert.deepStrictEqual(renderNotification(breakCue), { title: 'Break time! ☕', body: 'Nice focus on Biology. Take a short break.', locale: 'en' });
+  assert.strictEqual(armed.length, 3);
+  assert.strictEqual(Object.keys(db.dump('notification_events')).length, 3);
+
+  // One session at a time
+  const second = await focusSessions.startSession('u1', settings);
+  assert.strictEqual(second.created, false);
+  assert.strictEqual(second.session.id, session.id);
+  assert.deepStrictEqual(await focusSessions.getActiveSession('u1'), session);
+  assert.strictEqual(await focusSessions.getActiveSession('u2'), null);
+});
+
+test('pausing takes the pushes back and resuming moves them later by the pause', async () => {
+  const { clock, db, armed, focusSessions } = setup();
+  const { session } = await focusSessions.startSession('u1', settings);
+
+  clock.advance(10 * MINUTE_MS);
+  const paused = await focusSessions.pauseSession('u1', session.id);
+  assert.strictEqual(paused.status, 'paused');
+  assert.strictEqual(paused.phaseRemainingSeconds, 15 * 60);
+  assert.strictEqual(paused.endsAt, null);
+  assert.deepStrictEqual(cues(db), {});
+  assert.strictEqual(await focusSessions.pauseSession('u1', session.id), 'paused');
+
+  clock.advance(7 * MINUTE_MS);
+  armed.length = 0;
+  const resumed = await focusSessions.resumeSession('u1', session.id);
+  assert.strictEqual(resumed.status, 'running');
+  assert.strictEqual(resumed.phaseEndsAt, '2026-10-19T09:32:00.000Z');
+  assert.strictEqual(resumed.endsAt, '2026-10-19T10:02:00.000Z');
+  assert.deepStrictEqual(cues(db), {
+    [`focus_${session.id}_1`]: ['focus_break', 32],
+    [`focus_${session.id}_2`]: ['focus_work', 37],
+    [`focus_${session.id}_3`]: ['focus_complete', 62],
+  });
+  assert.deepStrictEqual(armed[0], { id: `focus_${session.id}_1`, dueAtMs: NOW + 32 * MINUTE_MS });
+});
+
+test('stopping cancels the pushes not sent yet', async () => {
+  const { clock, db, focusSessions } = setup();
+  const { session } = await focusSessions.startSession('u1', settings);
+
+  // The break push went out
+  clock.advance(26 * MINUTE_MS);
+  db.seed(`scheduled_notifications/focus_${session.id}_1`, {
+    ...db.dump('scheduled_notifications')[`focus_${session.id}_1`],
+    status: 'sent',
+    sent: true,
+  });
+
+  const stopped = await focusSessions.stopSession('u1', session.id);
+  assert.strictEqual(stopped.status, 'stopped');
+  assert.strictEqual(stopped.phase, null);
+  assert.deepStrictEqual(Object.keys(cues(db)), [`focus_${session.id}_1`]);
+  assert.strictEqual(await focusSessions.resumeSession('u1', session.id), 'stopped');
+  assert.strictEqual(await focusSessions.stopSession('u2', session.id), 'missing');
+  assert.strictEqual(await focusSessions.getActiveSession('u1'), null);
+});
+
+test('a session that has run its course does not block the next one', async () => {
+  const { clock, db, focusSessions } = setup();
+  const { session } = await focusSessions.startSession('u1', settings);
+
+  clock.advance(60 * MINUTE_MS);
+  assert.strictEqual(await focusSessions.getActiveSession('u1'), null);
+  assert.strictEqual(await focusSessions.pauseSession('u1', session.id), 'completed');
+
+  const next = await focusSessions.startSession('u1', { ...settings, cycles: 1 });
+  assert.strictEqual(next.created, true);
+  assert.strictEqual(db.dump('notification_preferences/u1/focus_sessions')[session.id].status, 'completed');
+});
@@ -0,0 +1,371 @@
+// In-memory stand-in for the parts of the Firestore Admin API the server uses:
+// collections, collection groups, simple queries, batches with preconditions,
+// transactions, one-shot snapshot listeners, and the serverTimestamp()/delete()
+// field values.
+// Not a full emulator: every query runs as a scan, no indexes are needed.
+
+const admin = require('firebase-admin');
+
+const { Timestamp, FieldValue } = admin.firestore;
+
+function firestoreError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, cloneValue(v)]));
+  }
+  return value;
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = comparable(data[field]);
+  if (actual === undefined) return false;
+
+  switch (op) {
+    case '==': return actual === comparable(value);
+    case '<': return actual < comparable(value);
+    case '<=': return actual <= comparable(value);
+    case '>': return actual > comparable(value);
+    case '>=': return actual >= comparable(value);
+    case 'in': return value.map(comparable).includes(actual);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, stored) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = !!stored;
+    this.updateTime = stored ? stored.updateTime : undefined;
+    this._data = stored ? stored.data : undefined;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : cloneValue(this._data);
+  }
+
+  get(field) {
+    return this._data === undefined ? undefined : this._data[field];
+  }
+}
+
+class Query {
+  constructor(db, { collectionPath = null, group = null, filters = [], order = null, limitCount = null, after = null }) {
+    Object.assign(this, { db, collectionPath, group, filters, order, limitCount, after });
+  }
+
+  _with(changes) {
+    return new Query(this.db, { ...this, ...changes });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ order: { field, direction } });
+  }
+
+  limit(limitCount) {
+    return this._with({ limitCount });
+  }
+
+  startAfter(snapshot) {
+    return this._with({ after: snapshot });
+  }
+
+  async get() {
+    let entries = [...this.db.store.entries()].filter(([path]) => {
+      const segments = path.split('/');
+      const parentPath = segments.slice(0, -1).join('/');
+      return this.group ? segments[segments.length - 2] === this.group : parentPath === this.collectionPath;
+    });
+
+    entries = entries.filter(([, stored]) => this.filters.every(filter => matchesFilter(stored.data, filter)));
+
+    if (this.order) {
+      const { field, direction } = this.order;
+      const sign = direction === 'desc' ? -1 : 1;
+      entries.sort(([pathA, a], [pathB, b]) => {
+        const x = comparable(a.data[field]);
+        const y = comparable(b.data[field]);
+        return x === y ? pathA.localeCompare(pathB) : (x < y ? -sign : sign);
+      });
+    }
+
+    if (this.after) {
+      const index = entries.findIndex(([path]) => path === this.after.ref.path);
+      entries = entries.slice(index + 1);
+    }
+
+    if (this.limitCount !== null) entries = entries.slice(0, this.limitCount);
+
+    const docs = entries.map(([path, stored]) => new DocumentSnapshot(this.db.doc(path), stored));
+    return { docs, size: docs.length, empty: docs.length === 0 };
+  }
+
+  // Aggregation query: count().get() resolves to a snapshot whose data() is { count }
+  count() {
+    return { get: async () => {
+      const { size } = await this.get();
+      return { data: () => ({ count: size }) };
+    } };
+  }
+
+  // Delivers one snapshot with every matching doc 'added', like a listener's
+  // first; later writes are not pushed. See failListeners and removeWatched.
+  onSnapshot(onNext, onError) {
+    const listener = { query: this, onNext, onError, active: true };
+    this.db.listeners.add(listener);
+
+    setImmediate(async () => {
+      const snapshot = await this.get();
+      if (listener.active) {
+        onNext({ ...snapshot, docChanges: () => snapshot.docs.map(doc => ({ type: 'added', doc })) });
+      }
+    });
+
+    return () => {
+      listener.active = false;
+      this.db.listeners.delete(listener);
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, { collectionPath: path });
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    const segments = this.path.split('/');
+    return segments.length > 1 ? this.db.doc(segments.slice(0, -1).join('/')) : null;
+  }
+
+  doc(id = `auto${++this.db.autoId}`) {
+    return this.db.doc(`${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.create(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(id) {
+    return new CollectionReference(this.db, `${this.path}/${id}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.db.store.get(this.path));
+  }
+
+  async create(data) {
+    await this.db.batch().create(this, data).commit();
+  }
+
+  async set(data, options) {
+    await this.db.batch().set(this, data, options).commit();
+  }
+
+  async update(data, precondition) {
+    await this.db.batch().update(this, data, precondition).commit();
+  }
+
+  async delete(precondition) {
+    await this.db.batch().delete(this, precondition).commit();
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this.db = db;
+    this.ops = [];
+  }
+
+  create(ref, data) {
+    this.ops.push({ kind: 'create', ref, data });
+    return this;
+  }
+
+  set(ref, data, options = {}) {
+    this.ops.push({ kind: 'set', ref, data, merge: !!options.merge });
+    return this;
+  }
+
+  update(ref, data, precondition) {
+    this.ops.push({ kind: 'update', ref, data, precondition });
+    return this;
+  }
+
+  delete(ref, precondition) {
+    this.ops.push({ kind: 'delete', ref, precondition });
+    return this;
+  }
+
+  async commit() {
+    this.db.applyWrites(this.ops);
+  }
+}
+
+class FakeFirestore {
+  constructor(clock) {
+    this.clock = clock;
+    this.store = new Map();
+    this.autoId = 0;
+    this.writeCount = 0;
+    this.version = 0;
+    this.listeners = new Set();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new Query(this, { group: id });
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async runTransaction(fn) {
+    const batch = this.batch();
+    const transaction = {
+      get: ref => ref.get(),
+      create: (ref, data) => batch.create(ref, data),
+      set: (ref, data, options) => batch.set(ref, data, options),
+      update: (ref, data, precondition) => batch.update(ref, data, precondition),
+      delete: (ref, precondition) => batch.delete(ref, precondition),
+    };
+
+    const result = await fn(transaction);
+    await batch.commit();
+    return result;
+  }
+
+  // End every open listener with an error, as Firestore does when one breaks
+  failListeners(error) {
+    for (const listener of [...this.listeners]) {
+      listener.active = false;
+      this.listeners.delete(listener);
+      listener.onError(error);
+    }
+  }
+
+  // Delete a doc and deliver its 'removed' change to the open listeners whose
+  // query matched it, as Firestore does when a watched doc is deleted
+  async removeWatched(path) {
+    const removed = new DocumentSnapshot(this.doc(path), this.store.get(path));
+    const watching = [];
+    for (const listener of this.listeners) {
+      const { docs } = await listener.query.get();
+      if (docs.some(doc => doc.ref.path === path)) watching.push(listener);
+    }
+
+    this.store.delete(path);
+    for (const listener of watching) {
+      listener.onNext({ docs: [], size: 0, empty: true, docChanges: () => [{ type: 'removed', doc: removed }] });
+    }
+  }
+
+  // Seed or inspect docs directly, without field-value handling
+  seed(path, data) {
+    this.store.set(path, { data: cloneValue(data), updateTime: this._nextUpdateTime() });
+  }
+
+  dump(collectionPath) {
+    const result = {};
+    for (const [path, stored] of this.store) {
+      if (path.split('/').slice(0, -1).join('/') === collectionPath) {
+        result[path.split('/').pop()] = cloneValue(stored.data);
+      }
+    }
+    return result;
+  }
+
+  // All-or-nothing, like a Firestore batch commit
+  applyWrites(ops) {
+    const staged = new Map(this.store);
+
+    for (const op of ops) {
+      const current = staged.get(op.ref.path);
+
+      if (op.precondition && op.precondition.lastUpdateTime &&
+          (!current || !current.updateTime.isEqual(op.precondition.lastUpdateTime))) {
+        throw firestoreError(9, `Precondition failed for ${op.ref.path}`);
+      }
+
+      if (op.kind === 'delete') {
+        staged.delete(op.ref.path);
+        continue;
+      }
+
+      if (op.kind === 'create' && current) throw firestoreError(6, `Document already exists: ${op.ref.path}`);
+      if (op.kind === 'update' && !current) throw firestoreError(5, `No document to update: ${op.ref.path}`);
+
+      const base = op.kind === 'update' || (op.kind === 'set' && op.merge) ? cloneValue(current ? current.data : {}) : {};
+      staged.set(op.ref.path, { data: this._applyFields(base, op.data), updateTime: this._nextUpdateTime() });
+    }
+
+    this.store = staged;
+    this.writeCount += ops.length;
+  }
+
+  _applyFields(base, data) {
+    for (const [field, value] of Object.entries(data)) {
+      if (value instanceof FieldValue) {
+        if (value.isEqual(FieldValue.delete())) delete base[field];
+        else if (value.isEqual(FieldValue.serverTimestamp())) base[field] = Timestamp.fromMillis(this.clock.now());
+        else throw new Error(`Unsupported field value for ${field}`);
+      } else {
+        base[field] = cloneValue(value);
+      }
+    }
+    return base;
+  }
+
+  _nextUpdateTime() {
+    this.version++;
+    return new Timestamp(Math.floor(this.clock.now() / 1000), this.version);
+  }
+}
+
+// A clock tests can set and move
+function createFakeClock(startMs) {
+  let nowMs = startMs;
+  return {
+    now: () => nowMs,
+    set: (ms) => { nowMs = ms; },
+    advance: (ms) => { nowMs += ms; },
+  };
+}
+
+module.exports = { FakeFirestore, createFakeClock };
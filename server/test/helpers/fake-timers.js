@@ -0,0 +1,22 @@
+// Timers that only fire when the test says so, for the modules that take
+// timers ({ setTimeout, clearTimeout })
+
+function createFakeTimers() {
+  const pending = new Map();
+  let nextId = 0;
+  return {
+    pending,
+    setTimeout: (fn, delayMs) => {
+      pending.set(++nextId, { fn, delayMs });
+      return nextId;
+    },
+    clearTimeout: id => pending.delete(id),
+    fireAll: () => {
+      const due = [...pending.values()];
+      pending.clear();
+      due.forEach(timer => timer.fn());
+    },
+  };
+}
+
+module.exports = { createFakeTimers };
@@ -0,0 +1,3 @@
+// Preloaded by `npm test` (see package.json) so the modules' logs do not bury
+// the test results. Set LOG_LEVEL to see them.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
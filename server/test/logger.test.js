@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, withLogContext, hashUserId } = require('../logger');
+
+const NOW = Date.UTC(2026, 9, 19, 9);
+
+// A logger that keeps its entries, parsed
+function createTestLogger(options = {}) {
+  const entries = [];
+  const logger = createLogger({ level: 'info', write: line => entries.push(JSON.parse(line)), now: () => NOW, ...options });
+  return { logger, entries };
+}
+
+test('entries are JSON lines with a level, and lower levels are dropped', () => {
+  const { logger, entries } = createTestLogger({ level: 'warn' });
+  logger.info('📤 Dispatch complete', { sent: 1 });
+  logger.warn('⚠️ Error sending notification', { error: { code: 'messaging/server-unavailable', message: 'Unavailable' } });
+  logger.error('❌ Error dispatching notifications', { error: new Error('Deadline exceeded') });
+
+  assert.strictEqual(entries.length, 2);
+  assert.deepStrictEqual(entries[0], {
+    time: '2026-10-19T09:00:00.000Z',
+    level: 'warn',
+    msg: '⚠️ Error sending notification',
+    error: { message: 'Unavailable', code: 'messaging/server-unavailable' },
+  });
+  assert.strictEqual(entries[1].error.message, 'Deadline exceeded');
+  assert.match(entries[1].error.stack, /logger\.test\.js/);
+
+  const silent = createTestLogger({ level: 'silent' });
+  silent.logger.error('❌ Error dispatching notifications', { error: new Error('Deadline exceeded') });
+  assert.strictEqual(silent.entries.length, 0);
+});
+
+test('the log context is attached to every entry, across awaits', async () => {
+  const { logger, entries } = createTestLogger({ redact: false });
+
+  await withLogContext({ requestId: 'req-1' }, async () => {
+    await withLogContext({ userId: 'u1' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.info('✅ Reminders rescheduled', { scheduled: ['study'] });
+    });
+    logger.info('🌐 Request handled');
+  });
+  logger.info('👋 Shutdown complete');
+
+  assert.deepStrictEqual(entries.map(({ requestId, userId }) => ({ requestId, userId })), [
+    { requestId: 'req-1', userId: 'u1' },
+    { requestId: 'req-1', userId: undefined },
+    { requestId: undefined, userId: undefined },
+  ]);
+});
+
+test('user IDs are hashed wherever they appear and tokens are masked', () => {
+  const { logger, entries } = createTestLogger();
+  const userId = 'Xq7uT0kPzA9fR2mWb4Lc8NnYe1s3';
+
+  logger.info('🧽 Removed dead device tokens', {
+    userId,
+    notificationId: `streak_${userId}_2026-10-20`,
+    tokens: ['dGhpcyBpcyBhIHRva2Vu:APA91bH-abcdef'],
+  });
+
+  const [entry] = entries;
+  assert.strictEqual(entry.userId, hashUserId(userId));
+  assert.match(entry.userId, /^u_[0-9a-f]{12}$/);
+  assert.strictEqual(entry.notificationId, `streak_${hashUserId(userId)}_2026-10-20`);
+  assert.deepStrictEqual(entry.tokens, ['…abcdef']);
+  assert.ok(!JSON.stringify(entry).includes(userId));
+});
+
+test('debug entries are off by default and sampled per user', () => {
+  const off = createTestLogger();
+  off.logger.debug('📅 Reminders scheduled');
+  assert.strictEqual(off.entries.length, 0);
+
+  const { logger, entries } = createTestLogger({ level: 'debug', debugSampleRate: 0.5, redact: false });
+  const userIds = Array.from({ length: 200 }, (_, index) => `user-${index}`);
+  for (const userId of userIds) {
+    logger.debug('📅 Reminders scheduled', { userId });
+    logger.debug('📤 Delivery attempt', { userId });
+  }
+
+  // A user is either fully in the sample or not in it
+  const counts = new Map();
+  entries.forEach(entry => counts.set(entry.userId, (counts.get(entry.userId) || 0) + 1));
+  assert.ok([...counts.values()].every(count => count === 2));
+  assert.ok(counts.size > 60 && counts.size < 140, `${counts.size} of 200 users sampled`);
+});
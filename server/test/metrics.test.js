@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../metrics');
+
+test('counters and gauges are rendered per label set', () => {
+  const metrics = createMetrics();
+  metrics.notificationsSent.inc({ type: 'study_reminder' });
+  metrics.notificationsSent.inc({ type: 'study_reminder' });
+  metrics.notificationsSent.inc({ type: 'break_reminder' });
+  metrics.notificationsFailed.inc({ type: 'study_reminder', reason: 'say "no"\\\n' });
+  metrics.backlogSize.set({}, 3);
+  metrics.backlogSize.set({}, 7);
+
+  const lines = metrics.render().split('\n');
+  assert.ok(lines.includes('# HELP studywell_notifications_sent_total Notifications delivered to at least one device'));
+  assert.ok(lines.includes('# TYPE studywell_notifications_sent_total counter'));
+  assert.ok(lines.includes('studywell_notifications_sent_total{type="study_reminder"} 2'));
+  assert.ok(lines.includes('studywell_notifications_sent_total{type="break_reminder"} 1'));
+  assert.ok(lines.includes('studywell_notifications_failed_total{type="study_reminder",reason="say \\"no\\"\\\\\\n"} 1'));
+  assert.ok(lines.includes('# TYPE studywell_notification_backlog gauge'));
+  assert.ok(lines.includes('studywell_notification_backlog 7'));
+});
+
+test('histograms count each observation in every bucket it fits', () => {
+  const metrics = createMetrics();
+  metrics.sendLatency.observe({ type: 'study_reminder' }, 3);
+  metrics.sendLatency.observe({ type: 'study_reminder' }, 45);
+  metrics.sendLatency.observe({ type: 'study_reminder' }, 5000);
+
+  const lines = metrics.render().split('\n').filter(line => line.startsWith('studywell_notification_send_latency_seconds'));
+  assert.deepStrictEqual(lines, [
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="1"} 0',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="5"} 1',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="15"} 1',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="30"} 1',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="60"} 2',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="120"} 2',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="300"} 2',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="900"} 2',
+    'studywell_notification_send_latency_seconds_bucket{type="study_reminder",le="+Inf"} 3',
+    'studywell_notification_send_latency_seconds_sum{type="study_reminder"} 5048',
+    'studywell_notification_send_latency_seconds_count{type="study_reminder"} 3',
+  ]);
+});
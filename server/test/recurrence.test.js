@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRRule, parseCronExpression, expandRecurrence } = require('../recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function format(occurrence) {
+  return `${occurrence.localDate} ${String(occurrence.hour).padStart(2, '0')}:${String(occurrence.minute).padStart(2, '0')}`;
+}
+
+function expandRule(text, timeZone, fromMs, toMs, times = [[9, 0]]) {
+  const { spec, error } = parseRRule(text);
+  assert.strictEqual(error, undefined);
+  return expandRecurrence({ kind: 'rrule', source: text, spec, times }, timeZone, fromMs, toMs);
+}
+
+function expandCronExpression(text, timeZone, fromMs, toMs) {
+  const { spec, error } = parseCronExpression(text);
+  assert.strictEqual(error, undefined);
+  return expandRecurrence({ kind: 'cron', source: text, spec, times: [] }, timeZone, fromMs, toMs);
+}
+
+test('a weekly rule rolls over from Sunday into the next week', () => {
+  // Sunday 2026-10-18 12:00 in Manila; this Sunday's 09:00 has passed
+  const from = Date.UTC(2026, 9, 18, 4, 0);
+  const occurrences = expandRule('FREQ=WEEKLY;BYDAY=MO,SU', 'Asia/Manila', from, from + 9 * DAY_MS);
+
+  assert.deepStrictEqual(occurrences.map(format), ['2026-10-19 09:00', '2026-10-25 09:00', '2026-10-26 09:00']);
+  assert.deepStrictEqual(occurrences.map(o => o.dayOfWeek), [1, 7, 1]);
+});
+
+test('weeks roll over the end of the year', () => {
+  const from = Date.UTC(2026, 11, 28);
+  const occurrences = expandRule('FREQ=WEEKLY;BYDAY=TH', 'Asia/Manila', from, from + 14 * DAY_MS);
+
+  assert.deepStrictEqual(occurrences.map(format), ['2026-12-31 09:00', '2027-01-07 09:00']);
+});
+
+test('INTERVAL counts from DTSTART', () => {
+  const from = Date.UTC(2026, 9, 19);
+  const occurrences = expandRule('DTSTART:20261020T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU', 'Asia/Manila', from, from + 35 * DAY_MS);
+
+  assert.deepStrictEqual(occurrences.map(format), ['2026-10-20 09:00', '2026-11-03 09:00', '2026-11-17 09:00']);
+});
+
+test('INTERVAL without DTSTART picks the same weeks whatever the window', () => {
+  const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=WE';
+  const from = Date.UTC(2026, 9, 19);
+  const early = expandRule(rule, 'Asia/Manila', from, from + 42 * DAY_MS).map(format);
+  const late = expandRule(rule, 'Asia/Manila', from + 7 * DAY_MS, from + 42 * DAY_MS).map(format);
+
+  assert.deepStrictEqual(late, early.filter(occurrence => occurrence >= '2026-10-26'));
+});
+
+test('monthly rules pick ordinal weekdays', () => {
+  const from = Date.UTC(2026, 9, 19);
+
+  assert.deepStrictEqual(expandRule('FREQ=MONTHLY;BYDAY=1MO', 'Asia/Manila', from, from + 60 * DAY_MS).map(format),
+    ['2026-11-02 09:00', '2026-12-07 09:00']);
+  assert.deepStrictEqual(expandRule('FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=17', 'Asia/Manila', from, from + 60 * DAY_MS).map(format),
+    ['2026-10-30 17:00', '2026-11-27 17:00']);
+});
+
+test('COUNT includes occurrences before the window, UNTIL includes its whole day', () => {
+  const from = Date.UTC(2026, 9, 19);
+
+  assert.deepStrictEqual(expandRule('DTSTART:20261015T080000\nRRULE:FREQ=DAILY;COUNT=7', 'Asia/Manila', from, from + 30 * DAY_MS).map(format),
+    ['2026-10-19 08:00', '2026-10-20 08:00', '2026-10-21 08:00']);
+  assert.deepStrictEqual(expandRule('FREQ=DAILY;UNTIL=20261021', 'Asia/Manila', from, from + 30 * DAY_MS).map(format),
+    ['2026-10-19 09:00', '2026-10-20 09:00', '2026-10-21 09:00']);
+});
+
+test('several times a day come out in order', () => {
+  const from = Date.UTC(2026, 9, 18, 16, 0);
+  const occurrences = expandRule('FREQ=DAILY', 'Asia/Manila', from, from + DAY_MS, [[8, 0], [20, 30]]);
+
+  assert.deepStrictEqual(occurrences.map(format), ['2026-10-19 08:00', '2026-10-19 20:30']);
+});
+
+test('local times stay fixed across a DST change', () => {
+  const from = Date.UTC(2026, 2, 1);
+  const occurrences = expandRule('FREQ=WEEKLY;BYDAY=SU;BYHOUR=2;BYMINUTE=30', 'America/New_York', from, from + 20 * DAY_MS);
+
+  // The 2026-03-08 occurrence falls in the spring-forward gap and moves to 03:30 EDT
+  assert.deepStrictEqual(occurrences.map(o => o.date.toISOString()),
+    ['2026-03-01T07:30:00.000Z', '2026-03-08T07:30:00.000Z', '2026-03-15T06:30:00.000Z']);
+});
+
+test('cron expressions expand in the user time zone', () => {
+  // Monday 2026-10-19 00:00 in Manila
+  const from = Date.UTC(2026, 9, 18, 16, 0);
+  const occurrences = expandCronExpression('0 8,20 * * 1-5', 'Asia/Manila', from, from + 7 * DAY_MS);
+
+  assert.strictEqual(occurrences.length, 10);
+  assert.strictEqual(occurrences[0].date.toISOString(), '2026-10-19T00:00:00.000Z');
+  assert.ok(occurrences.every(o => o.dayOfWeek <= 5));
+});
+
+test('cron day-of-month and day-of-week match either when both are set', () => {
+  const from = Date.UTC(2026, 9, 19);
+  const days = expandCronExpression('30 9 1 * 0', 'UTC', from, from + 14 * DAY_MS).map(o => o.localDate);
+
+  // Sundays, plus the 1st of the month (also a Sunday here)
+  assert.deepStrictEqual(days, ['2026-10-25', '2026-11-01']);
+  assert.deepStrictEqual(expandCronExpression('0 9 1 * 3', 'UTC', from, from + 14 * DAY_MS).map(o => o.localDate),
+    ['2026-10-21', '2026-10-28', '2026-11-01']);
+});
+
+test('invalid rules are rejected with a reason', () => {
+  assert.match(parseRRule('FREQ=YEARLY').error, /FREQ/);
+  assert.match(parseRRule('FREQ=WEEKLY;BYDAY=1MO').error, /MONTHLY/);
+  assert.match(parseRRule('DTSTART:20261015\nRRULE:FREQ=DAILY;COUNT=3;UNTIL=20261231').error, /COUNT and UNTIL/);
+  assert.match(parseRRule('FREQ=WEEKLY;BYDAY=TU;COUNT=5').error, /COUNT needs a DTSTART/);
+  assert.match(parseRRule('FREQ=DAILY;BYSETPOS=1').error, /not supported/);
+  assert.match(parseCronExpression('*/5 * * * *').error, /at most 24/);
+  assert.match(parseCronExpression('0 25 * * *').error, /hour/);
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { REMINDER_TYPES } = require('../config');
+const { validatePreferences } = require('../validation');
+const { createDeviceRegistry } = require('../devices');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createFocusSessions } = require('../focus-sessions');
+const { createDeadlines } = require('../deadlines');
+const { createScheduler, planReminderOccurrences, getReminderSchedule } = require('../scheduler');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sunday 2026-10-18 23:30 in Manila
+const SUNDAY_NIGHT = Date.UTC(2026, 9, 18, 15, 30);
+
+function setup(nowMs = SUNDAY_NIGHT) {
+  const clock = createFakeClock(nowMs);
+  const db = new FakeFirestore(clock);
+  const devices = createDeviceRegistry({ db, clock });
+  const scheduler = createScheduler({ db, clock, devices, analytics: createAnalytics({ db, clock, metrics: createMetrics() }) });
+  return { clock, db, devices, scheduler };
+}
+
+function plan(preferences, nowMs, days = 14) {
+  const validation = validatePreferences(preferences);
+  assert.strictEqual(validation.valid, true);
+  return planReminderOccurrences('u1', getReminderSchedule(validation, validation.reminders.study),
+    REMINDER_TYPES.study, new Date(nowMs), new Date(nowMs + days * DAY_MS));
+}
+
+function pending(db) {
+  return Object.entries(db.dump('scheduled_notifications')).filter(([, data]) => data.status === 'pending');
+}
+
+test('occurrences are keyed by local date and time', () => {
+  const { notifications } = plan({ studyRemindersEnabled: true, timezone: 'Asia/Manila' }, SUNDAY_NIGHT, 3);
+  const ids = [...notifications.keys()];
+
+  assert.deepStrictEqual(ids, ['study_u1_2026-10-19_0900', 'study_u1_2026-10-20_0900', 'study_u1_2026-10-21_0900']);
+  const first = notifications.get(ids[0]);
+  assert.strictEqual(first.scheduledForUTC.toDate().toISOString(), '2026-10-19T01:00:00.000Z');
+  assert.strictEqual(first.scheduledFor, '09:00');
+  assert.strictEqual(first.dayOfWeek, 1);
+  assert.strictEqual(first.timezoneOffset, 8);
+});
+
+test('a Sunday reminder that has passed rolls over to next week', () => {
+  const { notifications } = plan({
+    studyRemindersEnabled: true,
+    timezone: 'Asia/Manila',
+    studyReminderFrequency: 'custom',
+    studyReminderDays: [7],
+    studyReminderHour: 23,
+    studyReminderMinute: 0,
+  }, SUNDAY_NIGHT, 8);
+
+  assert.deepStrictEqual([...notifications.keys()], ['study_u1_2026-10-25_2300']);
+});
+
+test('quiet hours skip or defer occurrences', () => {
+  const preferences = {
+    studyRemindersEnabled: true,
+    timezone: 'Asia/Manila',
+    studyReminderHour: 6,
+    studyReminderMinute: 30,
+    quietHours: [{ start: '22:00', end: '07:00' }],
+  };
+
+  const skipped = plan(preferences, SUNDAY_NIGHT, 2);
+  assert.strictEqual(skipped.notifications.size, 0);
+  assert.strictEqual(skipped.quietSkippedCount, 2);
+
+  const deferred = plan({ ...preferences, quietHoursMode: 'defer' }, SUNDAY_NIGHT, 2);
+  const first = deferred.notifications.get('study_u1_2026-10-19_0630');
+  assert.strictEqual(deferred.deferredCount, 2);
+  assert.strictEqual(first.scheduledFor, '07:00');
+  assert.strictEqual(first.scheduledForUTC.toDate().toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.strictEqual(first.deferredFrom.toDate().toISOString(), '2026-10-18T22:30:00.000Z');
+});
+
+test('rescheduling writes only what changed', async () => {
+  const { db, scheduler } = setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  assert.strictEqual(pending(db).length, 14);
+
+  const writes = db.writeCount;
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  assert.strictEqual(db.writeCount, writes);
+
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, customMessage: 'Read chapter 4' });
+  const rescheduled = pending(db);
+  assert.strictEqual(rescheduled.length, 14);
+  assert.strictEqual(db.writeCount, writes + 14);
+  assert.ok(rescheduled.every(([, data]) => data.message === 'Read chapter 4'));
+});
+
+test('a changed time replaces future occurrences but keeps cancelled ones', async () => {
+  const { db, scheduler } = setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  await db.doc('scheduled_notifications/study_u1_2026-10-20_0900').update({ status: 'cancelled' });
+
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, studyReminderHour: 18 });
+  const ids = Object.keys(db.dump('scheduled_notifications'));
+
+  assert.ok(ids.includes('study_u1_2026-10-20_0900'));
+  assert.strictEqual(ids.filter(id => id.endsWith('_0900')).length, 1);
+  assert.strictEqual(ids.filter(id => id.endsWith('_1800')).length, 14);
+});
+
+test('a notification being retried is left to the dispatcher', async () => {
+  const { clock, db, scheduler } = setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  await db.doc('scheduled_notifications/study_u1_2026-10-19_0900').update({ attempts: 1 });
+  clock.set(Date.UTC(2026, 9, 19, 0, 59));
+
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, studyReminderHour: 18 });
+  const ids = pending(db).map(([id]) => id);
+  assert.deepStrictEqual(ids.filter(id => id.endsWith('_0900')), ['study_u1_2026-10-19_0900']);
+});
+
+test('notifications of users whose preferences were deleted are cancelled', async () => {
+  const { db, scheduler } = setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+  db.seed('notification_preferences/u1', preferences);
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  await scheduler.rescheduleAllReminderTypes('u2', { ...preferences, fcmToken: 'token-2' });
+  db.seed('scheduled_notifications/study_u2_2026-10-18_0900', { userId: 'u2', type: 'study_reminder', status: 'sent', sent: true });
+  // A notification type the preferences doc does not own
+  db.seed('scheduled_notifications/other_u3', { userId: 'u3', type: 'other', status: 'pending', sent: false });
+
+  // u2's preferences doc was never there (or deleted while the watcher was down)
+  assert.deepStrictEqual(await scheduler.cancelOrphanedNotifications(), ['u2']);
+  const ids = Object.keys(db.dump('scheduled_notifications'));
+  assert.deepStrictEqual(ids.filter(id => id.includes('_u2_')), ['study_u2_2026-10-18_0900']);
+  assert.strictEqual(ids.filter(id => id.includes('_u1_')).length, 14);
+  assert.ok(ids.includes('other_u3'));
+});
+
+test('nothing is scheduled without a device', async () => {
+  const { db, scheduler } = setup();
+
+  const scheduled = await scheduler.rescheduleAllReminderTypes('u1', { studyRemindersEnabled: true });
+  assert.deepStrictEqual(scheduled, []);
+  assert.strictEqual(pending(db).length, 0);
+});
+
+test('invalid preferences cancel everything and record the errors', async () => {
+  const { db, scheduler } = setup();
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+  db.seed('notification_preferences/u1', preferences);
+
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, studyReminderHour: 30 });
+
+  assert.strictEqual(pending(db).length, 0);
+  const stored = db.dump('notification_preferences').u1;
+  assert.deepStrictEqual(stored.validationErrors.map(error => error.field), ['studyReminderHour']);
+});
+
+test('focus-session cues and deadline reminders outlive invalid and deleted preferences', async () => {
+  const { clock, db, scheduler } = setup();
+  const analytics = createAnalytics({ db, clock, metrics: createMetrics() });
+  const focusSessions = createFocusSessions({ db, clock, analytics, dispatcher: { schedulePreciseSend: () => {} } });
+  const deadlines = createDeadlines({ db, clock, analytics });
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' };
+  db.seed('notification_preferences/u1', preferences);
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+  // u2 has no preferences doc
+  await focusSessions.startSession('u1', { workMinutes: 25, breakMinutes: 5, cycles: 1 });
+  await focusSessions.startSession('u2', { workMinutes: 25, breakMinutes: 5, cycles: 1 });
+  // Two days out: reminders a day and two hours before
+  await deadlines.saveDeadline('u1', null, { kind: 'exam', title: 'Biology midterm', subject: null, dueAtMs: SUNDAY_NIGHT + 2 * DAY_MS, done: false });
+
+  await scheduler.rescheduleAllReminderTypes('u1', { ...preferences, studyReminderHour: 30 });
+  assert.deepStrictEqual(await scheduler.cancelOrphanedNotifications(), []);
+
+  const cues = pending(db).map(([, data]) => `${data.userId} ${data.type}`);
+  assert.deepStrictEqual(cues.sort(), ['u1 deadline_reminder', 'u1 deadline_reminder', 'u1 focus_complete', 'u2 focus_complete']);
+});
+
+test('named reminders are scheduled on their own', async () => {
+  const { db, devices, scheduler } = setup();
+  const preferences = { timezone: 'Asia/Manila' };
+  db.seed('notification_preferences/u1', preferences);
+  await devices.registerDeviceToken('u1', 'token-1');
+
+  const scheduled = await scheduler.rescheduleNamedReminder('u1', 'r1', {
+    label: 'Flashcards',
+    enabled: true,
+    frequency: 'custom',
+    days: [2, 4],
+    hour: 20,
+  });
+
+  assert.strictEqual(scheduled, true);
+  const notifications = pending(db);
+  assert.deepStrictEqual(notifications.map(([id]) => id).slice(0, 2), ['study_u1_r1_2026-10-20_2000', 'study_u1_r1_2026-10-22_2000']);
+  assert.ok(notifications.every(([, data]) => data.title === 'Flashcards' && data.reminderId === 'r1'));
+
+  // Disabling it cancels only its own notifications
+  await scheduler.rescheduleNamedReminder('u1', 'r2', { enabled: true, hour: 7 });
+  await scheduler.rescheduleNamedReminder('u1', 'r1', { enabled: false });
+  assert.ok(pending(db).length > 0);
+  assert.ok(pending(db).every(([, data]) => data.reminderId === 'r2'));
+});
+
+test('smart timing learns from recorded opens', async () => {
+  const { db, scheduler } = setup();
+  // Opened at 09:50 Manila time on each of the last five days
+  for (let day = 1; day <= 5; day++) {
+    const atMs = Date.UTC(2026, 9, 18 - day, 1, 50);
+    db.seed(`notification_events/n${day}_opened`, {
+      notificationId: `n${day}`, userId: 'u1', type: 'study_reminder', reminderId: null, event: 'opened',
+      at: admin.firestore.Timestamp.fromMillis(atMs),
+    });
+  }
+
+  const preferences = { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1', smartTimingEnabled: true };
+  await scheduler.rescheduleAllReminderTypes('u1', preferences);
+
+  const [, first] = pending(db)[0];
+  assert.strictEqual(first.scheduledFor, '09:45');
+  assert.match(first.smartTiming.reasons[0], /^Moved 45 minutes later/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createServices } = require('../services');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const NOW = Date.UTC(2026, 9, 19, 9);
+
+test('every service is wired, and the leader runs the watcher', async () => {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const messenger = { name: 'fake', sendEach: async (messages) => ({ responses: messages.map(() => ({ success: true })) }) };
+  const services = createServices({ db, clock, messenger });
+
+  for (const [name, service] of Object.entries(services)) {
+    assert.ok(service, `${name} is missing`);
+  }
+
+  await services.leadership.renew();
+  assert.strictEqual(services.leadership.isLeader(), true);
+  assert.strictEqual(services.watcher.getStatus().running, true);
+
+  services.watcher.stop();
+  await services.watcher.whenIdle();
+  services.dispatcher.stop();
+});
+
+test('without Firebase only metrics is set', () => {
+  const services = createServices({ db: null, clock: createFakeClock(NOW), messenger: null });
+
+  assert.ok(services.metrics);
+  assert.deepStrictEqual(Object.keys(services).filter(name => services[name]), ['metrics']);
+});
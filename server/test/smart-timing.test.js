@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { REMINDER_TYPES } = require('../config');
+const { validatePreferences } = require('../validation');
+const { planSmartTiming, getSmartTimeShift, isSmartTimingDay } = require('../smart-timing');
+const { planReminderOccurrences, getReminderSchedule } = require('../scheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Monday 2026-10-19 00:00 UTC
+const NOW = Date.UTC(2026, 9, 19);
+const SCOPE = { type: 'study_reminder', reminderId: null };
+const SETTINGS = { enabled: true, windowMinutes: 60 };
+
+// An open on each of the `count` days before NOW at hour:minute UTC
+function opensAt(hour, minute, count = 5) {
+  return Array.from({ length: count }, (_, i) => ({
+    notificationId: `n${i}`,
+    event: 'opened',
+    type: 'study_reminder',
+    reminderId: null,
+    atMs: NOW - (i + 1) * DAY_MS + (hour * 60 + minute) * 60 * 1000,
+  }));
+}
+
+// `count` sent notifications of the study reminder, one a day, newest last
+function sentDaily(count, { opened = [] } = {}) {
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const id = `s${i}`;
+    const atMs = NOW - (count - i) * DAY_MS + 9 * HOUR_MS;
+    events.push({ notificationId: id, event: 'sent', type: 'study_reminder', reminderId: null, atMs });
+    if (opened.includes(i)) events.push({ notificationId: id, event: 'opened', type: 'study_reminder', reminderId: null, atMs: atMs + 60000 });
+  }
+  return events;
+}
+
+test('a reminder moves toward where the opens are, within its window', () => {
+  const plan = planSmartTiming(SETTINGS, opensAt(9, 40), SCOPE, 'UTC', NOW);
+  const shift = getSmartTimeShift(plan, 9, 0);
+
+  assert.strictEqual(shift.shiftMinutes, 45);
+  assert.match(shift.reason, /^Moved 45 minutes later to 09:45: 5 opens/);
+
+  // Opens outside the window do not pull it
+  const far = planSmartTiming(SETTINGS, opensAt(14, 0), SCOPE, 'UTC', NOW);
+  assert.strictEqual(getSmartTimeShift(far, 9, 0).shiftMinutes, 0);
+  assert.match(getSmartTimeShift(far, 9, 0).reason, /^Kept at 09:00: at most 0 opens/);
+});
+
+test('a few opens are not enough to move a reminder', () => {
+  const plan = planSmartTiming(SETTINGS, opensAt(9, 40, 4), SCOPE, 'UTC', NOW);
+  assert.strictEqual(getSmartTimeShift(plan, 9, 0).shiftMinutes, 0);
+});
+
+test('open times are read in the user\'s time zone', () => {
+  // 01:40 UTC is 09:40 in Manila
+  const plan = planSmartTiming(SETTINGS, opensAt(1, 40), SCOPE, 'Asia/Manila', NOW);
+  assert.strictEqual(getSmartTimeShift(plan, 9, 0).shiftMinutes, 45);
+});
+
+test('ignored reminders in a row thin the reminder out', () => {
+  assert.strictEqual(planSmartTiming(SETTINGS, sentDaily(2), SCOPE, 'UTC', NOW).everyNDays, 1);
+
+  const ignored = planSmartTiming(SETTINGS, sentDaily(7, { opened: [0] }), SCOPE, 'UTC', NOW);
+  assert.strictEqual(ignored.ignoredInARow, 6);
+  assert.strictEqual(ignored.everyNDays, 3);
+  assert.strictEqual(ignored.frequencyReason, 'Sent every 3 days: the last 6 reminders were not opened');
+
+  // An open resets the count, and other reminders' sends do not count
+  assert.strictEqual(planSmartTiming(SETTINGS, sentDaily(7, { opened: [6] }), SCOPE, 'UTC', NOW).everyNDays, 1);
+  assert.strictEqual(planSmartTiming(SETTINGS, sentDaily(7), { reminderId: 'r1' }, 'UTC', NOW).everyNDays, 1);
+
+  // One sent moments ago may still be opened
+  const recent = [{ notificationId: 'x', event: 'sent', type: 'study_reminder', reminderId: null, atMs: NOW - HOUR_MS }];
+  assert.strictEqual(planSmartTiming(SETTINGS, recent, SCOPE, 'UTC', NOW).ignoredInARow, 0);
+});
+
+test('thinned days stay the same from one run to the next', () => {
+  const plan = { everyNDays: 2 };
+  const kept = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22'].filter(date => isSmartTimingDay(plan, date));
+  assert.strictEqual(kept.length, 2);
+  assert.strictEqual(isSmartTimingDay(plan, '2026-10-20'), !isSmartTimingDay(plan, '2026-10-21'));
+});
+
+test('planned occurrences explain the decision and respect quiet hours', () => {
+  const preferences = { studyRemindersEnabled: true, timezone: 'UTC', smartTimingEnabled: true, quietHours: [{ start: '09:30', end: '09:40' }] };
+  const validation = validatePreferences(preferences);
+  const reminder = getReminderSchedule(validation, validation.reminders.study);
+
+  // Opens at 09:50 pull it to 09:45 (not in quiet hours)
+  const plan = planSmartTiming(reminder.smartTiming, opensAt(9, 50), SCOPE, 'UTC', NOW);
+  const { notifications } = planReminderOccurrences('u1', reminder, REMINDER_TYPES.study, new Date(NOW), new Date(NOW + 2 * DAY_MS), plan);
+  const first = notifications.get('study_u1_2026-10-19_0900');
+  assert.strictEqual(first.scheduledFor, '09:45');
+  assert.strictEqual(first.smartTiming.setFor, '09:00');
+  assert.strictEqual(first.smartTiming.shiftMinutes, 45);
+
+  // Opens at 09:35 would pull it into the quiet hours, so it stays
+  const quietPlan = planSmartTiming(reminder.smartTiming, opensAt(9, 35), SCOPE, 'UTC', NOW);
+  const quiet = planReminderOccurrences('u1', reminder, REMINDER_TYPES.study, new Date(NOW), new Date(NOW + 2 * DAY_MS), quietPlan);
+  const kept = quiet.notifications.get('study_u1_2026-10-19_0900');
+  assert.strictEqual(kept.scheduledFor, '09:00');
+  assert.deepStrictEqual(kept.smartTiming.reasons, ['Kept at 09:00: the better time is in a quiet period']);
+});
+
+test('smart timing is opt-in', () => {
+  const validation = validatePreferences({ studyRemindersEnabled: true, smartTimingWindowMinutes: 999 });
+  assert.strictEqual(validation.valid, true);
+  assert.deepStrictEqual(validation.smartTiming, { enabled: false, windowMinutes: 60 });
+
+  const invalid = validatePreferences({ smartTimingEnabled: 'yes' });
+  assert.deepStrictEqual(invalid.errors.map(error => error.field), ['smartTimingEnabled']);
+
+  const { notifications } = planReminderOccurrences('u1', getReminderSchedule(validation, validation.reminders.study),
+    REMINDER_TYPES.study, new Date(NOW), new Date(NOW + DAY_MS));
+  assert.strictEqual([...notifications.values()][0].smartTiming, null);
+});
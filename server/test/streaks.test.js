@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDeviceRegistry } = require('../devices');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { createStreaks, advanceStreak, getCurrentStreak } = require('../streaks');
+const { getUserContext, renderNotification } = require('../templates');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Monday 2026-10-19 12:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+async function setup(preferences = { timezone: 'UTC' }) {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const devices = createDeviceRegistry({ db, clock });
+  const streaks = createStreaks({ db, clock, devices, analytics: createAnalytics({ db, clock, metrics: createMetrics() }) });
+  db.seed('notification_preferences/u1', preferences);
+  await devices.registerDeviceToken('u1', 'token-1');
+  return { clock, db, streaks };
+}
+
+function session(completedAtMs, durationMinutes = 25) {
+  return { durationMinutes, subject: null, completedAtMs };
+}
+
+function streakReminders(db) {
+  return Object.entries(db.dump('scheduled_notifications')).filter(([, data]) => data.type === 'streak_reminder');
+}
+
+test('a streak counts consecutive local days', () => {
+  const first = advanceStreak({}, '2026-10-19', 'UTC');
+  assert.strictEqual(first.currentStreak, 1);
+  assert.strictEqual(first.streakExpiresAt.toDate().toISOString(), '2026-10-21T00:00:00.000Z');
+
+  const next = advanceStreak(first, '2026-10-20', 'UTC');
+  assert.strictEqual(next.currentStreak, 2);
+  assert.strictEqual(next.longestStreak, 2);
+
+  // Another session the same day (or an earlier one) changes nothing
+  assert.strictEqual(advanceStreak(next, '2026-10-20', 'UTC'), null);
+  assert.strictEqual(advanceStreak(next, '2026-10-19', 'UTC'), null);
+
+  // A missed day starts over but keeps the longest streak
+  const restarted = advanceStreak(next, '2026-10-22', 'UTC');
+  assert.strictEqual(restarted.currentStreak, 1);
+  assert.strictEqual(restarted.longestStreak, 2);
+
+  assert.strictEqual(getCurrentStreak(next, Date.UTC(2026, 9, 21, 23, 59)), 2);
+  assert.strictEqual(getCurrentStreak(next, Date.UTC(2026, 9, 22)), 0);
+});
+
+test('sessions are dated in the user\'s time zone', async () => {
+  const { db, streaks } = await setup({ timezone: 'Asia/Manila' });
+
+  // 20:00 UTC is 04:00 the next day in Manila
+  const summary = await streaks.recordSession('u1', session(Date.UTC(2026, 9, 18, 20)));
+  assert.strictEqual(summary.lastStudyDate, '2026-10-19');
+  assert.strictEqual(summary.studiedToday, true);
+
+  const [stored] = Object.values(db.dump('notification_preferences/u1/study_sessions'));
+  assert.strictEqual(stored.localDate, '2026-10-19');
+  assert.strictEqual(stored.durationMinutes, 25);
+});
+
+test('the streak reminder waits for the evening after the last study day', async () => {
+  const { clock, db, streaks } = await setup();
+
+  await streaks.recordSession('u1', session(NOW));
+  let reminders = streakReminders(db);
+  assert.deepStrictEqual(reminders.map(([id]) => id), ['streak_u1_2026-10-20']);
+  assert.strictEqual(reminders[0][1].scheduledForUTC.toDate().toISOString(), '2026-10-20T20:00:00.000Z');
+  assert.ok(db.dump('notification_events')['streak_u1_2026-10-20_scheduled']);
+
+  // Studying the next day moves it on a day
+  clock.advance(DAY_MS);
+  await streaks.recordSession('u1', session(clock.now()));
+  reminders = streakReminders(db);
+  assert.deepStrictEqual(reminders.map(([id]) => id), ['streak_u1_2026-10-21']);
+  assert.strictEqual(db.dump('notification_preferences')['u1'].currentStreak, 2);
+
+  // A second session that day leaves it where it is
+  await streaks.recordSession('u1', session(clock.now()));
+  assert.deepStrictEqual(streakReminders(db).map(([id]) => id), ['streak_u1_2026-10-21']);
+});
+
+test('no streak reminder when it is turned off, too late or in quiet hours', async () => {
+  const off = await setup({ timezone: 'UTC', streakRemindersEnabled: false });
+  await off.streaks.recordSession('u1', session(NOW));
+  assert.deepStrictEqual(streakReminders(off.db), []);
+
+  const quiet = await setup({ timezone: 'UTC', quietHours: [{ start: '19:00', end: '22:00' }] });
+  await quiet.streaks.recordSession('u1', session(NOW));
+  assert.deepStrictEqual(streakReminders(quiet.db), []);
+
+  // Turning it back on (as the watcher does) schedules it; a later hour moves it
+  const { db, streaks } = off;
+  await streaks.scheduleStreakReminder('u1', { ...db.dump('notification_preferences').u1, streakRemindersEnabled: true, streakReminderHour: 21 });
+  const [[id, reminder]] = streakReminders(db);
+  assert.strictEqual(id, 'streak_u1_2026-10-20');
+  assert.strictEqual(reminder.scheduledFor, '21:00');
+
+  // The evening after the last study day has passed: the streak is over
+  const late = await setup();
+  await late.streaks.recordSession('u1', session(NOW - 2 * HOUR_MS));
+  late.clock.advance(DAY_MS + 9 * HOUR_MS);
+  await late.streaks.scheduleStreakReminder('u1', late.db.dump('notification_preferences').u1);
+  assert.deepStrictEqual(streakReminders(late.db), []);
+});
+
+test('streak reminders are rendered with the streak at send time', async () => {
+  const { db, streaks } = await setup({ timezone: 'UTC', displayName: 'Ana' });
+  await streaks.recordSession('u1', session(NOW - DAY_MS));
+  await streaks.recordSession('u1', session(NOW));
+  const preferences = db.dump('notification_preferences').u1;
+  const [[, reminder]] = streakReminders(db);
+
+  const rendered = renderNotification(reminder, getUserContext(preferences, reminder.scheduledForUTC.toMillis()));
+  assert.deepStrictEqual(rendered, {
+    title: "🔥 Don't lose your 2-day streak!",
+    body: 'Ana, a short study session today keeps it going.',
+    locale: 'en',
+  });
+
+  // Once the streak has lapsed there is no {streak}: the stored text is sent
+  const lapsed = renderNotification(reminder, getUserContext(preferences, NOW + 3 * DAY_MS));
+  assert.strictEqual(lapsed.title, "Don't lose your streak! 🔥");
+});
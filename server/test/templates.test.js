@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getUserContext, getLocaleChain, renderNotification, createTemplateRenderer } = require('../templates');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+
+function studyReminder(fields = {}) {
+  return {
+    userId: 'u1',
+    type: 'study_reminder',
+    title: 'Study Time! 📚',
+    message: 'Time to focus on your studies.',
+    customMessage: null,
+    subject: null,
+    label: null,
+    ...fields,
+  };
+}
+
+test('locales fall back to the language, then the default', () => {
+  assert.deepStrictEqual(getLocaleChain('es-mx'), ['es-MX', 'es', 'en']);
+  assert.deepStrictEqual(getLocaleChain('fil'), ['fil', 'en']);
+  assert.deepStrictEqual(getLocaleChain(null), ['en']);
+  assert.deepStrictEqual(getLocaleChain('not a locale!'), ['en']);
+});
+
+test('the first template whose variables are all known is used', () => {
+  const named = getUserContext({ displayName: 'Ana' });
+
+  assert.deepStrictEqual(renderNotification(studyReminder(), getUserContext({})),
+    { title: 'Study Time! 📚', body: 'Time to focus on your studies.', locale: 'en' });
+  assert.strictEqual(renderNotification(studyReminder(), named).body, 'Ana, time to focus on your studies.');
+  assert.strictEqual(renderNotification(studyReminder({ subject: 'Biology' }), named).body, 'Ana, time to study Biology.');
+});
+
+test('the user locale picks the language', () => {
+  const rendered = renderNotification(studyReminder(), getUserContext({ locale: 'es-MX', displayName: 'Ana' }));
+
+  assert.deepStrictEqual(rendered, {
+    title: '¡Hora de estudiar! 📚',
+    body: 'Ana, es hora de concentrarte en tus estudios.',
+    locale: 'es-MX',
+  });
+  assert.strictEqual(renderNotification(studyReminder(), getUserContext({ locale: 'de' })).title, 'Study Time! 📚');
+});
+
+test('stored templates override the built-in ones for their locale', () => {
+  const stored = new Map([['study_reminder', {
+    es: { title: '{streak} días seguidos 🔥', body: 'Sigue así, {name}.' },
+  }]]);
+
+  const withStreak = getUserContext({ locale: 'es', displayName: 'Ana', currentStreak: 5 });
+  assert.deepStrictEqual(renderNotification(studyReminder(), withStreak, stored),
+    { title: '5 días seguidos 🔥', body: 'Sigue así, Ana.', locale: 'es' });
+
+  // No streak yet: the built-in Spanish template
+  const withoutStreak = getUserContext({ locale: 'es', displayName: 'Ana', currentStreak: 0 });
+  assert.strictEqual(renderNotification(studyReminder(), withoutStreak, stored).title, '¡Hora de estudiar! 📚');
+});
+
+test('labels and custom messages win when their variables are known', () => {
+  const context = getUserContext({ displayName: 'Ana', nextExam: 'Chemistry final' });
+  const rendered = renderNotification(studyReminder({
+    label: 'Review for {nextExam}',
+    customMessage: 'You can do it, {name}!',
+  }), context);
+  assert.deepStrictEqual(rendered, { title: 'Review for Chemistry final', body: 'You can do it, Ana!', locale: 'en' });
+
+  const fallback = renderNotification(studyReminder({ customMessage: 'Hi {name}, {unknown}' }), context);
+  assert.strictEqual(fallback.body, 'Ana, time to focus on your studies.');
+});
+
+test('notifications scheduled before templates keep their text', () => {
+  const legacy = { userId: 'u1', type: 'study_reminder', title: 'Old title', message: 'Old body' };
+
+  assert.deepStrictEqual(renderNotification(legacy, getUserContext({ locale: 'es' })),
+    { title: 'Old title', body: 'Old body', locale: 'es' });
+});
+
+test('the renderer reads templates and preferences when sending', async () => {
+  const clock = createFakeClock(Date.UTC(2026, 9, 19));
+  const db = new FakeFirestore(clock);
+  db.seed('notification_preferences/u1', { locale: 'fil', displayName: 'Ana' });
+  db.seed('notification_templates/break_reminder', { locales: { fil: { title: 'Pahinga ☕', body: 'Tayo muna, {name}!' } } });
+
+  const rendered = await createTemplateRenderer({ db, clock }).renderNotifications([
+    studyReminder(),
+    studyReminder({ type: 'break_reminder' }),
+    studyReminder({ userId: 'u2' }),
+  ]);
+
+  assert.deepStrictEqual(rendered.map(content => content.body), [
+    'Ana, oras na para mag-focus sa pag-aaral.',
+    'Tayo muna, Ana!',
+    'Time to focus on your studies.',
+  ]);
+});
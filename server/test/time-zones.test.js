@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  isValidTimeZone,
+  getTimeZoneOffsetMinutes,
+  getLocalDateParts,
+  zonedTimeToUtc,
+} = require('../time-zones');
+
+test('fixed offsets are given in hours', () => {
+  assert.strictEqual(getTimeZoneOffsetMinutes(8, Date.UTC(2026, 0, 1)), 480);
+  assert.strictEqual(getTimeZoneOffsetMinutes(-5, Date.UTC(2026, 6, 1)), -300);
+});
+
+test('IANA zones follow daylight saving time', () => {
+  assert.strictEqual(getTimeZoneOffsetMinutes('America/New_York', Date.UTC(2026, 0, 15)), -300);
+  assert.strictEqual(getTimeZoneOffsetMinutes('America/New_York', Date.UTC(2026, 6, 15)), -240);
+  assert.strictEqual(getTimeZoneOffsetMinutes('Asia/Manila', Date.UTC(2026, 6, 15)), 480);
+});
+
+test('isValidTimeZone rejects unknown names', () => {
+  assert.strictEqual(isValidTimeZone('Europe/Berlin'), true);
+  assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('local date parts use the zone calendar, Monday=1..Sunday=7', () => {
+  // Sunday 2026-10-18 20:00 UTC
+  const instant = Date.UTC(2026, 9, 18, 20, 0);
+
+  assert.deepStrictEqual(getLocalDateParts('Asia/Manila', instant),
+    { year: 2026, month: 9, day: 19, hour: 4, minute: 0, dayOfWeek: 1 });
+  assert.deepStrictEqual(getLocalDateParts('America/New_York', instant),
+    { year: 2026, month: 9, day: 18, hour: 16, minute: 0, dayOfWeek: 7 });
+});
+
+test('zonedTimeToUtc converts wall-clock times', () => {
+  assert.strictEqual(zonedTimeToUtc('Asia/Manila', 2026, 9, 19, 9, 0).toISOString(), '2026-10-19T01:00:00.000Z');
+  assert.strictEqual(zonedTimeToUtc(-3, 2026, 9, 19, 9, 0).toISOString(), '2026-10-19T12:00:00.000Z');
+});
+
+test('a time skipped by spring-forward moves ahead by the gap', () => {
+  // 02:30 does not exist in New York on 2026-03-08; 03:30 EDT does
+  assert.strictEqual(zonedTimeToUtc('America/New_York', 2026, 2, 8, 2, 30).toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('a time repeated by fall-back resolves to its first occurrence', () => {
+  // 01:30 happens twice in New York on 2026-11-01; the first is still EDT
+  assert.strictEqual(zonedTimeToUtc('America/New_York', 2026, 10, 1, 1, 30).toISOString(), '2026-11-01T05:30:00.000Z');
+});
+
+test('day overflow rolls into the next month and year', () => {
+  assert.strictEqual(zonedTimeToUtc('Asia/Manila', 2026, 11, 32, 9, 0).toISOString(), '2027-01-01T01:00:00.000Z');
+});
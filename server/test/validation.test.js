@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validatePreferences, validateNamedReminder } = require('../validation');
+
+function fields(result) {
+  return result.errors.map(error => error.field);
+}
+
+test('missing fields get their defaults', () => {
+  const result = validatePreferences({ studyRemindersEnabled: true });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.reminders.study.hour, 9);
+  assert.strictEqual(result.reminders.study.frequency, 'daily');
+  assert.strictEqual(result.reminders.break.enabled, false);
+});
+
+test('hour 0 is midnight, not unset', () => {
+  const result = validatePreferences({ studyRemindersEnabled: true, studyReminderHour: 0, studyReminderMinute: 0 });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.reminders.study.hour, 0);
+  assert.deepStrictEqual(result.reminders.study.recurrence.times, [[0, 0]]);
+});
+
+test('custom days accept 0 for Sunday and come out sorted', () => {
+  const result = validatePreferences({
+    studyRemindersEnabled: true,
+    studyReminderFrequency: 'custom',
+    studyReminderDays: [5, 0, 1],
+  });
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.reminders.study.days, [1, 5, 7]);
+  assert.strictEqual(result.reminders.study.recurrence.source, 'FREQ=WEEKLY;BYDAY=MO,FR,SU');
+});
+
+test('out-of-range values and unknown time zones are errors', () => {
+  const result = validatePreferences({
+    studyRemindersEnabled: true,
+    studyReminderHour: 24,
+    studyReminderMinute: 7.5,
+    timezone: 'Nowhere/City',
+  });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(fields(result).sort(), ['studyReminderHour', 'studyReminderMinute', 'timezone']);
+});
+
+test('a time zone name wins over a fixed offset', () => {
+  assert.strictEqual(validatePreferences({ timezone: 'Asia/Manila', timezoneOffset: -5 }).timeZone, 'Asia/Manila');
+  assert.strictEqual(validatePreferences({ timezoneOffset: -5 }).timeZone, -5);
+});
+
+test('cron wins over a rule, which wins over frequency', () => {
+  const result = validatePreferences({
+    studyRemindersEnabled: true,
+    studyReminderFrequency: 'weekly',
+    studyReminderRule: 'FREQ=DAILY',
+    studyReminderCron: '0 8 * * 1-5',
+  });
+
+  assert.strictEqual(result.reminders.study.recurrence.kind, 'cron');
+});
+
+test('a rule with COUNT needs a DTSTART to count from', () => {
+  const result = validatePreferences({ studyRemindersEnabled: true, studyReminderRule: 'FREQ=DAILY;COUNT=10' });
+
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, [{ field: 'studyReminderRule', message: 'COUNT needs a DTSTART' }]);
+  assert.strictEqual(validatePreferences({ studyReminderRule: 'DTSTART:20261019T090000\nRRULE:FREQ=DAILY;COUNT=10' }).valid, true);
+});
+
+test('quiet hours must be valid local times', () => {
+  const result = validatePreferences({ quietHours: [{ start: '22:00', end: '25:00' }] });
+
+  assert.strictEqual(result.valid, false);
+  assert.ok(fields(result).every(field => field.startsWith('quietHours')));
+});
+
+test('do-not-disturb dates must exist', () => {
+  const result = validatePreferences({
+    doNotDisturb: [{ start: '2024-02-31', end: '2024-03-02' }, { start: '2024-04-01', end: '2024-04-31T08:00' }],
+  });
+
+  assert.deepStrictEqual(fields(result), ['doNotDisturb[0]', 'doNotDisturb[1]']);
+  assert.strictEqual(validatePreferences({ doNotDisturb: [{ start: '2024-02-29', end: '2024-03-01' }] }).valid, true);
+});
+
+test('named reminders validate kind and label', () => {
+  const valid = validateNamedReminder({ label: '  Morning review ', kind: 'break', hour: 7 });
+  assert.strictEqual(valid.valid, true);
+  assert.strictEqual(valid.reminder.label, 'Morning review');
+  assert.strictEqual(valid.config.type, 'break_reminder');
+  assert.strictEqual(valid.reminder.hour, 7);
+
+  const invalid = validateNamedReminder({ label: 'x'.repeat(61), kind: 'nap' });
+  assert.strictEqual(invalid.valid, false);
+  assert.deepStrictEqual(fields(invalid).sort(), ['kind', 'label']);
+});
+
+test('locale and display name are checked and normalized', () => {
+  const valid = validatePreferences({ locale: 'es-mx', displayName: ' Ana ' });
+  assert.strictEqual(valid.locale, 'es-MX');
+  assert.strictEqual(valid.displayName, 'Ana');
+
+  const invalid = validatePreferences({ locale: 'not a locale!', displayName: '' });
+  assert.deepStrictEqual(fields(invalid).sort(), ['displayName', 'locale']);
+});
+
+test('only a message the user wrote is a custom message', () => {
+  const result = validatePreferences({
+    studyRemindersEnabled: true,
+    customMessage: 'Read chapter 4',
+    breakReminderMessage: 'Time to take a short break.',
+  });
+
+  assert.strictEqual(result.reminders.study.customMessage, 'Read chapter 4');
+  assert.strictEqual(result.reminders.break.customMessage, null);
+  assert.strictEqual(validateNamedReminder({ subject: ' Biology ' }).reminder.subject, 'Biology');
+});
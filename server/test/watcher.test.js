@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWatcher } = require('../watcher');
+const { createDeviceRegistry } = require('../devices');
+const { createScheduler } = require('../scheduler');
+const { createFocusSessions } = require('../focus-sessions');
+const { createDeadlines } = require('../deadlines');
+const { createAnalytics } = require('../analytics');
+const { createMetrics } = require('../metrics');
+const { FakeFirestore, createFakeClock } = require('./helpers/fake-firestore');
+const { createFakeTimers } = require('./helpers/fake-timers');
+
+const NOW = Date.UTC(2026, 9, 19, 9);
+
+// The watcher runs against a scheduler that records its calls, unless a real
+// one is passed
+async function setup({ clock = createFakeClock(NOW), db = new FakeFirestore(clock), scheduler = null } = {}) {
+  const calls = [];
+  const recordingScheduler = {
+    rescheduleAllReminderTypes: async (userId) => calls.push(`preferences ${userId}`),
+    rescheduleNamedReminder: async (userId, reminderId) => calls.push(`reminder ${userId}/${reminderId}`),
+    cancelAllScheduledNotifications: async (userId) => calls.push(`cancel ${userId}`),
+    extendScheduleHorizon: async () => calls.push('reconcile'),
+    cancelOrphanedNotifications: async () => calls.push('orphans'),
+  };
+  const streaks = { scheduleStreakReminder: async () => {} };
+  const deadlines = { rescheduleDeadlineReminders: async () => {} };
+  const timers = createFakeTimers();
+  const watcher = createWatcher({ db, clock, scheduler: scheduler || recordingScheduler, streaks, deadlines, devices: createDeviceRegistry({ db, clock }), instanceId: 'test-instance', timers });
+  // Let the test runner read its own output first: Node 20 misreads a log line
+  // that reaches it in the same read as one of its messages
+  await new Promise(resolve => setTimeout(resolve, 10));
+  return { clock, db, calls, timers, watcher };
+}
+
+// Let the listeners deliver their snapshots and the watcher handle them
+async function settle(watcher) {
+  for (let i = 0; i < 3; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+    await watcher.whenIdle();
+  }
+}
+
+test('the first start handles every doc, reconciles and saves a checkpoint', async () => {
+  const { db, calls, watcher } = await setup();
+  db.seed('notification_preferences/u1', { studyRemindersEnabled: true });
+  db.seed('notification_preferences/u1/reminders/r1', { label: 'Flashcards' });
+
+  watcher.start();
+  await settle(watcher);
+
+  assert.deepStrictEqual(calls.sort(), ['orphans', 'preferences u1', 'reconcile', 'reminder u1/r1']);
+  const checkpoint = db.dump('server_state').watcher;
+  assert.ok(checkpoint.preferences && checkpoint.reminders);
+  assert.strictEqual(checkpoint.updatedBy, 'test-instance');
+  assert.strictEqual(watcher.getStatus().healthy, true);
+  watcher.stop();
+});
+
+test('a failed listener is restarted with backoff and resumes from its checkpoint', async () => {
+  const { clock, db, calls, timers, watcher } = await setup();
+  db.seed('notification_preferences/u1', { studyRemindersEnabled: true });
+  watcher.start();
+  await settle(watcher);
+  calls.length = 0;
+
+  db.failListeners(new Error('Stream removed'));
+  assert.strictEqual(watcher.getStatus().healthy, false);
+  assert.strictEqual(watcher.getStatus().lastError.message, 'Stream removed');
+  assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [1000]);
+
+  // Changed while the watcher was down
+  db.seed('notification_preferences/u2', { breakRemindersEnabled: true });
+  timers.fireAll();
+  await settle(watcher);
+
+  assert.deepStrictEqual(calls.sort(), ['orphans', 'preferences u2', 'reconcile']);
+  assert.strictEqual(watcher.getStatus().restarts, 1);
+  assert.strictEqual(watcher.getStatus().healthy, true);
+
+  // Failing again straight away waits twice as long...
+  db.failListeners(new Error('Stream removed'));
+  assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [2000]);
+  timers.fireAll();
+  await settle(watcher);
+
+  // ...but a listener that ran for a while starts over
+  clock.advance(10 * 60 * 1000);
+  db.failListeners(new Error('Stream removed'));
+  assert.deepStrictEqual([...timers.pending.values()].map(timer => timer.delayMs), [1000]);
+
+  // Stopping cancels the pending restart
+  watcher.stop();
+  assert.strictEqual(timers.pending.size, 0);
+});
+
+test('the next leader resumes from the saved checkpoint', async () => {
+  const first = await setup();
+  first.db.seed('notification_preferences/u1', { studyRemindersEnabled: true });
+  first.watcher.start();
+  await settle(first.watcher);
+  first.watcher.stop();
+
+  first.db.seed('notification_preferences/u2', { studyRemindersEnabled: true });
+  const next = await setup({ clock: first.clock, db: first.db });
+  next.watcher.start();
+  await settle(next.watcher);
+
+  assert.deepStrictEqual(next.calls.sort(), ['orphans', 'preferences u2', 'reconcile']);
+  next.watcher.stop();
+});
+
+test('deleted preferences cancel the reminders they own, not focus cues or deadline reminders', async () => {
+  const clock = createFakeClock(NOW);
+  const db = new FakeFirestore(clock);
+  const analytics = createAnalytics({ db, clock, metrics: createMetrics() });
+  const scheduler = createScheduler({ db, clock, devices: createDeviceRegistry({ db, clock }), analytics });
+  const focusSessions = createFocusSessions({ db, clock, analytics, dispatcher: { schedulePreciseSend: () => {} } });
+  const deadlines = createDeadlines({ db, clock, analytics });
+  const { watcher } = await setup({ clock, db, scheduler });
+  db.seed('notification_preferences/u1', { studyRemindersEnabled: true, timezone: 'Asia/Manila', fcmToken: 'token-1' });
+  await focusSessions.startSession('u1', { workMinutes: 25, breakMinutes: 5, cycles: 1 });
+  await deadlines.saveDeadline('u1', null, { kind: 'exam', title: 'Biology midterm', subject: null, dueAtMs: NOW + 3 * 60 * 60 * 1000, done: false });
+  watcher.start();
+  await settle(watcher);
+
+  await db.removeWatched('notification_preferences/u1');
+  await settle(watcher);
+
+  const types = Object.values(db.dump('scheduled_notifications')).map(data => data.type);
+  assert.deepStrictEqual(types.sort(), ['deadline_reminder', 'focus_complete']);
+  watcher.stop();
+});
@@ -0,0 +1,99 @@
+// Time zone helpers. A time zone is either an IANA name (e.g. "Asia/Manila")
+// or a fixed offset from UTC in hours (see normalizeTimeZone).
+
+function isValidTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function describeTimeZone(timeZone) {
+  if (typeof timeZone === 'string') return timeZone;
+  return timeZone >= 0 ? `UTC+${timeZone}` : `UTC${timeZone}`;
+}
+
+// Intl formatters are expensive to build, so keep one per zone
+const zoneFormatters = new Map();
+
+// Offset from UTC in minutes for a time zone at a given instant.
+// timeZone is either an IANA name or a fixed offset in hours.
+function getTimeZoneOffsetMinutes(timeZone, utcMs) {
+  if (typeof timeZone === 'number') return timeZone * 60;
+  
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+  
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(utcMs))) {
+    parts[type] = Number(value);
+  }
+  
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallMs - utcMs) / 60000);
+}
+
+// User's local calendar date, time and 1=Monday..7=Sunday day of week at a given instant
+function getLocalDateParts(timeZone, utcMs) {
+  const local = new Date(utcMs + getTimeZoneOffsetMinutes(timeZone, utcMs) * 60000);
+  
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    dayOfWeek: local.getUTCDay() === 0 ? 7 : local.getUTCDay(),
+  };
+}
+
+// Convert a local wall-clock time in timeZone to the matching UTC instant.
+// Month is 0-based and day may overflow (Date.UTC normalizes it).
+// DST edge cases:
+// - a skipped time (e.g. 02:30 on spring-forward day) moves forward by the gap (→ 03:30)
+// - a repeated time (e.g. 01:30 on fall-back day) resolves to its first occurrence
+function zonedTimeToUtc(timeZone, year, month, day, hour, minute) {
+  const wallMs = Date.UTC(year, month, day, hour, minute, 0, 0);
+  const oneDay = 24 * 60 * 60 * 1000;
+  
+  // At most one transition happens within a day either side, so the offset
+  // before and after are the only two candidates
+  const offsets = [
+    getTimeZoneOffsetMinutes(timeZone, wallMs - oneDay),
+    getTimeZoneOffsetMinutes(timeZone, wallMs + oneDay),
+  ];
+  
+  const candidates = offsets
+    .map(offset => wallMs - offset * 60000)
+    .filter((utcMs, i) => getTimeZoneOffsetMinutes(timeZone, utcMs) === offsets[i]);
+  
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+  
+  // Wall time falls in a DST gap: applying the pre-transition offset
+  // lands the same distance past the jump
+  return new Date(wallMs - offsets[0] * 60000);
+}
+
+module.exports = {
+  isValidTimeZone,
+  describeTimeZone,
+  getTimeZoneOffsetMinutes,
+  getLocalDateParts,
+  zonedTimeToUtc,
+};
@@ -0,0 +1,584 @@
+const {
+  REMINDER_TYPES,
+  REMINDER_FREQUENCIES,
+  MAX_MESSAGE_LENGTH,
+  QUIET_MODES,
+  MAX_TIMES_PER_DAY,
+  MAX_QUIET_PERIODS,
+  NAMED_REMINDER_FIELDS,
+  MAX_LABEL_LENGTH,
+  MAX_DISPLAY_NAME_LENGTH,
+  CAMPAIGN_TARGETS,
+  MAX_CAMPAIGN_TITLE_LENGTH,
+  MAX_CAMPAIGN_BODY_LENGTH,
+  MAX_CAMPAIGN_DATA_KEYS,
+  MAX_SEGMENT_USER_IDS,
+  DEFAULT_SMART_TIMING_WINDOW_MINUTES,
+  MAX_SMART_TIMING_WINDOW_MINUTES,
+  STREAK_REMINDER,
+  MAX_SESSION_MINUTES,
+  MAX_SESSION_AGE_HOURS,
+  FOCUS_SESSION,
+  MAX_FOCUS_WORK_MINUTES,
+  MAX_FOCUS_BREAK_MINUTES,
+  MAX_FOCUS_CYCLES,
+  DEADLINE_KINDS,
+  MAX_DEADLINE_DAYS,
+} = require('./config');
+const { isValidTimeZone, zonedTimeToUtc } = require('./time-zones');
+const { RRULE_WEEKDAY_NAMES, parseRRule, parseCronExpression } = require('./recurrence');
+
+// Validate and normalize a notification_preferences doc.
+// Missing fields get their defaults; fields that are present but wrong are errors
+// (so an hour of 0 is midnight, not "unset"). Returns
+// { valid, errors: [{ field, message }], timeZone, locale, displayName, reminders, quiet,
+// smartTiming, streakReminder }
+// where reminders maps each REMINDER_TYPES key to { enabled, hour, minute, frequency,
+// days, message, customMessage } and days is a sorted list of 1=Monday..7=Sunday;
+// quiet is described at normalizeQuietPeriods, smartTiming is
+// { enabled, windowMinutes } and streakReminder is { enabled, hour, minute }.
+function validatePreferences(data) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  const timeZone = normalizeTimeZone(data, addError);
+  const locale = normalizeLocale(data.locale, addError);
+  const displayName = normalizeText(data.displayName, MAX_DISPLAY_NAME_LENGTH, 'displayName', addError);
+  const reminders = {};
+  for (const [key, config] of Object.entries(REMINDER_TYPES)) {
+    reminders[key] = normalizeReminder(data, config, addError);
+  }
+  const quiet = normalizeQuietPeriods(data, timeZone, addError);
+  const smartTiming = normalizeSmartTiming(data, addError);
+  const streakReminder = normalizeStreakReminder(data, addError);
+  
+  return { valid: errors.length === 0, errors, timeZone, locale, displayName, reminders, quiet, smartTiming, streakReminder };
+}
+
+// Validate a named reminder doc (notification_preferences/{userId}/reminders/{id}).
+// kind picks the reminder type (title, channel, default message) and defaults to
+// 'study'; label and subject (the {subject} of notification templates) are
+// optional. Returns { valid, errors, reminder, config } where reminder is normalized
+// like validatePreferences' reminders plus a label and subject, and config is the
+// REMINDER_TYPES entry to schedule it with.
+function validateNamedReminder(data) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  let kind = data.kind == null ? 'study' : data.kind;
+  if (!Object.prototype.hasOwnProperty.call(REMINDER_TYPES, kind)) {
+    addError('kind', `must be one of ${Object.keys(REMINDER_TYPES).join(', ')}`);
+    kind = 'study';
+  }
+  
+  const config = { ...REMINDER_TYPES[kind], fields: NAMED_REMINDER_FIELDS };
+  const reminder = normalizeReminder(data, config, addError);
+  
+  reminder.label = normalizeText(data.label, MAX_LABEL_LENGTH, 'label', addError);
+  reminder.subject = normalizeText(data.subject, MAX_LABEL_LENGTH, 'subject', addError);
+  
+  return { valid: errors.length === 0, errors, reminder, config };
+}
+
+// FCM topic names, with or without the "/topics/" prefix
+const TOPIC_PATTERN = /^(?:\/topics\/)?[a-zA-Z0-9\-_.~%]+$/;
+
+// Validate an admin campaign (POST /v1/admin/campaigns). It needs a title, a body
+// and exactly one target:
+// - topic: an FCM topic the app subscribes to, e.g. "exam-tips"
+// - condition: an FCM topic condition, e.g. "'android' in topics && 'exam-tips' in topics"
+// - segment: users filtered by { locales, platforms, reminderTypes, userIds }
+//   (every filter optional, all of them must match)
+// sendAt (ISO date-time) schedules it; without one it is sent right away.
+// Returns { valid, errors, campaign: { title, body, target: { type, ... }, data, sendAtMs } }.
+function validateCampaign(data, nowMs) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  const title = normalizeText(data.title, MAX_CAMPAIGN_TITLE_LENGTH, 'title', addError);
+  const body = normalizeText(data.body, MAX_CAMPAIGN_BODY_LENGTH, 'body', addError);
+  if (data.title == null) addError('title', 'is required');
+  if (data.body == null) addError('body', 'is required');
+  
+  let target = null;
+  const targets = CAMPAIGN_TARGETS.filter(type => data[type] != null);
+  if (targets.length !== 1) {
+    addError('target', `needs exactly one of ${CAMPAIGN_TARGETS.join(', ')}`);
+  } else if (targets[0] === 'topic') {
+    if (typeof data.topic !== 'string' || !TOPIC_PATTERN.test(data.topic)) {
+      addError('topic', 'must be an FCM topic name (letters, digits and -_.~%)');
+    }
+    target = { type: 'topic', topic: String(data.topic).replace(/^\/topics\//, '') };
+  } else if (targets[0] === 'condition') {
+    const topics = typeof data.condition === 'string' ? data.condition.match(/'[a-zA-Z0-9\-_.~%]+' in topics/g) || [] : [];
+    if (topics.length === 0 || topics.length > 5) {
+      addError('condition', "must combine 1 to 5 \"'topic' in topics\" terms");
+    }
+    target = { type: 'condition', condition: data.condition };
+  } else {
+    target = { type: 'segment', segment: normalizeSegment(data.segment, addError) };
+  }
+  
+  const campaignData = data.data == null ? {} : data.data;
+  if (typeof campaignData !== 'object' || Array.isArray(campaignData) ||
+      Object.keys(campaignData).length > MAX_CAMPAIGN_DATA_KEYS ||
+      Object.values(campaignData).some(value => typeof value !== 'string')) {
+    addError('data', `must be an object of at most ${MAX_CAMPAIGN_DATA_KEYS} string values`);
+  }
+  
+  let sendAtMs = nowMs;
+  if (data.sendAt != null) {
+    sendAtMs = typeof data.sendAt === 'string' ? Date.parse(data.sendAt) : NaN;
+    if (Number.isNaN(sendAtMs)) {
+      addError('sendAt', 'must be an ISO date-time such as "2024-12-01T08:00:00Z"');
+      sendAtMs = nowMs;
+    }
+    sendAtMs = Math.max(sendAtMs, nowMs);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    campaign: { title, body, target, data: campaignData, sendAtMs },
+  };
+}
+
+// Validate a completed study session the app reports (POST /v1/sessions):
+// durationMinutes (required), subject and completedAt (ISO date-time, default
+// now; at most MAX_SESSION_AGE_HOURS ago and not in the future).
+// Returns { valid, errors, session: { durationMinutes, subject, completedAtMs } }.
+function validateStudySession(data, nowMs) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  if (data.durationMinutes == null) addError('durationMinutes', 'is required');
+  const durationMinutes = normalizeInteger(data.durationMinutes, 0, 1, MAX_SESSION_MINUTES, 'durationMinutes', addError);
+  const subject = normalizeText(data.subject, MAX_LABEL_LENGTH, 'subject', addError);
+  
+  let completedAtMs = nowMs;
+  if (data.completedAt != null) {
+    completedAtMs = typeof data.completedAt === 'string' ? Date.parse(data.completedAt) : NaN;
+    if (Number.isNaN(completedAtMs) || completedAtMs > nowMs || completedAtMs < nowMs - MAX_SESSION_AGE_HOURS * 60 * 60 * 1000) {
+      addError('completedAt', `must be an ISO date-time within the last ${MAX_SESSION_AGE_HOURS} hours`);
+      completedAtMs = nowMs;
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    session: { durationMinutes, subject, completedAtMs },
+  };
+}
+
+// Validate the settings of a focus session the app starts (POST /v1/focus):
+// workMinutes, breakMinutes and cycles (defaults in FOCUS_SESSION) and subject.
+// Returns { valid, errors, settings: { workMinutes, breakMinutes, cycles, subject } }.
+function validateFocusSession(data) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  const workMinutes = normalizeInteger(data.workMinutes, FOCUS_SESSION.workMinutes, 1, MAX_FOCUS_WORK_MINUTES, 'workMinutes', addError);
+  const breakMinutes = normalizeInteger(data.breakMinutes, FOCUS_SESSION.breakMinutes, 1, MAX_FOCUS_BREAK_MINUTES, 'breakMinutes', addError);
+  const cycles = normalizeInteger(data.cycles, FOCUS_SESSION.cycles, 1, MAX_FOCUS_CYCLES, 'cycles', addError);
+  const subject = normalizeText(data.subject, MAX_LABEL_LENGTH, 'subject', addError);
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    settings: { workMinutes, breakMinutes, cycles, subject },
+  };
+}
+
+// Validate an exam or assignment deadline (POST and PUT /v1/deadlines): kind
+// (default 'exam'), title (required), subject, dueAt (required, an ISO
+// date-time in the next MAX_DEADLINE_DAYS days) and done. A deadline that is
+// being edited may keep its currentDueAtMs even once that has passed.
+// Returns { valid, errors, deadline: { kind, title, subject, dueAtMs, done } }.
+function validateDeadline(data, nowMs, currentDueAtMs = null) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  
+  const kind = data.kind == null ? 'exam' : data.kind;
+  if (!DEADLINE_KINDS.includes(kind)) {
+    addError('kind', `must be one of ${DEADLINE_KINDS.join(', ')}`);
+  }
+  
+  if (data.title == null) addError('title', 'is required');
+  const title = normalizeText(data.title, MAX_LABEL_LENGTH, 'title', addError);
+  const subject = normalizeText(data.subject, MAX_LABEL_LENGTH, 'subject', addError);
+  
+  const dueAtMs = parseIsoDateTime(data.dueAt);
+  const kept = currentDueAtMs !== null && dueAtMs === currentDueAtMs;
+  if (Number.isNaN(dueAtMs) || (!kept && (dueAtMs <= nowMs || dueAtMs > nowMs + MAX_DEADLINE_DAYS * 24 * 60 * 60 * 1000))) {
+    addError('dueAt', `must be an ISO date-time within the next ${MAX_DEADLINE_DAYS} days`);
+  }
+  
+  if (data.done != null && typeof data.done !== 'boolean') {
+    addError('done', 'must be true or false');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    deadline: { kind, title, subject, dueAtMs, done: data.done === true },
+  };
+}
+
+// { locales, platforms, reminderTypes, userIds }, each a list or null (no filter)
+function normalizeSegment(value, addError) {
+  const segment = { locales: null, platforms: null, reminderTypes: null, userIds: null };
+  
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    addError('segment', 'must be an object');
+    return segment;
+  }
+  
+  const list = (field, check, message, max = 50) => {
+    const items = value[field];
+    if (items == null) return null;
+    if (!Array.isArray(items) || items.length === 0 || items.length > max || !items.every(check)) {
+      addError(`segment.${field}`, message);
+      return null;
+    }
+    return [...new Set(items)];
+  };
+  
+  const isLocale = item => {
+    try {
+      return typeof item === 'string' && Intl.getCanonicalLocales(item).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+  
+  segment.locales = list('locales', isLocale, 'must be a list of language tags such as "es"');
+  if (segment.locales) segment.locales = segment.locales.map(locale => Intl.getCanonicalLocales(locale)[0]);
+  segment.platforms = list('platforms', item => typeof item === 'string' && item.length > 0, 'must be a list of platform names');
+  segment.reminderTypes = list('reminderTypes', item => Object.prototype.hasOwnProperty.call(REMINDER_TYPES, item),
+    `must be a list of ${Object.keys(REMINDER_TYPES).join(', ')}`);
+  segment.userIds = list('userIds', item => typeof item === 'string' && item.length > 0,
+    `must be a list of at most ${MAX_SEGMENT_USER_IDS} user IDs`, MAX_SEGMENT_USER_IDS);
+  
+  return segment;
+}
+
+function normalizeReminder(data, config, addError) {
+  const fields = config.fields;
+  const enabledValue = data[fields.enabled];
+  
+  if (enabledValue != null && typeof enabledValue !== 'boolean') {
+    addError(fields.enabled, 'must be true or false');
+  }
+  
+  const enabled = enabledValue === true;
+  // A disabled reminder's leftover settings never block the others
+  const check = enabled ? addError : () => {};
+  
+  let frequency = data[fields.frequency] == null ? 'daily' : data[fields.frequency];
+  if (!REMINDER_FREQUENCIES.includes(frequency)) {
+    check(fields.frequency, `must be one of ${REMINDER_FREQUENCIES.join(', ')}`);
+    frequency = 'daily';
+  }
+  
+  const reminder = {
+    enabled,
+    hour: normalizeInteger(data[fields.hour], 9, 0, 23, fields.hour, check),
+    minute: normalizeInteger(data[fields.minute], 0, 0, 59, fields.minute, check),
+    frequency,
+    days: normalizeDays(data[fields.days], frequency, fields.days, check),
+    message: normalizeMessage(data[fields.message], config.defaultMessage, fields.message, check),
+  };
+  // Only a message the user wrote overrides the notification templates
+  reminder.customMessage = data[fields.message] == null || reminder.message === config.defaultMessage ? null : reminder.message;
+  reminder.times = normalizeTimes(data[fields.times], [[reminder.hour, reminder.minute]], fields.times, check);
+  reminder.recurrence = normalizeRecurrence(data, fields, reminder, check);
+  
+  return reminder;
+}
+
+// "HH:MM" list of times per day (defaults to the single hour/minute)
+function normalizeTimes(value, defaultTimes, field, addError) {
+  if (value == null) return defaultTimes;
+  
+  const times = Array.isArray(value) ? value.map(parseTimeOfDay) : [null];
+  if (times.length === 0 || times.length > MAX_TIMES_PER_DAY || times.includes(null)) {
+    addError(field, `must be a list of 1 to ${MAX_TIMES_PER_DAY} "HH:MM" times`);
+    return defaultTimes;
+  }
+  
+  return [...new Set(times)].sort((a, b) => a - b).map(minutes => [Math.floor(minutes / 60), minutes % 60]);
+}
+
+// Pick the reminder's recurrence: a cron expression, else an RRULE, else the
+// legacy frequency/days fields mapped onto the equivalent RRULE
+// ('daily' → FREQ=DAILY, 'weekly'/'custom' → FREQ=WEEKLY;BYDAY=...).
+// Returns { kind: 'cron' | 'rrule', source, spec, times }.
+function normalizeRecurrence(data, fields, reminder, addError) {
+  if (data[fields.cron] != null) {
+    const parsed = typeof data[fields.cron] === 'string'
+      ? parseCronExpression(data[fields.cron])
+      : { error: 'must be a string' };
+    
+    if (!parsed.error) {
+      return { kind: 'cron', source: data[fields.cron].trim(), spec: parsed.spec, times: [] };
+    }
+    addError(fields.cron, parsed.error);
+  }
+  
+  if (data[fields.rule] != null) {
+    const parsed = typeof data[fields.rule] === 'string'
+      ? parseRRule(data[fields.rule])
+      : { error: 'must be a string' };
+    
+    if (!parsed.error) {
+      return { kind: 'rrule', source: data[fields.rule].trim(), spec: parsed.spec, times: reminder.times };
+    }
+    addError(fields.rule, parsed.error);
+  }
+  
+  const source = reminder.frequency === 'daily'
+    ? 'FREQ=DAILY'
+    : `FREQ=WEEKLY;BYDAY=${reminder.days.map(day => RRULE_WEEKDAY_NAMES[day - 1]).join(',')}`;
+  
+  return { kind: 'rrule', source, spec: parseRRule(source).spec, times: reminder.times };
+}
+
+function normalizeInteger(value, defaultValue, min, max, field, addError) {
+  if (value == null) return defaultValue;
+  
+  if (!Number.isInteger(value) || value < min || value > max) {
+    addError(field, `must be a whole number from ${min} to ${max}`);
+    return defaultValue;
+  }
+  
+  return value;
+}
+
+// 'daily' is every day and 'weekly' means weekdays; only 'custom' reads the day list.
+// Days are 1=Monday..7=Sunday as the app sends them; 0 is still accepted as Sunday
+// for older clients.
+function normalizeDays(value, frequency, field, addError) {
+  if (frequency === 'daily') return [1, 2, 3, 4, 5, 6, 7];
+  if (frequency === 'weekly') return [1, 2, 3, 4, 5];
+  
+  const validList = Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(day => Number.isInteger(day) && day >= 0 && day <= 7);
+  
+  if (!validList) {
+    addError(field, 'must be a non-empty list of days from 1 (Monday) to 7 (Sunday)');
+    return [1, 2, 3, 4, 5];
+  }
+  
+  return [...new Set(value.map(day => (day === 0 ? 7 : day)))].sort((a, b) => a - b);
+}
+
+function normalizeMessage(value, defaultValue, field, addError) {
+  if (value == null) return defaultValue;
+  
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    addError(field, 'must be a non-empty string');
+    return defaultValue;
+  }
+  
+  if (value.length > MAX_MESSAGE_LENGTH) {
+    addError(field, `must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    return defaultValue;
+  }
+  
+  return value.trim();
+}
+
+// Smart timing is off unless smartTimingEnabled is true; the window only
+// matters (and is only checked) when it is on
+function normalizeSmartTiming(data, addError) {
+  if (data.smartTimingEnabled != null && typeof data.smartTimingEnabled !== 'boolean') {
+    addError('smartTimingEnabled', 'must be true or false');
+  }
+  
+  const enabled = data.smartTimingEnabled === true;
+  return {
+    enabled,
+    windowMinutes: normalizeInteger(data.smartTimingWindowMinutes, DEFAULT_SMART_TIMING_WINDOW_MINUTES,
+      15, MAX_SMART_TIMING_WINDOW_MINUTES, 'smartTimingWindowMinutes', enabled ? addError : () => {}),
+  };
+}
+
+// Streak reminders are on unless streakRemindersEnabled is false
+function normalizeStreakReminder(data, addError) {
+  if (data.streakRemindersEnabled != null && typeof data.streakRemindersEnabled !== 'boolean') {
+    addError('streakRemindersEnabled', 'must be true or false');
+  }
+  
+  const enabled = data.streakRemindersEnabled !== false;
+  const check = enabled ? addError : () => {};
+  return {
+    enabled,
+    hour: normalizeInteger(data.streakReminderHour, STREAK_REMINDER.hour, 0, 23, 'streakReminderHour', check),
+    minute: normalizeInteger(data.streakReminderMinute, STREAK_REMINDER.minute, 0, 59, 'streakReminderMinute', check),
+  };
+}
+
+// Optional short text (a name or label): trimmed, or null if unset
+function normalizeText(value, maxLength, field, addError) {
+  if (value == null) return null;
+  
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > maxLength) {
+    addError(field, `must be 1 to ${maxLength} characters`);
+    return null;
+  }
+  
+  return value.trim();
+}
+
+// BCP 47 language tag such as "en", "es-MX" or "fil" (canonicalized), or null
+// to use DEFAULT_LOCALE
+function normalizeLocale(value, addError) {
+  if (value == null) return null;
+  
+  try {
+    if (typeof value === 'string') return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    // Not a well-formed tag
+  }
+  
+  addError('locale', 'must be a language tag such as "en" or "es-MX"');
+  return null;
+}
+
+// An IANA name (`timezone`, e.g. "America/New_York") is preferred so DST is handled;
+// otherwise the fixed `timezoneOffset` in hours that older clients send is used,
+// defaulting to +8 for backward compatibility.
+function normalizeTimeZone(data, addError) {
+  if (data.timezone != null) {
+    if (typeof data.timezone === 'string' && isValidTimeZone(data.timezone)) {
+      return data.timezone;
+    }
+    addError('timezone', 'must be an IANA time zone name such as "America/New_York"');
+  }
+  
+  if (data.timezoneOffset != null) {
+    if (typeof data.timezoneOffset === 'number' && data.timezoneOffset >= -12 && data.timezoneOffset <= 14) {
+      return data.timezoneOffset;
+    }
+    addError('timezoneOffset', 'must be a number of hours from -12 to 14');
+  }
+  
+  return 8;
+}
+
+// Quiet periods apply to every reminder type:
+// - quietHours: recurring local ranges, e.g. [{ start: "22:00", end: "07:00", days: [1, 2, 3, 4, 5] }].
+//   A range may wrap past midnight; days (1=Monday..7=Sunday, default every day) are
+//   the days the range starts on.
+// - doNotDisturb: one-off local periods, e.g. [{ start: "2024-12-09", end: "2024-12-13" }]
+//   (dates cover whole days) or "YYYY-MM-DDTHH:MM" date-times.
+// - quietHoursMode: 'skip' drops a reminder that falls inside, 'defer' moves it to the end.
+// Returns { mode, hours: [{ start, end, days }], dnd: [{ startMs, endMs }] } with
+// start/end in minutes since local midnight.
+function normalizeQuietPeriods(data, timeZone, addError) {
+  let mode = data.quietHoursMode == null ? 'skip' : data.quietHoursMode;
+  if (!QUIET_MODES.includes(mode)) {
+    addError('quietHoursMode', `must be one of ${QUIET_MODES.join(', ')}`);
+    mode = 'skip';
+  }
+  
+  const hours = normalizeList(data.quietHours, 'quietHours', addError).flatMap((range, index) => {
+    const field = `quietHours[${index}]`;
+    const start = parseTimeOfDay(range && range.start);
+    const end = parseTimeOfDay(range && range.end);
+    
+    if (start === null || end === null || start === end) {
+      addError(field, 'needs different start and end times as "HH:MM"');
+      return [];
+    }
+    
+    let days = [1, 2, 3, 4, 5, 6, 7];
+    if (range.days != null) {
+      days = normalizeDays(range.days, 'custom', `${field}.days`, addError);
+    }
+    
+    return [{ start, end, days }];
+  });
+  
+  const dnd = normalizeList(data.doNotDisturb, 'doNotDisturb', addError).flatMap((period, index) => {
+    const field = `doNotDisturb[${index}]`;
+    const start = parseLocalDateTime(period && period.start, timeZone, false);
+    const end = parseLocalDateTime(period && period.end, timeZone, true);
+    
+    if (start === null || end === null || end <= start) {
+      addError(field, 'needs a start before its end, as "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"');
+      return [];
+    }
+    
+    return [{ startMs: start, endMs: end }];
+  });
+  
+  return { mode, hours, dnd };
+}
+
+function normalizeList(value, field, addError) {
+  if (value == null) return [];
+  
+  if (!Array.isArray(value) || value.length > MAX_QUIET_PERIODS) {
+    addError(field, `must be a list of at most ${MAX_QUIET_PERIODS} entries`);
+    return [];
+  }
+  
+  return value;
+}
+
+// "HH:MM" → minutes since midnight, or null
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+  
+  return hour * 60 + minute;
+}
+
+// ISO date-time string → ms, or NaN. Unlike Date.parse alone, a day the
+// month does not have (2027-02-31) is rejected instead of rolling over.
+function parseIsoDateTime(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})T/);
+  if (!match) return NaN;
+  
+  const [, year, month, day] = match.map(part => parseInt(part, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return NaN;
+  
+  return Date.parse(value);
+}
+
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" in the user's zone → UTC ms, or null.
+// A bare date used as an end covers the whole day (until the next midnight).
+function parseLocalDateTime(value, timeZone, isEnd) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/);
+  if (!match) return null;
+  
+  const [, year, month, day, hour, minute] = match.map(part => (part === undefined ? undefined : parseInt(part, 10)));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (hour !== undefined && (hour > 23 || minute > 59)) return null;
+  // Reject days the month does not have (2024-02-31), which would roll over
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  
+  if (hour === undefined) {
+    return zonedTimeToUtc(timeZone, year, month - 1, day + (isEnd ? 1 : 0), 0, 0).getTime();
+  }
+  
+  return zonedTimeToUtc(timeZone, year, month - 1, day, hour, minute).getTime();
+}
+
+module.exports = {
+  validatePreferences,
+  validateNamedReminder,
+  validateCampaign,
+  validateStudySession,
+  validateFocusSession,
+  validateDeadline,
+};
@@ -0,0 +1,315 @@
+const admin = require('firebase-admin');
+const {
+  EDITABLE_PREFERENCE_FIELDS,
+  EDITABLE_REMINDER_FIELDS,
+  INSTANCE_ID,
+  WATCHER_RESTART_MIN_SECONDS,
+  WATCHER_RESTART_MAX_SECONDS,
+  PREFERENCE_NOTIFICATION_TYPES,
+} = require('./config');
+const { getReminderOwner } = require('./scheduler');
+const { logger, withLogContext } = require('./logger');
+
+// Firestore listeners that keep scheduled_notifications in step with
+// notification_preferences and named reminders (run by the leader only).
+// The listeners are supervised: when one errors, both are closed and opened
+// again after a backoff. Each listener's checkpoint (the newest doc update it
+// has handled) is kept in server_state/watcher, so a restarted listener, on
+// this instance or the next leader, only reschedules docs changed since. Every
+// (re)start also runs a full reconciliation of enabled users.
+// timers ({ setTimeout, clearTimeout }) can be replaced in tests.
+function createWatcher({ db, clock, scheduler, streaks, deadlines, devices, instanceId = INSTANCE_ID, timers = { setTimeout, clearTimeout } }) {
+  let running = false;
+  let closeListeners = null;
+  let restartTimer = null;
+  let startedAtMs = 0;
+  let failures = 0;
+  let restarts = 0;
+  let lastError = null;
+  // Bumped on every (re)start and stop, so work queued for older listeners is dropped
+  let generation = 0;
+  // Snapshots are handled one at a time and in order, so a checkpoint is only
+  // saved once every change before it has been handled
+  let queue = Promise.resolve();
+  // { preferences, reminders }: Timestamps (or null), loaded on every (re)start
+  let checkpoints = { preferences: null, reminders: null };
+  // Schedule inputs (see getScheduleInputs) of every doc the watcher has handled,
+  // by doc path, so changes to anything else do not reschedule
+  const lastScheduleInputs = new Map();
+
+  const listeners = {
+    preferences: {
+      query: () => db.collection('notification_preferences'),
+      fields: EDITABLE_PREFERENCE_FIELDS,
+      getOwner: doc => doc.id,
+      handleChange: handlePreferencesChange,
+    },
+    reminders: {
+      query: () => db.collectionGroup('reminders'),
+      fields: EDITABLE_REMINDER_FIELDS,
+      getOwner: getReminderOwner,
+      handleChange: handleReminderChange,
+    },
+  };
+
+  function checkpointRef() {
+    return db.collection('server_state').doc('watcher');
+  }
+
+  // Run work after everything queued before it, unless the listeners it was
+  // queued for have been closed by then
+  function enqueue(work) {
+    const queuedFor = generation;
+    queue = queue.then(async () => {
+      if (queuedFor !== generation) return;
+      await work();
+    });
+    return queue;
+  }
+
+  async function handlePreferencesChange(change) {
+    const userId = change.doc.id;
+    const data = change.doc.data();
+    
+    logger.debug('📝 Preferences change detected', {
+      changeType: change.type,
+      studyRemindersEnabled: data.studyRemindersEnabled,
+      breakRemindersEnabled: data.breakRemindersEnabled,
+      hasToken: !!data.fcmToken,
+    });
+    
+    if (change.type === 'added' || change.type === 'modified') {
+      // Clients sync their latest token to fcmToken; keep every one of them
+      if (data.fcmToken) {
+        await devices.registerDeviceToken(userId, data.fcmToken, data.platform);
+      }
+      
+      // A token refresh or updatedAt bump leaves the schedule as it is
+      const inputs = getScheduleInputs(data, EDITABLE_PREFERENCE_FIELDS);
+      if (lastScheduleInputs.get(change.doc.ref.path) === inputs) {
+        logger.debug('⏭️ No schedule changes');
+        return;
+      }
+      lastScheduleInputs.set(change.doc.ref.path, inputs);
+      
+      await scheduler.rescheduleAllReminderTypes(userId, data);
+      await streaks.scheduleStreakReminder(userId, data);
+      await deadlines.rescheduleDeadlineReminders(userId, data);
+    } else if (change.type === 'removed') {
+      logger.info('🗑️ Notification preferences removed');
+      lastScheduleInputs.delete(change.doc.ref.path);
+      await scheduler.cancelAllScheduledNotifications(userId, { types: PREFERENCE_NOTIFICATION_TYPES });
+    }
+  }
+
+  // Named reminders: only the reminder that changed is rescheduled
+  async function handleReminderChange(change) {
+    const userId = getReminderOwner(change.doc);
+    if (!userId) return;
+    
+    const reminderId = change.doc.id;
+    logger.debug('📝 Reminder change detected', { changeType: change.type, reminderId });
+    
+    if (change.type === 'added' || change.type === 'modified') {
+      const inputs = getScheduleInputs(change.doc.data(), EDITABLE_REMINDER_FIELDS);
+      if (lastScheduleInputs.get(change.doc.ref.path) === inputs) return;
+      lastScheduleInputs.set(change.doc.ref.path, inputs);
+      
+      await scheduler.rescheduleNamedReminder(userId, reminderId, change.doc.data());
+    } else if (change.type === 'removed') {
+      logger.info('🗑️ Named reminder removed', { reminderId });
+      lastScheduleInputs.delete(change.doc.ref.path);
+      await scheduler.cancelAllScheduledNotifications(userId, { reminderId });
+    }
+  }
+
+  // Handle one snapshot of a listener, then move its checkpoint up to the newest
+  // doc in it. In the first snapshot after a (re)start every doc is 'added';
+  // docs not updated since the checkpoint were handled before and are only
+  // remembered. A change that fails to be handled is logged and left to the
+  // next reconciliation.
+  async function handleSnapshot(name, snapshot, isFirst) {
+    const listener = listeners[name];
+    const checkpoint = checkpoints[name];
+    let newest = checkpoint;
+    let skipped = 0;
+    
+    for (const change of snapshot.docChanges()) {
+      const updateTime = change.doc.updateTime;
+      
+      if (isFirst && checkpoint && updateTime && !isNewer(updateTime, checkpoint)) {
+        lastScheduleInputs.set(change.doc.ref.path, getScheduleInputs(change.doc.data(), listener.fields));
+        skipped++;
+        continue;
+      }
+      
+      // Every entry logged while handling the change names its user
+      const userId = listener.getOwner(change.doc);
+      try {
+        await withLogContext({ userId }, () => listener.handleChange(change));
+      } catch (error) {
+        logger.error('❌ Error handling a watched change', { listener: name, userId, path: change.doc.ref.path, error });
+      }
+      if (updateTime && (!newest || isNewer(updateTime, newest))) newest = updateTime;
+    }
+    
+    if (skipped > 0) {
+      logger.info('⏭️ Docs unchanged since the watcher checkpoint', { listener: name, count: skipped });
+    }
+    if (newest !== checkpoint) {
+      await saveCheckpoint(name, newest);
+    }
+  }
+
+  async function loadCheckpoints() {
+    try {
+      const doc = await checkpointRef().get();
+      const data = doc.exists ? doc.data() : {};
+      checkpoints = { preferences: data.preferences || null, reminders: data.reminders || null };
+    } catch (error) {
+      // Without checkpoints every doc is handled again, which is safe
+      logger.error('❌ Error reading the watcher checkpoint', { error });
+      checkpoints = { preferences: null, reminders: null };
+    }
+  }
+
+  async function saveCheckpoint(name, updateTime) {
+    checkpoints[name] = updateTime;
+    
+    try {
+      await checkpointRef().set({
+        [name]: updateTime,
+        updatedBy: instanceId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    } catch (error) {
+      logger.error('❌ Error saving the watcher checkpoint', { listener: name, error });
+    }
+  }
+
+  // Bring every enabled user's schedule in line with their preferences, and
+  // cancel what is left of users whose preferences were deleted, for whatever
+  // the downtime or a failed change left behind
+  async function reconcile() {
+    logger.info('🔄 Reconciling the schedules of all enabled users');
+    await scheduler.extendScheduleHorizon();
+    await scheduler.cancelOrphanedNotifications();
+  }
+
+  // Open both listeners on the checkpoints and queue a reconciliation
+  function openListeners() {
+    generation++;
+    startedAtMs = clock.now();
+    enqueue(loadCheckpoints);
+    
+    const unsubscribes = Object.entries(listeners).map(([name, listener]) => {
+      let isFirst = true;
+      
+      return listener.query().onSnapshot((snapshot) => {
+        logger.debug('📊 Firestore snapshot received', { listener: name, size: snapshot.size });
+        const first = isFirst;
+        isFirst = false;
+        enqueue(() => handleSnapshot(name, snapshot, first));
+      }, (error) => handleListenerError(name, error));
+    });
+    
+    closeListeners = () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    enqueue(reconcile);
+    logger.info('👂 Firestore listeners set up for notification_preferences and reminders', { restarts });
+  }
+
+  // A listener that errors has stopped for good: close the other one too and
+  // open both again after a backoff. Listeners that ran for a while start the
+  // backoff over.
+  function handleListenerError(name, error) {
+    logger.error('❌ Firestore listener failed', { listener: name, error });
+    lastError = { listener: name, message: error.message, at: new Date(clock.now()).toISOString() };
+    // Both listeners are already being restarted
+    if (!closeListeners) return;
+    
+    closeListeners();
+    closeListeners = null;
+    generation++;
+    
+    if (clock.now() - startedAtMs >= WATCHER_RESTART_MAX_SECONDS * 1000) failures = 0;
+    const delayMs = Math.min(WATCHER_RESTART_MIN_SECONDS * 1000 * 2 ** failures, WATCHER_RESTART_MAX_SECONDS * 1000);
+    failures++;
+    
+    logger.warn('🔁 Restarting the Firestore watcher', { delaySeconds: delayMs / 1000, failuresInARow: failures });
+    restartTimer = timers.setTimeout(() => {
+      restartTimer = null;
+      if (!running) return;
+      restarts++;
+      openListeners();
+    }, delayMs);
+  }
+
+  function start() {
+    if (running) return;
+    
+    running = true;
+    failures = 0;
+    openListeners();
+  }
+
+  // Stop the listeners (e.g. when this instance loses leadership or shuts down)
+  function stop() {
+    if (!running) return;
+    
+    running = false;
+    generation++;
+    if (restartTimer) {
+      timers.clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    if (closeListeners) {
+      closeListeners();
+      closeListeners = null;
+    }
+    // A later watcher starts from the checkpoints
+    lastScheduleInputs.clear();
+    logger.info('🔇 Firestore listeners stopped');
+  }
+
+  // Resolves once the change being handled (if any) is done
+  function whenIdle() {
+    return queue;
+  }
+
+  // For health checks: healthy unless the watcher should run but its listeners
+  // are down
+  function getStatus() {
+    return {
+      running,
+      healthy: !running || !!closeListeners,
+      restarts,
+      failuresInARow: failures,
+      lastError,
+      checkpoints: Object.fromEntries(Object.entries(checkpoints)
+        .map(([name, checkpoint]) => [name, checkpoint ? checkpoint.toDate().toISOString() : null])),
+    };
+  }
+  
+  return {
+    start,
+    stop,
+    whenIdle,
+    getStatus,
+  };
+}
+
+// The fields of a doc that decide its schedule, as a string to compare.
+// Only whether an fcmToken is set matters here, not which token it is.
+function getScheduleInputs(data, fields) {
+  return JSON.stringify([...fields].map(field => (data[field] === undefined ? null : data[field])).concat(!!data.fcmToken));
+}
+
+// Whether Timestamp a is after b (to the nanosecond, as update times are)
+function isNewer(a, b) {
+  return a.seconds !== b.seconds ? a.seconds > b.seconds : a.nanoseconds > b.nanoseconds;
+}
+
+module.exports = {
+  createWatcher,
+  getScheduleInputs,
+};